@@ -1,13 +1,69 @@
 /**
  * API Service Module
- * Handles all API calls to DeepSeek and SiliconFlow OCR
+ * Handles all API calls to the text (DeepSeek by default) and vision OCR providers via the proxy
  */
 
+// Vision prompts per business info page type (fileParser BUSINESS_PAGE_TYPES); '' is used
+// when the type is unknown and asks for everything
+const BUSINESS_FIELDS_PROMPT = 'companyName(企业名称), creditCode(统一社会信用代码), legalRep(法定代表人), registeredCapital(注册资本), establishDate(成立日期), industry(所属行业), registeredAddress(注册地址), businessScope(经营范围), companyType(企业类型), employeeCount(员工人数), companySize(企业规模)';
+const BUSINESS_LIST_PROMPTS = {
+    shareholders: 'shareholders(股东信息数组，每项包含 name 股东名称, type 股东类型, subscribedCapital 认缴出资额, ratio 持股比例, subscribedDate 认缴出资日期)',
+    personnel: 'personnel(主要人员数组，每项包含 name 姓名, position 职务)',
+    changes: 'changes(变更记录数组，每项包含 date 变更日期, item 变更事项, before 变更前, after 变更后)',
+    investments: 'investments(对外投资数组，每项包含 name 被投资企业名称, legalRep 法定代表人, ratio 持股比例, amount 认缴出资额, establishDate 成立日期, status 经营状态)'
+};
+const BUSINESS_OCR_PROMPTS = {
+    '': `请仔细识别图片中的所有文字内容，提取企业工商信息。请以JSON格式返回以下字段（如有）：${BUSINESS_FIELDS_PROMPT}；图片中如有股东、主要人员、变更记录或对外投资列表，同时返回 ${Object.values(BUSINESS_LIST_PROMPTS).join('、')}。如果某个字段在图片中找不到，请设为null，列表找不到请设为空数组。`,
+    basic: `请仔细识别图片中的所有文字内容，提取企业工商信息。请以JSON格式返回以下字段（如有）：${BUSINESS_FIELDS_PROMPT}；页面上如有股东或主要人员列表，同时返回 ${BUSINESS_LIST_PROMPTS.shareholders}、${BUSINESS_LIST_PROMPTS.personnel}。如果某个字段在图片中找不到，请设为null，列表找不到请设为空数组。`,
+    ...Object.fromEntries(Object.entries(BUSINESS_LIST_PROMPTS).map(([type, list]) => [
+        type,
+        `图片是企业工商信息中的一页列表。请逐行识别列表中的全部记录，不要遗漏或合并，以JSON格式返回：${list}；页面上如显示企业名称或统一社会信用代码，同时返回 companyName、creditCode。找不到的字段设为null。`
+    ]))
+};
+
+// Provider each key of the settings dialog is entered for; it is sent to that provider only
+const CLIENT_KEY_PROVIDERS = { text: 'deepseek', vision: 'siliconflow' };
+
+// Sections whose prompt includes the industry benchmark grading
+const BENCHMARK_SECTIONS = ['financialIndicators', 'overallEvaluation'];
+
 class ApiService {
     constructor() {
-        this.proxyServer = localStorage.getItem('proxyServer') || 'http://localhost:3000';
-        this.deepseekApiKey = localStorage.getItem('deepseekApiKey') || '';
-        this.siliconflowApiKey = localStorage.getItem('siliconflowApiKey') || '';
+        this.proxyServer = this.loadSetting('proxyServer') || 'http://localhost:3000';
+        this.deepseekApiKey = this.loadSetting('deepseekApiKey');
+        this.siliconflowApiKey = this.loadSetting('siliconflowApiKey');
+        // Empty provider/model means "use the proxy's default"
+        this.textProvider = this.loadSetting('textProvider');
+        this.textModel = this.loadSetting('textModel');
+        this.visionProvider = this.loadSetting('visionProvider');
+        this.visionModel = this.loadSetting('visionModel');
+        // Unit that statement amounts are converted to before they reach the form and prompts
+        this.reportingUnit = this.loadSetting('reportingUnit') || '万元';
+        // OCR engine for business info: '' (自动), 'vision' or 'local' (tesseract.js, offline)
+        this.ocrEngine = this.loadSetting('ocrEngine');
+        this.providers = null;
+        // Sent with every AI call so the proxy's audit log can be filtered per case
+        this.caseId = '';
+    }
+
+    /**
+     * Read a persisted setting (settings are not persisted outside the browser)
+     * @param {string} key - Setting name
+     * @returns {string}
+     */
+    loadSetting(key) {
+        return typeof localStorage !== 'undefined' ? localStorage.getItem(key) || '' : '';
+    }
+
+    /**
+     * Persist a setting
+     * @param {string} key - Setting name
+     * @param {string} value - Value
+     */
+    storeSetting(key, value) {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(key, value);
+        }
     }
 
     /**
@@ -16,16 +72,22 @@ class ApiService {
     updateConfig(config) {
         if (config.proxyServer) {
             this.proxyServer = config.proxyServer;
-            localStorage.setItem('proxyServer', config.proxyServer);
+            this.storeSetting('proxyServer', config.proxyServer);
         }
         if (config.deepseekApiKey) {
             this.deepseekApiKey = config.deepseekApiKey;
-            localStorage.setItem('deepseekApiKey', config.deepseekApiKey);
+            this.storeSetting('deepseekApiKey', config.deepseekApiKey);
         }
         if (config.siliconflowApiKey) {
             this.siliconflowApiKey = config.siliconflowApiKey;
-            localStorage.setItem('siliconflowApiKey', config.siliconflowApiKey);
+            this.storeSetting('siliconflowApiKey', config.siliconflowApiKey);
         }
+        ['textProvider', 'textModel', 'visionProvider', 'visionModel', 'reportingUnit', 'ocrEngine'].forEach(key => {
+            if (config[key] !== undefined) {
+                this[key] = config[key];
+                this.storeSetting(key, config[key]);
+            }
+        });
     }
 
     /**
@@ -35,23 +97,142 @@ class ApiService {
         return {
             proxyServer: this.proxyServer,
             deepseekApiKey: this.deepseekApiKey,
-            siliconflowApiKey: this.siliconflowApiKey
+            siliconflowApiKey: this.siliconflowApiKey,
+            textProvider: this.textProvider,
+            textModel: this.textModel,
+            visionProvider: this.visionProvider,
+            visionModel: this.visionModel,
+            reportingUnit: this.reportingUnit,
+            ocrEngine: this.ocrEngine
         };
     }
 
+    /**
+     * Fetch the provider registry from the proxy
+     * @returns {Promise<Object|null>} - { providers, defaults } or null if the proxy is unreachable
+     */
+    async fetchProviders() {
+        try {
+            const response = await fetch(`${this.proxyServer}/api/providers`);
+            if (!response.ok) return null;
+            this.providers = await response.json();
+            return this.providers;
+        } catch (error) {
+            console.warn('Failed to load providers:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Load token usage and spend from the proxy
+     * @returns {Promise<Object|null>} - Usage report, or null if the proxy is unreachable
+     */
+    async fetchUsage() {
+        try {
+            const response = await fetch(`${this.proxyServer}/api/usage`);
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (error) {
+            console.warn('Failed to load usage:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Find the provider selected for a capability
+     * @param {string} capability - 'text' or 'vision'
+     * @returns {Object|null} - Provider description, or null if the registry is not loaded
+     */
+    getSelectedProvider(capability) {
+        if (!this.providers) return null;
+        const selected = capability === 'vision' ? this.visionProvider : this.textProvider;
+        const id = selected || this.providers.defaults[capability];
+        return this.providers.providers.find(p => p.id === id) || null;
+    }
+
+    /**
+     * Whether a call for the capability has credentials: either a key entered in the
+     * settings, a key configured on the proxy, or a provider that needs none
+     * @param {string} capability - 'text' or 'vision'
+     * @returns {boolean}
+     */
+    hasCredentials(capability) {
+        // The proxy answers from fixtures in mock mode, no keys involved
+        if (this.providers?.mock) return true;
+
+        if (this.getClientKey(capability)) return true;
+
+        const provider = this.getSelectedProvider(capability);
+        return Boolean(provider && (!provider.requiresKey || provider.hasServerKey));
+    }
+
+    /**
+     * Key entered in the settings for the capability, if the selected provider is the one it
+     * was entered for (DeepSeek for text, SiliconFlow for vision)
+     * @param {string} capability - 'text' or 'vision'
+     * @returns {string} - Key, or '' when none applies
+     */
+    getClientKey(capability) {
+        const key = capability === 'vision' ? this.siliconflowApiKey : this.deepseekApiKey;
+        const selected = capability === 'vision' ? this.visionProvider : this.textProvider;
+        const providerId = selected || this.providers?.defaults[capability] || CLIENT_KEY_PROVIDERS[capability];
+        return providerId === CLIENT_KEY_PROVIDERS[capability] ? key || '' : '';
+    }
+
+    /**
+     * Request headers for a text or vision call
+     * @param {string} capability - 'text' or 'vision'
+     * @param {string} [section] - Report section or call purpose, sent as X-Section
+     * @param {boolean} [bypassCache] - Ask the proxy to skip its response cache
+     * @returns {Object} - Headers
+     */
+    buildHeaders(capability, section, bypassCache) {
+        const headers = { 'Content-Type': 'application/json' };
+        const apiKey = this.getClientKey(capability);
+        const provider = capability === 'vision' ? this.visionProvider : this.textProvider;
+
+        if (apiKey) {
+            headers['X-Api-Key'] = apiKey;
+            headers['X-Api-Key-Provider'] = CLIENT_KEY_PROVIDERS[capability];
+        }
+        if (provider) headers['X-Provider'] = provider;
+        if (section) headers['X-Section'] = section;
+        if (bypassCache) headers['X-Cache-Bypass'] = '1';
+        // Header values must be ISO-8859-1, so non-ASCII case numbers are percent-encoded
+        if (this.caseId) headers['X-Case-Id'] = encodeURIComponent(this.caseId);
+        return headers;
+    }
+
+    /**
+     * Turn a failed proxy response into an Error with a readable message.
+     * Upstream providers reply with { error: { message } }, the proxy itself with { error: '...' }.
+     * @param {Response} response - Failed fetch response
+     * @param {string} fallback - Message prefix when the body carries no message
+     * @returns {Promise<Error>}
+     */
+    async responseError(response, fallback) {
+        const errorData = await response.json().catch(() => ({}));
+        const message = errorData.error?.message
+            || (typeof errorData.error === 'string' ? errorData.error : '')
+            || `${fallback}: ${response.status}`;
+        const error = new Error(message);
+        error.status = response.status;
+        return error;
+    }
+
     /**
      * Call DeepSeek Chat API for text analysis and generation
      * @param {Array} messages - Array of message objects with role and content
-     * @param {Object} options - Additional options like temperature, max_tokens
+     * @param {Object} options - Additional options like temperature, max_tokens, section, bypassCache
      * @returns {Promise<string>} - The assistant's response content
      */
     async callDeepSeek(messages, options = {}) {
-        if (!this.deepseekApiKey) {
-            throw new Error('DeepSeek API Key 未配置，请在设置中配置');
+        if (!this.hasCredentials('text')) {
+            throw new Error('文本模型 API Key 未配置，请在设置中配置');
         }
 
         const requestBody = {
-            model: options.model || 'deepseek-chat',
+            model: options.model || this.textModel || undefined,
             messages: messages,
             temperature: options.temperature ?? 0.7,
             max_tokens: options.max_tokens || 4096,
@@ -61,16 +242,12 @@ class ApiService {
         try {
             const response = await fetch(`${this.proxyServer}/api/deepseek/chat`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Api-Key': this.deepseekApiKey
-                },
+                headers: this.buildHeaders('text', options.section, options.bypassCache),
                 body: JSON.stringify(requestBody)
             });
 
             if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error?.message || `API请求失败: ${response.status}`);
+                throw await this.responseError(response, 'API请求失败');
             }
 
             const data = await response.json();
@@ -81,14 +258,134 @@ class ApiService {
         }
     }
 
+    /**
+     * Call DeepSeek Chat API in streaming mode (Server-Sent Events)
+     * @param {Array} messages - Array of message objects with role and content
+     * @param {Object} options - Additional options like temperature, max_tokens, section, bypassCache, signal
+     * @param {Function} onToken - Called with each content delta as it arrives
+     * @returns {Promise<string>} - The full (or, if aborted, partial) response content
+     */
+    async callDeepSeekStream(messages, options = {}, onToken = () => {}) {
+        if (!this.hasCredentials('text')) {
+            throw new Error('文本模型 API Key 未配置，请在设置中配置');
+        }
+
+        const requestBody = {
+            model: options.model || this.textModel || undefined,
+            messages: messages,
+            temperature: options.temperature ?? 0.7,
+            max_tokens: options.max_tokens || 4096,
+            stream: true
+        };
+
+        let content = '';
+
+        try {
+            const response = await fetch(`${this.proxyServer}/api/deepseek/chat`, {
+                method: 'POST',
+                headers: this.buildHeaders('text', options.section, options.bypassCache),
+                body: JSON.stringify(requestBody),
+                signal: options.signal
+            });
+
+            if (!response.ok) {
+                throw await this.responseError(response, 'API请求失败');
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const token = this.parseStreamLine(line);
+                    if (token) {
+                        content += token;
+                        onToken(token);
+                    }
+                }
+            }
+
+            const token = this.parseStreamLine(buffer);
+            if (token) {
+                content += token;
+                onToken(token);
+            }
+
+            return content;
+        } catch (error) {
+            // Stopping a stream is not an error: keep what has arrived so far
+            if (error.name === 'AbortError') {
+                return content;
+            }
+            console.error('DeepSeek Stream Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Extract the content delta from one SSE line
+     * @param {string} line - A single line of the event stream
+     * @returns {string} - Content delta, or '' for keep-alives, [DONE] and other events
+     */
+    parseStreamLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return '';
+
+        const payload = trimmed.slice(5).trim();
+        if (!payload || payload === '[DONE]') return '';
+
+        try {
+            const data = JSON.parse(payload);
+            return data.choices?.[0]?.delta?.content || '';
+        } catch (error) {
+            console.warn('Skipping malformed stream chunk:', payload);
+            return '';
+        }
+    }
+
     /**
      * Call SiliconFlow OCR API for image text extraction
      * @param {string} imageBase64 - Base64 encoded image data
+     * @param {string} [pageType=''] - Business info page type (basic, shareholders, personnel, changes, investments)
      * @returns {Promise<string>} - Extracted text from image
      */
-    async callOCR(imageBase64) {
-        if (!this.siliconflowApiKey) {
-            throw new Error('SiliconFlow API Key 未配置，请在设置中配置');
+    async callOCR(imageBase64, pageType = '') {
+        const prompt = BUSINESS_OCR_PROMPTS[pageType] ?? BUSINESS_OCR_PROMPTS[''];
+        const section = ['', 'basic'].includes(pageType) ? 'businessInfo' : `businessInfo-${pageType}`;
+        return this.callVision(imageBase64, prompt, section);
+    }
+
+    /**
+     * Transcribe a scanned financial statement page as a table
+     * @param {string} imageBase64 - Base64 encoded page image
+     * @returns {Promise<string>} - One table row per line, cells separated by tabs
+     */
+    async callTableOCR(imageBase64) {
+        return this.callVision(
+            imageBase64,
+            '请逐行转录图片中的财务报表表格，保留表头、标题、编制日期和金额单位所在的行。每个表格行输出一行，单元格之间用制表符(Tab)分隔，空单元格保留为空；金额按原样输出，不要换算、合计或补全数字。只输出表格内容，不要解释。',
+            'financialStatement'
+        );
+    }
+
+    /**
+     * Send one image with an instruction to the vision model
+     * @param {string} imageBase64 - Base64 encoded image data
+     * @param {string} prompt - Instruction for the model
+     * @param {string} section - Call purpose, sent as X-Section
+     * @returns {Promise<string>} - Model output
+     */
+    async callVision(imageBase64, prompt, section) {
+        if (!this.hasCredentials('vision')) {
+            throw new Error('视觉模型 API Key 未配置，请在设置中配置');
         }
 
         // Ensure proper base64 format with data URL prefix
@@ -110,27 +407,24 @@ class ApiService {
                         },
                         {
                             type: 'text',
-                            text: '请仔细识别图片中的所有文字内容，提取企业工商信息。请以JSON格式返回以下字段（如有）：companyName(企业名称), creditCode(统一社会信用代码), legalRep(法定代表人), registeredCapital(注册资本), establishDate(成立日期), industry(所属行业), registeredAddress(注册地址), businessScope(经营范围), companyType(企业类型), employeeCount(员工人数), companySize(企业规模)。如果某个字段在图片中找不到，请设为null。'
+                            text: prompt
                         }
                     ]
                 }
             ],
+            model: this.visionModel || undefined,
             max_tokens: 4096
         };
 
         try {
             const response = await fetch(`${this.proxyServer}/api/siliconflow/ocr`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Api-Key': this.siliconflowApiKey
-                },
+                headers: this.buildHeaders('vision', section),
                 body: JSON.stringify(requestBody)
             });
 
             if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error?.message || `OCR API请求失败: ${response.status}`);
+                throw await this.responseError(response, 'OCR API请求失败');
             }
 
             const data = await response.json();
@@ -181,7 +475,7 @@ class ApiService {
         ];
 
         try {
-            const response = await this.callDeepSeek(messages, { temperature: 0.3 });
+            const response = await this.callDeepSeek(messages, { temperature: 0.3, section: 'analyzeTemplate' });
             // Extract JSON from response
             const jsonMatch = response.match(/\{[\s\S]*\}/);
             if (jsonMatch) {
@@ -195,12 +489,12 @@ class ApiService {
     }
 
     /**
-     * Generate text content for a specific section
+     * Build the chat messages used to generate a specific section
      * @param {string} fieldName - The field/section to generate content for
      * @param {Object} context - Context data including company info, financial data
-     * @returns {Promise<string>} - Generated text content
+     * @returns {Array} - Array of message objects
      */
-    async generateContent(fieldName, context) {
+    buildContentMessages(fieldName, context) {
         const prompts = {
             basicSituation: `请根据以下企业信息，撰写一段关于企业基本情况的描述（约300字），包括企业历史沿革、组织架构、股权结构、主营业务等：`,
             controllerSituation: `请根据以下信息，撰写一段关于实际控制人情况的描述（约200字）：`,
@@ -215,6 +509,7 @@ class ApiService {
         };
 
         const basePrompt = prompts[fieldName] || '请根据以下信息撰写相关内容：';
+        const amountUnit = context.amountUnit || '万元';
         
         const contextText = `
 企业信息：
@@ -225,14 +520,29 @@ class ApiService {
 - 企业规模：${context.companySize || '未提供'}
 - 经营范围：${context.businessScope || '未提供'}
 
-财务数据：
-- 资产总额：${context.totalAssetsEnd || '未提供'} 万元
-- 负债总额：${context.totalLiabilitiesEnd || '未提供'} 万元
-- 所有者权益：${context.ownerEquityEnd || '未提供'} 万元
-- 营业收入：${context.revenueCurrent || '未提供'} 万元
-- 净利润：${context.netProfitCurrent || '未提供'} 万元
+股权结构与主要人员：
+${this.formatOwnershipContext(context)}
+
+财务数据（${context.periodCurrent || '报表期间未识别'}${context.annualizationFactor > 1 ? `，利润与现金流量为年初至期末累计数，年化营业收入约 ${context.revenueCurrentAnnualized || '未提供'} ${amountUnit}` : ''}）：
+- 资产总额：${context.totalAssetsEnd || '未提供'} ${amountUnit}
+- 负债总额：${context.totalLiabilitiesEnd || '未提供'} ${amountUnit}
+- 所有者权益：${context.ownerEquityEnd || '未提供'} ${amountUnit}
+- 营业收入：${context.revenueCurrent || '未提供'} ${amountUnit}
+- 净利润：${context.netProfitCurrent || '未提供'} ${amountUnit}
 - 资产负债率：${context.debtRatioEnd || '未提供'}%
 
+现金流量：
+- 销售商品、提供劳务收到的现金：${context.cashFromSalesCurrent || '未提供'} ${amountUnit}
+- 经营活动现金流量净额：${context.operatingCashFlowCurrent || '未提供'} ${amountUnit}（上年 ${context.operatingCashFlowLastYear || '未提供'} ${amountUnit}）
+- 投资活动现金流量净额：${context.investingCashFlowCurrent || '未提供'} ${amountUnit}
+- 筹资活动现金流量净额：${context.financingCashFlowCurrent || '未提供'} ${amountUnit}
+- 期末现金及现金等价物余额：${context.endingCashCurrent || '未提供'} ${amountUnit}
+
+财务指标（逐期列示；收益率和周转类指标按年初、期末平均余额计算，中期数据已年化）：
+${this.formatRatioContext(context)}
+${BENCHMARK_SECTIONS.includes(fieldName) ? `
+${this.formatBenchmarkContext(context)}
+` : ''}
 授信信息：
 - 授信类型：${context.creditType || '未提供'}
 - 授信金额：${context.creditAmount || '未提供'} 万元
@@ -248,13 +558,111 @@ class ApiService {
 4. 结论要客观谨慎
 5. 只返回正文内容，不要包含标题`;
 
-        const messages = [
+        return [
             { role: 'system', content: systemPrompt },
             { role: 'user', content: `${basePrompt}\n${contextText}` }
         ];
+    }
+
+    /**
+     * Shareholders, controller and key personnel as context lines. Every name follows a
+     * label (股东名称：, 自然人股东：, 主要人员：) so that the proxy's redaction finds it.
+     * @param {Object} context - Report data with shareholders / personnel lists
+     * @returns {string}
+     */
+    formatOwnershipContext(context) {
+        const shareholders = (context.shareholders || []).filter(entry => entry?.name);
+        const personnel = (context.personnel || []).filter(entry => entry?.name);
+
+        const lines = shareholders.map(entry => {
+            const person = /自然人/.test(entry.type || '') && !/非自然人/.test(entry.type)
+                || (!entry.type && /^[\u4e00-\u9fa5·]{2,4}$/.test(entry.name));
+            const details = [
+                entry.type,
+                entry.subscribedCapital && `认缴出资${entry.subscribedCapital}`,
+                entry.ratio && `持股${entry.ratio}`,
+                entry.subscribedDate && `出资日期${entry.subscribedDate}`
+            ].filter(Boolean).join('，');
+            return `- ${person ? '自然人股东' : '股东名称'}：${entry.name}${details ? `；${details}` : ''}`;
+        });
+        if (lines.length === 0) lines.push('- 股东信息：未提供');
+
+        lines.push(`- 控股股东：${context.controllingShareholder || (shareholders.length > 0 ? '无' : '未提供')}`);
+        lines.push(`- 实际控制人：${context.actualController || '未认定'}${context.actualControllerBasis ? `；${context.actualControllerBasis}` : ''}`);
+        lines.push(...personnel.map(entry => `- 主要人员：${entry.name}${entry.position ? `；${entry.position}` : ''}`));
+        return lines.join('\n');
+    }
+
+    /**
+     * One line per ratio with its value in every reporting period
+     * @param {Object} context - Report data with financialRatios (see FileParser.getFinancialRatios)
+     * @returns {string}
+     */
+    formatRatioContext(context) {
+        const ratios = context.financialRatios || [];
+        if (ratios.length === 0) return '- 未提供';
+
+        return ratios.map(ratio => {
+            const values = ratio.values
+                .map(({ label, value }) => `${label} ${value ?? '—'}${value === null || value === undefined ? '' : ratio.unit}`)
+                .join('，');
+            return `- ${ratio.group}·${ratio.label}：${values}`;
+        }).join('\n');
+    }
+
+    /**
+     * The latest ratios graded against the industry standard values, one line per ratio
+     * @param {Object} context - Report data with benchmarkComparison (see FileParser.getBenchmarkComparison)
+     * @returns {string}
+     */
+    formatBenchmarkContext(context) {
+        if (context.benchmarkSkipped) {
+            return `${context.benchmarkSkipped}。请勿评价各项指标在行业中所处的水平（优秀、良好、平均等）。`;
+        }
+        const rows = context.benchmarkComparison || [];
+        if (rows.length === 0) return '行业对标：未提供';
+
+        const lines = rows.map(row => `- ${row.label}：${row.value}${row.unit}，评价为“${row.grade}”`
+            + `（优秀值 ${row.excellent}，良好值 ${row.good}，平均值 ${row.average}，较低值 ${row.low}，较差值 ${row.poor}）`);
+        return `行业对标（${context.benchmarkPeriod}指标对比${context.benchmarkIndustry}·${context.benchmarkSize}的企业绩效评价标准值）：\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Generate text content for a specific section
+     * @param {string} fieldName - The field/section to generate content for
+     * @param {Object} context - Context data including company info, financial data
+     * @returns {Promise<string>} - Generated text content
+     */
+    async generateContent(fieldName, context) {
+        const messages = this.buildContentMessages(fieldName, context);
+
+        try {
+            const response = await this.callDeepSeek(messages, { temperature: 0.7, section: fieldName });
+            return response.trim();
+        } catch (error) {
+            console.error('Content generation error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate text content for a specific section, streaming tokens as they arrive
+     * @param {string} fieldName - The field/section to generate content for
+     * @param {Object} context - Context data including company info, financial data
+     * @param {Function} onToken - Called with each content delta
+     * @param {Object} options - Optional signal (AbortSignal) and bypassCache (force a fresh answer)
+     * @returns {Promise<string>} - Generated (possibly partial) text content
+     */
+    async generateContentStream(fieldName, context, onToken, options = {}) {
+        const messages = this.buildContentMessages(fieldName, context);
 
         try {
-            const response = await this.callDeepSeek(messages, { temperature: 0.7 });
+            const response = await this.callDeepSeekStream(messages, {
+                temperature: 0.7,
+                section: fieldName,
+                signal: options.signal,
+                bypassCache: options.bypassCache
+            }, onToken);
             return response.trim();
         } catch (error) {
             console.error('Content generation error:', error);
@@ -263,11 +671,14 @@ class ApiService {
     }
 
     /**
-     * Generate all text content at once
+     * Generate all text content at once. A failed section does not stop the batch;
+     * it is reported in `errors` (and through onFieldError) instead of as an empty string.
      * @param {Object} context - All context data
-     * @returns {Promise<Object>} - Object with all generated content
+     * @param {Object} options - Optional hooks: onFieldStart(field, index, total), onToken(field, token),
+     *   onFieldDone(field, content), onFieldError(field, error) and signal (AbortSignal)
+     * @returns {Promise<Object>} - { results: { field: content }, errors: { field: message } }
      */
-    async generateAllContent(context) {
+    async generateAllContent(context, options = {}) {
         const fields = [
             'basicSituation',
             'controllerSituation', 
@@ -282,20 +693,28 @@ class ApiService {
         ];
 
         const results = {};
+        const errors = {};
         
         // Generate content sequentially to avoid rate limiting
-        for (const field of fields) {
+        for (const [index, field] of fields.entries()) {
+            if (options.signal?.aborted) break;
+            options.onFieldStart?.(field, index, fields.length);
+
             try {
-                results[field] = await this.generateContent(field, context);
+                results[field] = options.onToken
+                    ? await this.generateContentStream(field, context, token => options.onToken(field, token), { signal: options.signal })
+                    : await this.generateContent(field, context);
+                options.onFieldDone?.(field, results[field]);
                 // Small delay between requests
                 await new Promise(resolve => setTimeout(resolve, 500));
             } catch (error) {
                 console.error(`Error generating ${field}:`, error);
-                results[field] = '';
+                errors[field] = error.message;
+                options.onFieldError?.(field, error);
             }
         }
 
-        return results;
+        return { results, errors };
     }
 
     /**
@@ -315,3 +734,8 @@ class ApiService {
 const apiService = new ApiService();
 
 
+
+// Also loadable from Node (the batch CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ApiService, apiService };
+}
@@ -27,6 +27,7 @@ async function checkServerHealth() {
             uiController.showToast('代理服务器未运行，请先启动服务器 (cd server && npm start)', 'warning');
         } else {
             console.log('✅ 代理服务器连接正常');
+            await apiService.fetchProviders();
         }
     } catch (error) {
         console.warn('⚠️ 无法连接到代理服务器:', error.message);
@@ -0,0 +1,226 @@
+/**
+ * Chart Renderer
+ * Trend charts of the parsed years as self-contained SVG, for the Step 4 preview and the
+ * generated .docx. In the browser the SVG is also rasterized to PNG, which older Word
+ * versions need; Node has no canvas and embeds the SVG only.
+ */
+
+// series[].field is a key of FileParser.getTrendData() rows; unit 'amount' is the reporting unit
+const TREND_CHARTS = [
+    {
+        key: 'revenue', title: '营业收入', type: 'bar', unit: 'amount',
+        series: [{ field: 'revenue', label: '营业收入', color: '#2563eb' }]
+    },
+    {
+        key: 'netProfit', title: '净利润', type: 'bar', unit: 'amount',
+        series: [{ field: 'netProfit', label: '净利润', color: '#16a34a' }]
+    },
+    {
+        key: 'debtRatio', title: '资产负债率', type: 'line', unit: '%',
+        series: [{ field: 'debtRatio', label: '资产负债率', color: '#dc2626' }]
+    },
+    {
+        key: 'cashFlow', title: '现金流量净额', type: 'bar', unit: 'amount',
+        series: [
+            { field: 'operatingCashFlow', label: '经营活动', color: '#2563eb' },
+            { field: 'investingCashFlow', label: '投资活动', color: '#f59e0b' },
+            { field: 'financingCashFlow', label: '筹资活动', color: '#8b5cf6' }
+        ]
+    }
+];
+
+class ChartRenderer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.width=640] - Chart width in px (also the size in the .docx at 96 dpi)
+     * @param {number} [options.height=320] - Chart height in px
+     * @param {number} [options.pixelRatio=2] - PNG resolution relative to the chart size
+     */
+    constructor(options = {}) {
+        this.width = options.width || 640;
+        this.height = options.height || 320;
+        this.pixelRatio = options.pixelRatio || 2;
+        this.fontFamily = 'Microsoft YaHei, SimSun, sans-serif';
+    }
+
+    /**
+     * Build every trend chart that has at least one value
+     * @param {Array<Object>} trendData - Rows of FileParser.getTrendData(), oldest first
+     * @param {string} [amountUnit='万元'] - Reporting unit of the amounts
+     * @returns {Array<Object>} - [{ key, title, svg, width, height }]
+     */
+    renderCharts(trendData, amountUnit = '万元') {
+        const rows = trendData || [];
+        return TREND_CHARTS
+            .filter(chart => rows.some(row => chart.series.some(series => typeof row[series.field] === 'number')))
+            .map(chart => ({
+                key: chart.key,
+                title: chart.title,
+                svg: this.renderSvg(chart, rows, chart.unit === 'amount' ? amountUnit : chart.unit),
+                width: this.width,
+                height: this.height
+            }));
+    }
+
+    /**
+     * Draw one chart: bars (grouped when there are several series) or a line per series
+     * @param {Object} chart - Entry of TREND_CHARTS
+     * @param {Array<Object>} rows - Trend data rows, one category per row
+     * @param {string} unit - Unit shown after the title
+     * @returns {string} - SVG document
+     */
+    renderSvg(chart, rows, unit) {
+        const { width, height } = this;
+        const legend = chart.series.length > 1;
+        const plot = { left: 72, right: width - 24, top: legend ? 64 : 48, bottom: height - 40 };
+
+        const values = rows.flatMap(row => chart.series.map(series => row[series.field])).filter(value => typeof value === 'number');
+        const scale = this.niceScale(Math.min(0, ...values), Math.max(0, ...values));
+        const y = value => plot.bottom - (value - scale.min) / (scale.max - scale.min) * (plot.bottom - plot.top);
+        const band = (plot.right - plot.left) / Math.max(rows.length, 1);
+        const center = index => plot.left + band * (index + 0.5);
+
+        const parts = [
+            `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+            `<text x="${width / 2}" y="26" text-anchor="middle" font-size="16" font-weight="bold" fill="#1f2937">${this.escapeXml(`${chart.title}（${unit}）`)}</text>`
+        ];
+
+        for (const tick of scale.ticks) {
+            const tickY = this.round(y(tick));
+            parts.push(`<line x1="${plot.left}" y1="${tickY}" x2="${plot.right}" y2="${tickY}" stroke="${tick === 0 ? '#9ca3af' : '#e5e7eb'}" stroke-width="1"/>`);
+            parts.push(`<text x="${plot.left - 8}" y="${tickY + 4}" text-anchor="end" font-size="11" fill="#6b7280">${this.formatValue(tick)}</text>`);
+        }
+
+        rows.forEach((row, index) => {
+            parts.push(`<text x="${this.round(center(index))}" y="${plot.bottom + 22}" text-anchor="middle" font-size="12" fill="#374151">${this.escapeXml(row.label)}</text>`);
+        });
+
+        if (chart.type === 'line') {
+            for (const series of chart.series) {
+                const points = rows
+                    .map((row, index) => ({ value: row[series.field], x: this.round(center(index)) }))
+                    .filter(point => typeof point.value === 'number')
+                    .map(point => ({ ...point, y: this.round(y(point.value)) }));
+                parts.push(`<polyline points="${points.map(point => `${point.x},${point.y}`).join(' ')}" fill="none" stroke="${series.color}" stroke-width="2"/>`);
+                for (const point of points) {
+                    parts.push(`<circle cx="${point.x}" cy="${point.y}" r="4" fill="${series.color}"/>`);
+                    parts.push(`<text x="${point.x}" y="${point.y - 10}" text-anchor="middle" font-size="11" fill="#1f2937">${this.formatValue(point.value)}</text>`);
+                }
+            }
+        } else {
+            const groupWidth = band * (chart.series.length > 1 ? 0.75 : 0.5);
+            const barWidth = groupWidth / chart.series.length;
+            rows.forEach((row, index) => {
+                chart.series.forEach((series, seriesIndex) => {
+                    const value = row[series.field];
+                    if (typeof value !== 'number') return;
+                    const x = this.round(center(index) - groupWidth / 2 + barWidth * seriesIndex);
+                    const top = this.round(Math.min(y(value), y(0)));
+                    const barHeight = this.round(Math.abs(y(value) - y(0)));
+                    const labelY = value < 0 ? top + barHeight + 14 : top - 6;
+                    parts.push(`<rect x="${x}" y="${top}" width="${this.round(barWidth - 2)}" height="${barHeight}" fill="${series.color}"/>`);
+                    parts.push(`<text x="${this.round(x + barWidth / 2 - 1)}" y="${labelY}" text-anchor="middle" font-size="${legend ? 10 : 11}" fill="#1f2937">${this.formatValue(value)}</text>`);
+                });
+            });
+        }
+
+        if (legend) {
+            chart.series.forEach((series, index) => {
+                const x = plot.left + index * 110;
+                parts.push(`<rect x="${x}" y="38" width="12" height="12" fill="${series.color}"/>`);
+                parts.push(`<text x="${x + 18}" y="48" font-size="12" fill="#374151">${this.escapeXml(series.label)}</text>`);
+            });
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${this.fontFamily}">${parts.join('')}</svg>`;
+    }
+
+    /**
+     * Axis range and ticks at 1 / 2 / 5 × 10^n steps that include zero
+     * @param {number} min
+     * @param {number} max
+     * @param {number} [count=5] - Approximate number of intervals
+     * @returns {Object} - { min, max, ticks }
+     */
+    niceScale(min, max, count = 5) {
+        const range = max - min || Math.abs(max) || 1;
+        const rough = range / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const normalized = rough / magnitude;
+        const step = (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude;
+
+        const low = Math.floor(min / step) * step;
+        const high = Math.max(Math.ceil(max / step) * step, low + step);
+        const ticks = [];
+        for (let tick = low; tick <= high + step / 2; tick += step) {
+            ticks.push(Math.round(tick / step) * step);
+        }
+        return { min: low, max: high, ticks };
+    }
+
+    /**
+     * Add a PNG rendering to every chart (browser only); charts that fail keep their SVG
+     * @param {Array<Object>} charts - Result of renderCharts
+     * @returns {Promise<Array<Object>>} - The same charts, with png (Uint8Array) where available
+     */
+    async addPngImages(charts) {
+        if (typeof document === 'undefined') return charts;
+        for (const chart of charts) {
+            try {
+                chart.png = await this.toPng(chart.svg, chart.width, chart.height);
+            } catch (error) {
+                console.warn(`Chart ${chart.key} could not be rasterized:`, error);
+            }
+        }
+        return charts;
+    }
+
+    /**
+     * Rasterize an SVG document on a canvas
+     * @param {string} svg - SVG document
+     * @param {number} width - Chart width in px
+     * @param {number} height - Chart height in px
+     * @returns {Promise<Uint8Array>} - PNG file
+     */
+    async toPng(svg, width, height) {
+        const image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('图表渲染失败'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width * this.pixelRatio;
+        canvas.height = height * this.pixelRatio;
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error('图表渲染失败');
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+
+    formatValue(value) {
+        return (Math.round(value * 100) / 100).toLocaleString('zh-CN');
+    }
+
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    escapeXml(str) {
+        return String(str ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export singleton instance
+const chartRenderer = new ChartRenderer();
+
+// Also loadable from Node (the batch CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChartRenderer, chartRenderer, TREND_CHARTS };
+}
@@ -3,12 +3,185 @@
  * Handles parsing of Word documents, Excel files, and images
  */
 
+// Line-item model (js/statementItems.js): a global in the browser, required in Node
+const STATEMENT_MODEL = typeof STATEMENT_ITEMS !== 'undefined'
+    ? { STATEMENT_ITEMS, STATEMENT_SECTIONS, STATEMENT_CHECKS, normalizeStatementLabel }
+    : require('./statementItems.js');
+
+// Ratio definitions (js/financialRatios.js), loaded the same way
+const RATIO_MODEL = typeof FINANCIAL_RATIOS !== 'undefined'
+    ? { FINANCIAL_RATIOS, RATIO_GROUPS, computeFinancialRatios }
+    : require('./financialRatios.js');
+
+// Industry standard values (js/industryBenchmarks.js)
+const BENCHMARK_MODEL = typeof INDUSTRY_BENCHMARKS !== 'undefined'
+    ? { INDUSTRY_BENCHMARKS, matchBenchmarkIndustry, matchBenchmarkSize, findBenchmarkTable, gradeRatio }
+    : require('./industryBenchmarks.js');
+
+// Amount units found in statement headers and cells, in 元
+const AMOUNT_UNITS = {
+    '元': 1,
+    '千元': 1e3,
+    '万元': 1e4,
+    '百万元': 1e6,
+    '亿元': 1e8
+};
+
+// Kinds of reporting period, by the number of months covered from the start of the year
+const PERIOD_TYPES = {
+    annual: '年报',
+    semiannual: '半年报',
+    quarterly: '季报',
+    monthly: '月报'
+};
+
+// Summary fields computed from other items rather than read from a cell
+const DERIVED_FIELDS = {
+    ownerEquity: { formula: '资产总计 - 负债合计', inputs: ['totalAssets', 'totalLiabilities'] },
+    debtRatio: { formula: '负债合计 / 资产总计', inputs: ['totalLiabilities', 'totalAssets'] },
+    currentRatio: { formula: '流动资产合计 / 流动负债合计', inputs: ['currentAssets', 'currentLiabilities'] },
+    quickRatio: { formula: '(流动资产合计 - 存货) / 流动负债合计', inputs: ['currentAssets', 'inventory', 'currentLiabilities'] }
+};
+
+// Labels of business registration fields, as printed by business licenses, 国家企业信用信息
+// 公示系统 (label：value) and 企查查 / 天眼查 (label and value in adjacent table cells)
+const BUSINESS_INFO_LABELS = {
+    companyName: ['企业名称', '公司名称', '名称'],
+    creditCode: ['统一社会信用代码', '信用代码'],
+    legalRep: ['法定代表人', '法人代表', '执行事务合伙人', '经营者', '负责人'],
+    registeredCapital: ['注册资本', '注册资金', '出资额'],
+    establishDate: ['成立日期', '注册日期', '成立时间'],
+    registeredAddress: ['注册地址', '企业地址', '住所', '经营场所', '主要经营场所', '营业场所', '地址'],
+    businessScope: ['经营范围'],
+    industry: ['所属行业', '国标行业', '企查查行业', '天眼查行业', '行业'],
+    companyType: ['企业类型', '公司类型', '类型', '组成形式'],
+    employeeCount: ['参保人数', '员工人数', '人员规模', '员工'],
+    companySize: ['企业规模', '规模']
+};
+
+// Values that can be picked out of a row by their shape, wherever they sit
+const BUSINESS_VALUE_PATTERNS = {
+    creditCode: /(?<![0-9A-Z])[0-9A-HJ-NPQRTUWXY]{2}\d{6}[0-9A-HJ-NPQRTUWXY]{10}(?![0-9A-Z])/,
+    establishDate: /\d{4}\s*[-\/年.]\s*\d{1,2}\s*[-\/月.]\s*\d{1,2}\s*日?/,
+    registeredCapital: /\d[\d,.]*\s*(?:万|亿)?\s*(?:元)?\s*(?:人民币|美元|港元|港币|欧元|日元)?(?:元)?/,
+    employeeCount: /\d+\s*(?:-\s*\d+\s*)?人/,
+    companySize: /(?:大型|中型|小型|微型|小微)(?:企业)?/
+};
+
+// Addresses without a label (企查查 / 天眼查 show them next to an icon)
+const ADDRESS_PATTERN = /[\u4e00-\u9fa5]+(?:省|市|自治区|区|县)[\u4e00-\u9fa5\dA-Za-z\-－]*(?:号|栋|幢|楼|室|层|院|园)/;
+
+// Other labels on those pages; they end the value of the field before them
+const BUSINESS_INFO_OTHER_LABELS = [
+    '登记状态', '经营状态', '企业状态', '实缴资本', '工商注册号', '注册号', '纳税人识别号', '组织机构代码',
+    '营业期限', '营业期限自', '营业期限至', '经营期限', '登记机关', '核准日期', '发照日期', '曾用名', '英文名',
+    '英文名称', '纳税人资质', '所属地区', '进出口企业代码', '电话', '邮箱', '官网', '网址', '简介', '更多',
+    '关联企业', '查看地图', '附近企业'
+];
+
+// Pages of a company's registry record. A screenshot's type is guessed from its file name;
+// each type is recognized with its own prompt and the results are merged into one profile.
+const BUSINESS_PAGE_TYPES = {
+    basic: { label: '基本信息', keywords: ['基本信息', '工商信息', '照面', '营业执照', '工商'] },
+    shareholders: { label: '股东信息', keywords: ['股东', '出资'] },
+    personnel: { label: '主要人员', keywords: ['主要人员', '人员', '高管', '董监高'] },
+    changes: { label: '变更记录', keywords: ['变更'] },
+    investments: { label: '对外投资', keywords: ['对外投资', '投资'] }
+};
+
+// Registered company names, for pages that show the name as a headline without a label
+const COMPANY_NAME_PATTERN = /[\u4e00-\u9fa5（）()]{2,40}?(?:集团股份有限公司|集团有限公司|股份有限公司|有限责任公司|有限公司|股份合作公司|合伙企业|（有限合伙）|\(有限合伙\))/;
+
+// Columns of the 股东 and 主要人员 tables, as edited in Step 2 and looped over in templates
+const BUSINESS_LIST_COLUMNS = {
+    shareholders: {
+        name: '股东名称',
+        type: '股东类型',
+        subscribedCapital: '认缴出资额',
+        ratio: '持股比例',
+        subscribedDate: '认缴出资日期'
+    },
+    personnel: {
+        name: '姓名',
+        position: '职务'
+    }
+};
+
+// Positions listed under 主要人员; combined ones (执行董事兼总经理) are read as one
+const PERSONNEL_POSITIONS = [
+    '董事长', '副董事长', '执行董事', '独立董事', '职工董事', '董事', '总经理', '副总经理', '经理',
+    '总裁', '副总裁', '监事会主席', '职工代表监事', '职工监事', '监事', '财务负责人'
+];
+
+// Section headings of registry extracts; the rows below one belong to that list
+const BUSINESS_LIST_HEADINGS = [
+    { list: 'shareholders', pattern: /^(?:股东及出资信息|股东信息|发起人及出资信息|股东[（(]发起人[）)]|股东\d*$)/ },
+    { list: 'personnel', pattern: /^(?:主要人员信息|主要人员|董监高)/ },
+    { list: null, pattern: /^(?:变更信息|变更记录|对外投资|分支机构|动产抵押|股权出质|行政处罚|经营异常|年报信息)/ }
+];
+
+// GB 32100-2015 统一社会信用代码: 18 characters of this set (no I, O, S, V, Z), 3rd-8th being
+// the administrative division code; the 18th is a check character over the first 17
+const CREDIT_CODE_CHARS = '0123456789ABCDEFGHJKLMNPQRTUWXY';
+const CREDIT_CODE_WEIGHTS = [1, 3, 9, 27, 19, 26, 16, 17, 20, 29, 25, 13, 8, 24, 10, 30, 28];
+
+// Characters OCR reads for one another
+const OCR_CONFUSIONS = {
+    O: ['0', 'D', 'Q'], I: ['1', 'L'], Z: ['2'], S: ['5'], V: ['U', 'Y'],
+    0: ['D', 'Q'], D: ['0'], Q: ['0'], 8: ['B'], B: ['8'], 6: ['G'], G: ['6'],
+    1: ['L', 'T'], L: ['1'], T: ['1', '7'], 7: ['T'], 2: ['Z'], 5: ['S'], U: ['V']
+};
+
+// Currencies of registered capital; anything else is 人民币
+const CAPITAL_CURRENCIES = [
+    { name: '美元', pattern: /美元|USD|US\$/i },
+    { name: '港元', pattern: /港元|港币|HKD/i },
+    { name: '欧元', pattern: /欧元|EUR/i },
+    { name: '日元', pattern: /日元|JPY/i },
+    { name: '英镑', pattern: /英镑|GBP/i }
+];
+
+// Chinese numerals, both the financial (壹贰叁) and the common (一二三) forms
+const CHINESE_DIGITS = {
+    '零': 0, '〇': 0, '壹': 1, '一': 1, '贰': 2, '二': 2, '两': 2, '叁': 3, '三': 3, '肆': 4, '四': 4,
+    '伍': 5, '五': 5, '陆': 6, '六': 6, '柒': 7, '七': 7, '捌': 8, '八': 8, '玖': 9, '九': 9
+};
+const CHINESE_UNITS = { '拾': 10, '十': 10, '佰': 100, '百': 100, '仟': 1000, '千': 1000 };
+
 class FileParser {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.XLSX] - SheetJS module; defaults to the global XLSX
+     * @param {string} [options.reportingUnit='万元'] - Unit of the amounts in getFinancialSummary()
+     * @param {number} [options.reviewThreshold=0.85] - Values extracted with a lower confidence need manual review
+     * @param {number} [options.checkTolerance=0.0001] - Relative difference accepted by validateFinancialData()
+     * @param {Object} [options.pdfjsLib] - pdf.js module; defaults to the global pdfjsLib
+     * @param {string} [options.pdfCMapUrl] - pdf.js cmaps/ directory; defaults to the one next to the worker
+     * @param {boolean} [options.quiet=false] - Leave out the progress log (the batch CLI without --verbose)
+     */
+    constructor(options = {}) {
+        this.XLSX = options.XLSX || null;
+        this.pdfjsLib = options.pdfjsLib || null;
+        this.pdfCMapUrl = options.pdfCMapUrl || null;
+        this.quiet = Boolean(options.quiet);
+        this.reportingUnit = AMOUNT_UNITS[options.reportingUnit] ? options.reportingUnit : '万元';
+        this.reviewThreshold = options.reviewThreshold ?? 0.85;
+        this.checkTolerance = options.checkTolerance ?? 0.0001;
+        this.summarySources = {};
         this.templateContent = null;
         this.templateZip = null;
         this.financialData = null;
         this.businessInfo = null;
+        // [{ fileName, pageType, info }] behind businessInfo, and the fields they disagree on
+        this.businessPages = [];
+        this.businessConflicts = {};
+    }
+
+    /**
+     * Progress log, left out when quiet
+     */
+    log(...args) {
+        if (!this.quiet) console.log(...args);
     }
 
     /**
@@ -68,44 +241,65 @@ class FileParser {
     }
 
     /**
-     * Parse Excel financial statements
-     * @param {File[]} files - Array of Excel files
+     * Parse financial statements (Excel workbooks or PDF files)
+     * @param {File[]} files - Array of Excel or PDF files
+     * @param {Object} [options]
+     * @param {Function} [options.ocrPage] - (imageDataUrl) => Promise<string> table text, for PDF pages without a text layer
      * @returns {Promise<Object>} - Parsed financial data
      */
-    async parseExcelFiles(files) {
+    async parseExcelFiles(files, options = {}) {
         const allData = {
             balanceSheet: [],      // 资产负债表
             incomeStatement: [],   // 利润表
             cashFlow: [],          // 现金流量表
+            files: [],             // 每个文件（及年度）的报表期间与金额单位
             rawData: {}            // 原始数据
         };
 
         for (const file of files) {
             try {
-                const data = await this.parseExcelFile(file);
-                
-                // Try to identify the type of financial statement
-                const fileName = file.name.toLowerCase();
-                
-                // Merge data based on year
-                if (data.year) {
-                    allData.rawData[data.year] = data;
-                }
+                const parsed = /\.pdf$/i.test(file.name)
+                    ? await this.parsePdfStatements(file, file.name, options)
+                    : await this.parseExcelFile(file);
 
-                // Extract balance sheet data
-                if (data.balanceSheet) {
-                    allData.balanceSheet.push({
+                // A workbook may hold several years
+                for (const data of parsed) {
+                    allData.files.push({
+                        name: file.name,
                         year: data.year,
-                        ...data.balanceSheet
+                        period: data.period,
+                        unit: data.unit,
+                        detectedUnit: data.detectedUnit
                     });
-                }
 
-                // Extract income statement data
-                if (data.incomeStatement) {
-                    allData.incomeStatement.push({
-                        year: data.year,
-                        ...data.incomeStatement
-                    });
+                    // Merge data based on year
+                    if (data.year) {
+                        allData.rawData[data.year] = data;
+                    }
+
+                    // Extract balance sheet data
+                    if (data.balanceSheet) {
+                        allData.balanceSheet.push({
+                            year: data.year,
+                            ...data.balanceSheet
+                        });
+                    }
+
+                    // Extract income statement data
+                    if (data.incomeStatement) {
+                        allData.incomeStatement.push({
+                            year: data.year,
+                            ...data.incomeStatement
+                        });
+                    }
+
+                    // Extract cash flow statement data
+                    if (data.cashFlow) {
+                        allData.cashFlow.push({
+                            year: data.year,
+                            ...data.cashFlow
+                        });
+                    }
                 }
             } catch (error) {
                 console.error(`Error parsing ${file.name}:`, error);
@@ -115,6 +309,7 @@ class FileParser {
         // Sort by year
         allData.balanceSheet.sort((a, b) => (a.year || 0) - (b.year || 0));
         allData.incomeStatement.sort((a, b) => (a.year || 0) - (b.year || 0));
+        allData.cashFlow.sort((a, b) => (a.year || 0) - (b.year || 0));
 
         this.financialData = allData;
         return allData;
@@ -123,205 +318,764 @@ class FileParser {
     /**
      * Parse a single Excel file
      * @param {File} file - Excel file
-     * @returns {Promise<Object>} - Parsed data
+     * @returns {Promise<Array>} - Parsed data per year, see parseExcelBuffer()
      */
     async parseExcelFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+        let buffer;
+        try {
+            buffer = await file.arrayBuffer();
+        } catch (error) {
+            throw new Error('读取Excel文件失败');
+        }
+        return this.parseExcelBuffer(buffer, file.name);
+    }
+
+    /**
+     * Parse Excel workbook contents
+     * @param {ArrayBuffer} buffer - Workbook bytes
+     * @param {string} fileName - Original file name (fallback for the year)
+     * @returns {Array} - Parsed data, one entry per year, oldest first
+     */
+    parseExcelBuffer(buffer, fileName) {
+        try {
+            const xlsx = this.XLSX || XLSX;
+            const workbook = xlsx.read(new Uint8Array(buffer), { type: 'array' });
             
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-                    
-                    const result = {
-                        year: this.extractYearFromFileName(file.name),
-                        balanceSheet: {},
-                        incomeStatement: {},
-                        sheets: {}
-                    };
-
-                    // Process each sheet
-                    workbook.SheetNames.forEach(sheetName => {
-                        const sheet = workbook.Sheets[sheetName];
-                        const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-                        result.sheets[sheetName] = jsonData;
-                        
-                        // Try to extract financial data from the sheet
-                        this.extractFinancialData(jsonData, result);
-                    });
+            const sheets = workbook.SheetNames.map(sheetName => {
+                const sheet = workbook.Sheets[sheetName];
+                const range = sheet['!ref'] ? xlsx.utils.decode_range(sheet['!ref']) : null;
+                return {
+                    sheetName,
+                    rows: xlsx.utils.sheet_to_json(sheet, { header: 1 }),
+                    // Formatted text of the title rows, which tells a date cell from a number
+                    titles: range
+                        ? xlsx.utils.sheet_to_json(sheet, {
+                            header: 1,
+                            raw: false,
+                            range: { s: range.s, e: { r: Math.min(range.e.r, range.s.r + 7), c: range.e.c } }
+                        })
+                        : [],
+                    // Top-left cell of the used range, so row/column indexes map back to addresses
+                    origin: range ? range.s : { r: 0, c: 0 }
+                };
+            });
+            return this.buildStatementResults(sheets, fileName);
+        } catch (error) {
+            console.error('Error parsing Excel:', error);
+            throw new Error('无法解析Excel文件');
+        }
+    }
 
-                    resolve(result);
-                } catch (error) {
-                    console.error('Error parsing Excel:', error);
-                    reject(new Error('无法解析Excel文件'));
-                }
+    /**
+     * Extract statements from the sheets (or PDF pages) of one file. The reporting period of
+     * each sheet is read from its title rows (编制单位 … 2025年12月31日, 2025年1-9月, a date
+     * cell), then from the sheet name and finally the file name, so one file may hold several
+     * years; a sheet with one column per year (2023年 | 2024年) is split the same way.
+     * @param {Array} sheets - [{ sheetName, rows, titles?, origin?, confidence?, addressOf? }]
+     * @param {string} fileName - Original file name
+     * @returns {Array} - Parsed data, one entry per year, oldest first
+     */
+    buildStatementResults(sheets, fileName) {
+        sheets.forEach(sheet => {
+            sheet.unit = this.detectUnit(sheet.rows);
+            sheet.period = this.detectPeriod(sheet.rows, sheet.titles || sheet.rows, sheet.sheetName);
+        });
+        const detectedUnit = sheets.map(sheet => sheet.unit).find(Boolean) || null;
+        const defaultPeriod = sheets.map(sheet => sheet.period).find(Boolean)
+            || this.periodFromYear(this.extractYearFromFileName(fileName));
+
+        // Sheets and their origins are shared by every year of the file
+        const sheetData = {};
+        const sheetOrigins = {};
+        const results = new Map();
+        const resultFor = period => {
+            const year = period?.year ?? null;
+            const existing = results.get(year);
+            if (existing) {
+                // A period read from the contents beats one guessed from the file name
+                if (period && !existing.period?.detected && period.detected) existing.period = period;
+                return existing;
+            }
+
+            const result = {
+                fileName,
+                year,
+                // { year, endDate, months, type, label, detected }
+                period,
+                // Amounts are stored in this unit; 元 when the header does not say
+                unit: detectedUnit || '元',
+                detectedUnit,
+                balanceSheet: {},
+                incomeStatement: {},
+                cashFlow: {},
+                // Comparative columns of the same statements (年初余额 / 上年金额 / 上期金额)
+                prior: {
+                    balanceSheet: {},
+                    incomeStatement: {},
+                    cashFlow: {}
+                },
+                // What the comparative flows cover, by statement: 'year' (the previous full year) or 'period'
+                priorSpans: {},
+                // Where each value came from: { current|prior: { statement: { key: source } } }
+                sources: {
+                    current: { balanceSheet: {}, incomeStatement: {}, cashFlow: {} },
+                    prior: { balanceSheet: {}, incomeStatement: {}, cashFlow: {} }
+                },
+                sheets: sheetData,
+                sheetOrigins
             };
+            results.set(year, result);
+            return result;
+        };
+
+        // Process each sheet
+        sheets.forEach(({ sheetName, rows, unit, period, origin = { r: 0, c: 0 }, confidence, addressOf }) => {
+            sheetData[sheetName] = rows;
+            sheetOrigins[sheetName] = origin;
+            const result = resultFor(period || defaultPeriod);
             
-            reader.onerror = () => reject(new Error('读取Excel文件失败'));
-            reader.readAsArrayBuffer(file);
+            // Try to extract financial data from the sheet
+            this.extractFinancialData(rows, result, { unit: unit || result.unit, sheetName, origin, resultFor, confidence, addressOf });
+        });
+
+        const parsed = Array.from(results.values());
+        parsed.forEach(result => {
+            this.calculateDerivedMetrics(result.balanceSheet, result.incomeStatement);
+            this.calculateDerivedMetrics(result.prior.balanceSheet, result.prior.incomeStatement);
+        });
+
+        // Drop years that received nothing (e.g. the file-name year of a workbook with year columns)
+        const withData = parsed.filter(result => ['balanceSheet', 'incomeStatement', 'cashFlow']
+            .some(statement => Object.keys(result[statement]).length > 0));
+        return (withData.length > 0 ? withData : parsed).sort((a, b) => (a.year || 0) - (b.year || 0));
+    }
+
+    /**
+     * Read every page of a PDF: its text layer and, for pages without one (scans), a
+     * rendered image for OCR
+     * @param {File|ArrayBuffer|Uint8Array} source - PDF file or bytes
+     * @param {Object} [options]
+     * @param {boolean} [options.render=true] - Render pages without a text layer (needs a DOM canvas)
+     * @param {number} [options.scale=2] - Render scale; 2 keeps small print legible for OCR
+     * @returns {Promise<Array>} - [{ pageNumber, text, items, image }], image is a JPEG data URL or null
+     */
+    async readPdfPages(source, { render = true, scale = 2 } = {}) {
+        const pdfjs = this.pdfjsLib || (typeof pdfjsLib !== 'undefined' ? pdfjsLib : null);
+        if (!pdfjs) {
+            throw new Error('PDF 解析组件未加载');
+        }
+
+        const buffer = typeof source.arrayBuffer === 'function' ? await source.arrayBuffer() : source;
+        // Character maps for PDFs that use the standard CJK fonts without embedding them
+        const workerSrc = pdfjs.GlobalWorkerOptions?.workerSrc || '';
+        const cMapUrl = this.pdfCMapUrl || (workerSrc ? workerSrc.replace(/build\/[^/]*$/, 'cmaps/') : undefined);
+        let pdf;
+        try {
+            pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer), cMapUrl, cMapPacked: true }).promise;
+        } catch (error) {
+            console.error('Error opening PDF:', error);
+            throw new Error('无法打开PDF文件');
+        }
+
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            const items = content.items.filter(item => typeof item.str === 'string');
+            const text = items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('');
+
+            // A handful of characters is usually a scan with a stamp or page number on it
+            let image = null;
+            if (text.replace(/\s/g, '').length < 20 && render && typeof document !== 'undefined') {
+                const viewport = page.getViewport({ scale });
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(viewport.width);
+                canvas.height = Math.ceil(viewport.height);
+                await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+                image = canvas.toDataURL('image/jpeg', 0.9);
+            }
+
+            pages.push({ pageNumber, text, items, image });
+            page.cleanup();
+        }
+        await pdf.destroy();
+        return pages;
+    }
+
+    /**
+     * Extract statements from a PDF (e.g. an audit report). Pages with a text layer are
+     * rebuilt into rows and columns; scanned pages are transcribed by ocrPage when given.
+     * Each page is treated like a worksheet named 第N页.
+     * @param {File|ArrayBuffer} source - PDF file or bytes
+     * @param {string} fileName - Original file name
+     * @param {Object} [options]
+     * @param {Function} [options.ocrPage] - (imageDataUrl) => Promise<string> table text, tab or | separated
+     * @returns {Promise<Array>} - Parsed data per year, see buildStatementResults()
+     */
+    async parsePdfStatements(source, fileName, { ocrPage } = {}) {
+        const pages = await this.readPdfPages(source, { render: Boolean(ocrPage) });
+        const sheets = [];
+
+        for (const page of pages) {
+            const sheetName = `第${page.pageNumber}页`;
+            const addressOf = (row, col) => `第${page.pageNumber}页第${row + 1}行第${col + 1}列`;
+
+            if (!page.image) {
+                sheets.push({ sheetName, rows: this.pdfTextToRows(page.items), confidence: 0.9, addressOf });
+            } else if (ocrPage) {
+                try {
+                    const text = await ocrPage(page.image);
+                    sheets.push({ sheetName, rows: this.tableTextToRows(text), confidence: 0.75, addressOf });
+                } catch (error) {
+                    console.error(`OCR failed for ${fileName} page ${page.pageNumber}:`, error);
+                }
+            }
+        }
+
+        // Only pages that look like statements; notes and the audit opinion are skipped
+        const statements = sheets.filter(sheet => this.detectStatementType(sheet.rows)
+            || sheet.rows.some(row => this.detectPeriodColumns(row).length > 0));
+        return this.buildStatementResults(statements.length > 0 ? statements : sheets, fileName);
+    }
+
+    /**
+     * Rebuild table rows from the text runs of a PDF page. Runs on one baseline form a
+     * row and runs about a character apart form a cell; below a header row (期末余额 /
+     * 年初余额 ...) cells are placed in the header's columns, so amounts stay in their
+     * column when a cell is empty.
+     * @param {Array} items - pdf.js text items
+     * @returns {Array} - 2D array like sheet_to_json(..., { header: 1 })
+     */
+    pdfTextToRows(items) {
+        const runs = items
+            .filter(item => item.str && item.str.trim())
+            .map(item => ({
+                text: item.str.trim(),
+                x0: item.transform[4],
+                x1: item.transform[4] + (item.width || 0),
+                y: item.transform[5],
+                size: Math.abs(item.transform[3]) || item.height || 10
+            }))
+            .sort((a, b) => b.y - a.y || a.x0 - b.x0);
+
+        const lines = [];
+        for (const run of runs) {
+            const line = lines[lines.length - 1];
+            if (line && Math.abs(line.y - run.y) <= run.size * 0.5) {
+                line.runs.push(run);
+            } else {
+                lines.push({ y: run.y, runs: [run] });
+            }
+        }
+
+        const isAmount = text => /^[(（-]?[\d,，]+(\.\d+)?[)）]?$/.test(text);
+        let boundaries = null;
+
+        return lines.map(line => {
+            const cells = [];
+            line.runs.sort((a, b) => a.x0 - b.x0).forEach(run => {
+                const cell = cells[cells.length - 1];
+                if (cell && run.x0 - cell.x1 < run.size * 0.8 && !(isAmount(cell.text) && isAmount(run.text))) {
+                    cell.text += run.text;
+                    cell.x1 = Math.max(cell.x1, run.x1);
+                } else {
+                    cells.push({ ...run });
+                }
+            });
+            const texts = cells.map(cell => cell.text);
+
+            if (this.detectPeriodColumns(texts).length > 0) {
+                // Column borders halfway between the header cells
+                const centers = cells.map(cell => (cell.x0 + cell.x1) / 2);
+                boundaries = centers.slice(1).map((center, index) => (centers[index] + center) / 2);
+                return texts;
+            }
+            if (!boundaries) return texts;
+
+            const row = [];
+            cells.forEach(cell => {
+                // Labels are left-aligned, amounts are placed by their middle
+                const x = isAmount(cell.text) ? (cell.x0 + cell.x1) / 2 : cell.x0;
+                const col = boundaries.filter(boundary => x > boundary).length;
+                row[col] = row[col] === undefined ? cell.text : row[col] + cell.text;
+            });
+            return Array.from(row, value => value ?? null);
         });
     }
 
     /**
-     * Extract year from file name
+     * Split a transcribed table (tab separated, or a Markdown table) into rows
+     * @param {string} text - OCR output
+     * @returns {Array} - 2D array like sheet_to_json(..., { header: 1 })
+     */
+    tableTextToRows(text) {
+        return String(text || '')
+            .replace(/```[a-z]*\n?/gi, '')
+            .split('\n')
+            .filter(line => line.trim() && !/^[\s|:-]+$/.test(line))
+            .map(line => {
+                const cells = line.includes('\t') ? line.split('\t') : line.replace(/^\s*\||\|\s*$/g, '').split('|');
+                return cells.map(cell => cell.trim() || null);
+            });
+    }
+
+    /**
+     * Extract year from file name (used when the sheets do not state their period)
      * @param {string} fileName - File name
      * @returns {number|null} - Year or null
      */
     extractYearFromFileName(fileName) {
-        const match = fileName.match(/(\d{4})/);
+        const match = fileName.match(/(?:^|\D)((?:19|20)\d{2})(?!\d)/);
         return match ? parseInt(match[1]) : null;
     }
 
+    /**
+     * Reporting period of a sheet, read from the title rows above its column header, or
+     * failing that from the sheet name
+     * @param {Array} rows - Sheet rows (raw values)
+     * @param {Array} [titles] - Formatted text of the first rows
+     * @param {string} [sheetName] - Worksheet name
+     * @returns {Object|null} - Period, see makePeriod()
+     */
+    detectPeriod(rows, titles = [], sheetName = '') {
+        for (let i = 0; i < Math.min(rows.length, 8); i++) {
+            const row = rows[i] || [];
+            if (this.detectPeriodColumns(row).length > 0) break;
+
+            for (let col = 0; col < row.length; col++) {
+                const date = this.parseDateCell(row[col], titles[i]?.[col]);
+                if (date) return this.makePeriod(date);
+            }
+        }
+
+        const date = this.parseDateCell(sheetName);
+        if (date) return this.makePeriod(date);
+
+        // A bare year in the sheet name (2024, 2024资产负债表) names a full year
+        const year = String(sheetName).match(/(?:^|\D)((?:19|20)\d{2})(?!\d)/);
+        return year ? this.makePeriod({ year: +year[1], month: 12, day: 31 }) : null;
+    }
+
+    /**
+     * Read a date from a cell: an Excel date serial, or text such as 2025年12月31日,
+     * 2025-06-30, 2025年9月, 2025年1-9月, 2025年第三季度, 2025年上半年 or 2024年度
+     * @param {*} value - Raw cell value
+     * @param {string} [text] - Formatted text of the cell; a date serial is only trusted when it is formatted as a date
+     * @returns {Object|null} - { year, month, day }, day is null when only the month is given
+     */
+    parseDateCell(value, text) {
+        const valid = date => (date.year >= 1990 && date.year <= 2100 && date.month >= 1 && date.month <= 12 ? date : null);
+
+        if (typeof value === 'number') {
+            const formatted = String(text ?? '').trim();
+            if (!Number.isInteger(value) || value < 32874 || value > 73050 || !formatted || /^[\d,.]+$/.test(formatted)) {
+                return null;
+            }
+            const date = new Date(Math.round((value - 25569) * 86400000));
+            return valid({
+                year: date.getUTCFullYear(),
+                month: date.getUTCMonth() + 1,
+                // Formatted as 2025年6月: the statement is for the month
+                day: /年\d{1,2}月$/.test(formatted.replace(/\s/g, '')) ? null : date.getUTCDate()
+            });
+        }
+
+        const compact = String(value ?? '').replace(/[\s　]/g, '');
+        const quarters = { '一': 1, '二': 2, '三': 3, '四': 4, '1': 1, '2': 2, '3': 3, '4': 4 };
+        let match;
+        if ((match = compact.match(/(\d{4})年度?\d{1,2}[-－—~～至](\d{1,2})月/))) {
+            return valid({ year: +match[1], month: +match[2], day: null });
+        }
+        if ((match = compact.match(/(\d{4})[年\-/.](\d{1,2})[月\-/.](\d{1,2})/))) {
+            return valid({ year: +match[1], month: +match[2], day: +match[3] });
+        }
+        if ((match = compact.match(/(\d{4})年?第?([一二三四1-4])季度/))) {
+            return valid({ year: +match[1], month: quarters[match[2]] * 3, day: null });
+        }
+        if ((match = compact.match(/(\d{4})年?前三季度/))) {
+            return valid({ year: +match[1], month: 9, day: null });
+        }
+        if ((match = compact.match(/(\d{4})年?(?:上半年|半年度|中期)/))) {
+            return valid({ year: +match[1], month: 6, day: null });
+        }
+        if ((match = compact.match(/(\d{4})(?:年|[-/.](?=\d{1,2}(?:\D|$)))(\d{1,2})月?/))) {
+            return valid({ year: +match[1], month: +match[2], day: null });
+        }
+        if ((match = compact.match(/(\d{4})年/))) {
+            return valid({ year: +match[1], month: 12, day: 31 });
+        }
+        return null;
+    }
+
+    /**
+     * Reporting period ending at a date, counted from the start of the year
+     * @param {Object} date - { year, month, day } from parseDateCell()
+     * @returns {Object} - { year, endDate, months, type, label, detected }
+     */
+    makePeriod({ year, month, day }) {
+        const pad = number => String(number).padStart(2, '0');
+        const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const type = month === 12 ? 'annual' : month === 6 ? 'semiannual' : month % 3 === 0 ? 'quarterly' : 'monthly';
+
+        return {
+            year,
+            endDate: `${year}-${pad(month)}-${pad(day || lastDay)}`,
+            months: month,
+            type,
+            label: type === 'annual' ? `${year}年度` : `${year}年1-${month}月`,
+            detected: true
+        };
+    }
+
+    /**
+     * Period assumed for a year known only from the file name (a full year)
+     * @param {number|null} year - Year
+     * @returns {Object|null}
+     */
+    periodFromYear(year) {
+        if (!year) return null;
+        return { year, endDate: `${year}-12-31`, months: 12, type: 'annual', label: `${year}年`, detected: false };
+    }
+
+    /**
+     * Detect the amount unit from a sheet header (单位：元 / 千元 / 万元 / 亿元)
+     * @param {Array} sheetData - 2D array of sheet data
+     * @returns {string|null} - Unit or null when the header does not state one
+     */
+    detectUnit(sheetData) {
+        const pattern = /(?:单位|金额单位)\s*[:：]\s*(?:人民币)?\s*(百万元|亿元|万元|千元|元)/;
+        for (const row of sheetData.slice(0, 10)) {
+            for (const cell of row || []) {
+                const match = String(cell ?? '').match(pattern);
+                if (match) return match[1];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parse an amount, honouring a unit suffix in the cell (e.g. "1,234.5万元")
+     * @param {any} value - Cell value
+     * @param {string} sheetUnit - Unit of the sheet, used when the cell has none
+     * @param {string} targetUnit - Unit to convert to
+     * @returns {number|null} - Amount in targetUnit or null
+     */
+    parseAmount(value, sheetUnit, targetUnit) {
+        const amount = this.parseNumber(value);
+        if (amount === null) return null;
+
+        const suffix = typeof value === 'string' ? value.trim().match(/(百万元|亿元|万元|千元|元|亿|万)$/) : null;
+        const unit = suffix ? (AMOUNT_UNITS[suffix[1]] ? suffix[1] : `${suffix[1]}元`) : sheetUnit;
+        if (unit === targetUnit) return amount;
+        return amount * (AMOUNT_UNITS[unit] / AMOUNT_UNITS[targetUnit]);
+    }
+
+    /**
+     * Which statement a sheet holds, from its name or title rows
+     * @param {Array} sheetData - 2D array of sheet data
+     * @param {string} [sheetName] - Worksheet name
+     * @returns {string|null} - 'balanceSheet', 'incomeStatement', 'cashFlow' or null when unclear
+     */
+    detectStatementType(sheetData, sheetName = '') {
+        const title = [sheetName, ...sheetData.slice(0, 5).flat()]
+            .map(cell => String(cell ?? '').replace(/\s/g, ''))
+            .join('|');
+
+        if (/现金流量表/.test(title)) return 'cashFlow';
+        if (/利润表|损益表|利润及利润分配表/.test(title)) return 'incomeStatement';
+        if (/资产负债表/.test(title)) return 'balanceSheet';
+        return null;
+    }
+
+    /**
+     * Find the line item a normalized label refers to.
+     * Exact label = 1, alias = 0.9, label containing an item name = 0.8 × length ratio;
+     * items of another cash flow section or another statement than the sheet's score half.
+     * @param {string} label - Normalized label (normalizeStatementLabel)
+     * @param {string|null} statement - Statement of the sheet, null when unknown
+     * @param {string|null} section - Current cash flow section
+     * @returns {Object|null} - { statement, key, label, score, type } or null below the threshold
+     */
+    matchLineItem(label, statement, section) {
+        if (!label) return null;
+
+        let best = null;
+        for (const [statementKey, items] of Object.entries(STATEMENT_MODEL.STATEMENT_ITEMS)) {
+            for (const item of items) {
+                let score = 0;
+                let type = null;
+                const names = [item.label, ...(item.aliases || [])];
+
+                if (label === item.label) {
+                    score = 1;
+                    type = 'exact';
+                } else if (names.includes(label)) {
+                    score = 0.9;
+                    type = 'alias';
+                } else {
+                    for (const name of names) {
+                        if (name.length >= 2 && label.includes(name)) {
+                            const partial = 0.8 * name.length / label.length;
+                            if (partial > score) {
+                                score = partial;
+                                type = 'partial';
+                            }
+                        }
+                    }
+                }
+                if (score === 0) continue;
+
+                if (statement && statementKey !== statement) score *= 0.5;
+                if (item.section && section && item.section !== section) score *= 0.5;
+
+                if (!best || score > best.score) {
+                    best = { statement: statementKey, key: item.key, label: item.label, score, type };
+                }
+            }
+        }
+
+        return best && best.score >= 0.5 ? best : null;
+    }
+
     /**
      * Extract financial data from sheet data
      * @param {Array} sheetData - 2D array of sheet data
      * @param {Object} result - Result object to populate
+     * @param {Object} [options]
+     * @param {string} [options.unit] - Amount unit of this sheet, defaults to result.unit
+     * @param {string} [options.sheetName] - Worksheet name, used to tell which statement the sheet holds
+     * @param {Object} [options.origin] - Address of sheetData[0][0] as { r, c }, for source cell addresses
+     * @param {Function} [options.resultFor] - (period) => result object of that year, for sheets with one column per year
+     * @param {number} [options.confidence=1] - Confidence of the sheet's layout (lower for PDF text and OCR)
+     * @param {Function} [options.addressOf] - (row, col) => cell name shown as the source; defaults to A1 addresses
      */
-    extractFinancialData(sheetData, result) {
-        console.log('Extracting financial data from sheet with', sheetData.length, 'rows');
+    extractFinancialData(sheetData, result, options = {}) {
+        const fileUnit = result.unit || '元';
+        const sheetUnit = options.unit || fileUnit;
+        const sheetName = options.sheetName || '';
+        const origin = options.origin || { r: 0, c: 0 };
+        const resultFor = options.resultFor || (() => result);
+        const layoutConfidence = options.confidence ?? 1;
+        const addressOf = options.addressOf || ((row, col) => this.cellAddress(origin.r + row, origin.c + col));
+        this.log('Extracting financial data from sheet with', sheetData.length, 'rows');
         
-        // Common financial terms to look for (expanded list)
-        const balanceSheetTerms = {
-            '资产总计': 'totalAssets',
-            '资产总额': 'totalAssets',
-            '资产合计': 'totalAssets',
-            '资产总数': 'totalAssets',
-            '总资产': 'totalAssets',
-            '负债总计': 'totalLiabilities',
-            '负债总额': 'totalLiabilities',
-            '负债合计': 'totalLiabilities',
-            '总负债': 'totalLiabilities',
-            '所有者权益合计': 'ownerEquity',
-            '所有者权益': 'ownerEquity',
-            '股东权益合计': 'ownerEquity',
-            '股东权益': 'ownerEquity',
-            '净资产': 'ownerEquity',
-            '实收资本': 'paidInCapital',
-            '流动资产合计': 'currentAssets',
-            '流动资产': 'currentAssets',
-            '流动负债合计': 'currentLiabilities',
-            '流动负债': 'currentLiabilities',
-            '存货': 'inventory',
-            '应收账款': 'accountsReceivable',
-            '货币资金': 'cashAndEquivalents'
+        result.prior = result.prior || { balanceSheet: {}, incomeStatement: {}, cashFlow: {} };
+        result.priorSpans = result.priorSpans || {};
+        result.sources = result.sources || {
+            current: { balanceSheet: {}, incomeStatement: {}, cashFlow: {} },
+            prior: { balanceSheet: {}, incomeStatement: {}, cashFlow: {} }
         };
+        const statement = this.detectStatementType(sheetData, sheetName);
+        const source = (into, match, label, rowIndex, colIndex, confidence) => ({
+            fileName: into.fileName || '',
+            year: into.year,
+            sheetName,
+            cell: addressOf(rowIndex, colIndex),
+            row: rowIndex,
+            col: colIndex,
+            label,
+            item: match.label,
+            matchType: match.type,
+            confidence: Math.round(confidence * layoutConfidence * 100) / 100
+        });
 
-        const incomeTerms = {
-            '营业收入': 'revenue',
-            '主营业务收入': 'revenue',
-            '营业总收入': 'revenue',
-            '销售收入': 'revenue',
-            '净利润': 'netProfit',
-            '利润总额': 'totalProfit',
-            '营业利润': 'operatingProfit',
-            '营业成本': 'operatingCost',
-            '主营业务成本': 'operatingCost',
-            '销售费用': 'sellingExpenses',
-            '管理费用': 'adminExpenses',
-            '财务费用': 'financialExpenses'
-        };
+        // Period columns of the most recent header row; empty until one is found
+        let columns = [];
+        // Cash flow section of the current row (operating / investing / financing / supplementary)
+        let section = null;
 
-        // Search through all cells, not just first column
         for (let i = 0; i < sheetData.length; i++) {
             const row = sheetData[i];
             if (!row || row.length === 0) continue;
 
-            // Check each cell in the row for labels
+            const headerColumns = this.detectPeriodColumns(row);
+            if (headerColumns.length > 0) {
+                columns = headerColumns;
+                this.log(`Period columns in row ${i}:`, columns);
+                continue;
+            }
+
+            // Labels may sit in any column (side-by-side balance sheets have two)
             for (let col = 0; col < row.length; col++) {
-                const cellValue = String(row[col] || '').trim();
-                if (!cellValue) continue;
-                
-                // Check balance sheet terms
-                for (const [term, key] of Object.entries(balanceSheetTerms)) {
-                    if (cellValue.includes(term) && !result.balanceSheet[key]) {
-                        // Look for numeric value in the same row (to the right)
-                        for (let j = col + 1; j < row.length; j++) {
-                            const value = this.parseNumber(row[j]);
-                            if (value !== null && value !== 0) {
-                                result.balanceSheet[key] = value;
-                                console.log(`Found ${key}: ${value} from "${term}"`);
-                                break;
-                            }
-                        }
-                        // If not found to the right, check the row below
-                        if (!result.balanceSheet[key] && i + 1 < sheetData.length) {
-                            const nextRow = sheetData[i + 1];
-                            if (nextRow) {
-                                for (let j = 0; j < nextRow.length; j++) {
-                                    const value = this.parseNumber(nextRow[j]);
-                                    if (value !== null && value !== 0) {
-                                        result.balanceSheet[key] = value;
-                                        console.log(`Found ${key}: ${value} from next row`);
-                                        break;
-                                    }
-                                }
-                            }
-                        }
+                if (typeof row[col] !== 'string' || !row[col].trim()) continue;
+
+                const label = STATEMENT_MODEL.normalizeStatementLabel(row[col]);
+                if (STATEMENT_MODEL.STATEMENT_SECTIONS[label]) {
+                    section = STATEMENT_MODEL.STATEMENT_SECTIONS[label];
+                    continue;
+                }
+                // The supplementary schedule repeats net profit and the operating total
+                if (section === 'supplementary') continue;
+
+                const match = this.matchLineItem(label, statement, section);
+                if (!match) continue;
+
+                const labelText = row[col].trim();
+                const first = columns.find(candidate => candidate.current > col);
+                if (!first) {
+                    if (result[match.statement][match.key] !== undefined) continue;
+
+                    // No period header: less certain which number belongs to the label
+                    const found = this.findValueNearLabel(sheetData, i, col, sheetUnit, fileUnit);
+                    if (found) {
+                        result[match.statement][match.key] = found.value;
+                        const confidence = match.score * (found.row === i ? 0.8 : 0.6);
+                        result.sources.current[match.statement][match.key] = source(result, match, labelText, found.row, found.col, confidence);
+                        this.log(`Found ${match.key}: ${found.value} from "${label}" (${match.type}, ${confidence.toFixed(2)})`);
                     }
+                    continue;
                 }
 
-                // Check income statement terms
-                for (const [term, key] of Object.entries(incomeTerms)) {
-                    if (cellValue.includes(term) && !result.incomeStatement[key]) {
-                        for (let j = col + 1; j < row.length; j++) {
-                            const value = this.parseNumber(row[j]);
-                            if (value !== null && value !== 0) {
-                                result.incomeStatement[key] = value;
-                                console.log(`Found ${key}: ${value} from "${term}"`);
-                                break;
-                            }
-                        }
-                        // Check next row
-                        if (!result.incomeStatement[key] && i + 1 < sheetData.length) {
-                            const nextRow = sheetData[i + 1];
-                            if (nextRow) {
-                                for (let j = 0; j < nextRow.length; j++) {
-                                    const value = this.parseNumber(nextRow[j]);
-                                    if (value !== null && value !== 0) {
-                                        result.incomeStatement[key] = value;
-                                        break;
-                                    }
-                                }
-                            }
+                // The label's block of period columns: one current/prior pair, or one column per year
+                const groups = columns.filter(candidate => candidate.block === first.block && candidate.current > col);
+                for (const group of groups) {
+                    const into = group.period ? resultFor(group.period) : result;
+                    if (into[match.statement][match.key] !== undefined) continue;
+
+                    const value = this.parseAmount(row[group.current], sheetUnit, fileUnit);
+                    if (value !== null) {
+                        into[match.statement][match.key] = value;
+                        into.sources.current[match.statement][match.key] = source(into, match, labelText, i, group.current, match.score);
+                        this.log(`Found ${match.key}: ${value} from "${label}" (${match.type}, ${match.score.toFixed(2)}, column ${group.current})`);
+                    }
+                    const priorValue = group.prior !== null ? this.parseAmount(row[group.prior], sheetUnit, fileUnit) : null;
+                    if (priorValue !== null && into.prior[match.statement][match.key] === undefined) {
+                        into.prior[match.statement][match.key] = priorValue;
+                        into.sources.prior[match.statement][match.key] = source(into, match, labelText, i, group.prior, match.score);
+                        if (match.statement !== 'balanceSheet' && !into.priorSpans[match.statement]) {
+                            into.priorSpans[match.statement] = group.priorSpan;
                         }
                     }
                 }
             }
         }
 
-        console.log('Extracted balance sheet:', result.balanceSheet);
-        console.log('Extracted income statement:', result.incomeStatement);
+        this.log('Extracted balance sheet:', result.balanceSheet);
+        this.log('Extracted income statement:', result.incomeStatement);
+        this.log('Extracted cash flow statement:', result.cashFlow);
+        this.log('Extracted comparative figures:', result.prior);
+    }
+
+    /**
+     * Find the period columns named in a header row. Each current-period column
+     * (期末余额, 本期金额, 本年累计金额, 金额 ...) is paired with the comparative column
+     * (年初余额, 上期金额, 上年金额 ...) that follows it, so a side-by-side
+     * 资产 | 负债和所有者权益 layout yields two groups. A row with two or more year
+     * headers (2024年 | 2023年, 2024-12-31 ...) yields one group per year instead.
+     * Groups under the same label column share a block number. A comparative flow column
+     * covers the same months as the current one only when it says so (上年同期, 上年累计);
+     * interim statements otherwise put the previous full year in 上年金额 / 上期金额.
+     * @param {Array} row - Sheet row
+     * @returns {Array} - [{ current, prior, priorSpan, block, period? }] column indexes, prior may be null;
+     *   priorSpan is 'period' or 'year'; empty if not a header row
+     */
+    detectPeriodColumns(row) {
+        const currentPattern = /^(期末|本期|本年|本年累计|本月)?(余额|数|金额|累计数|累计金额|发生额)$/;
+        const priorPattern = /^(年初|期初|上年|上期|上年同期|上年累计|上月)(余额|数|金额|累计数|累计金额|发生额)?$/;
+        const yearPattern = /^\d{4}(年(度|末)?|年\d{1,2}[-~至]?\d{0,2}月(\d{1,2}日)?(末)?|[-/.]\d{1,2}([-/.]\d{1,2})?)(余额|金额|数)?$/;
+        const groups = [];
+        const yearGroups = [];
+        let block = 0;
+
+        for (let col = 0; col < row.length; col++) {
+            const text = String(row[col] ?? '').replace(/\s/g, '');
+            if (!text) continue;
+
+            if (priorPattern.test(text)) {
+                const group = groups[groups.length - 1];
+                if (group && group.prior === null) {
+                    group.prior = col;
+                    group.priorSpan = /同期|上年累计/.test(text) ? 'period' : 'year';
+                }
+            } else if (currentPattern.test(text)) {
+                groups.push({ current: col, prior: null, block });
+            } else if (typeof row[col] === 'string' && yearPattern.test(text) && this.parseDateCell(text)) {
+                yearGroups.push({ current: col, prior: null, block, period: this.makePeriod(this.parseDateCell(text)) });
+            } else if (groups.length > 0 || yearGroups.length > 0) {
+                // A label column (负债和所有者权益, 行次 ...) starts the next block
+                block++;
+            }
+        }
+
+        if (groups.length > 0) return groups;
+        return new Set(yearGroups.map(group => group.period.year)).size >= 2 ? yearGroups : [];
+    }
 
-        // Calculate derived metrics
-        if (result.balanceSheet.totalAssets && result.balanceSheet.totalLiabilities) {
-            result.balanceSheet.debtRatio = (
-                (result.balanceSheet.totalLiabilities / result.balanceSheet.totalAssets) * 100
+    /**
+     * Calculate ratios (and owner equity when missing) from extracted items
+     * @param {Object} balanceSheet - Balance sheet items, updated in place
+     * @param {Object} incomeStatement - Income statement items of the same period
+     */
+    calculateDerivedMetrics(balanceSheet, incomeStatement) {
+        if (balanceSheet.totalAssets && balanceSheet.totalLiabilities) {
+            balanceSheet.debtRatio = (
+                (balanceSheet.totalLiabilities / balanceSheet.totalAssets) * 100
             ).toFixed(2);
         }
 
-        if (result.balanceSheet.currentAssets && result.balanceSheet.currentLiabilities) {
-            result.balanceSheet.currentRatio = (
-                result.balanceSheet.currentAssets / result.balanceSheet.currentLiabilities
+        if (balanceSheet.currentAssets && balanceSheet.currentLiabilities) {
+            balanceSheet.currentRatio = (
+                balanceSheet.currentAssets / balanceSheet.currentLiabilities
             ).toFixed(2);
             
-            const quickAssets = result.balanceSheet.currentAssets - (result.balanceSheet.inventory || 0);
-            result.balanceSheet.quickRatio = (
-                quickAssets / result.balanceSheet.currentLiabilities
+            const quickAssets = balanceSheet.currentAssets - (balanceSheet.inventory || 0);
+            balanceSheet.quickRatio = (
+                quickAssets / balanceSheet.currentLiabilities
             ).toFixed(2);
         }
 
-        if (result.incomeStatement.netProfit && result.balanceSheet.ownerEquity) {
-            result.balanceSheet.roe = (
-                (result.incomeStatement.netProfit / result.balanceSheet.ownerEquity) * 100
+        if (incomeStatement.netProfit && balanceSheet.ownerEquity) {
+            balanceSheet.roe = (
+                (incomeStatement.netProfit / balanceSheet.ownerEquity) * 100
             ).toFixed(2);
         }
         
         // Calculate owner equity if we have assets and liabilities but not equity
-        if (result.balanceSheet.totalAssets && result.balanceSheet.totalLiabilities && !result.balanceSheet.ownerEquity) {
-            result.balanceSheet.ownerEquity = result.balanceSheet.totalAssets - result.balanceSheet.totalLiabilities;
-            console.log('Calculated owner equity:', result.balanceSheet.ownerEquity);
+        if (balanceSheet.totalAssets && balanceSheet.totalLiabilities && !balanceSheet.ownerEquity) {
+            balanceSheet.ownerEquity = balanceSheet.totalAssets - balanceSheet.totalLiabilities;
+            this.log('Calculated owner equity:', balanceSheet.ownerEquity);
+        }
+    }
+
+    /**
+     * Find the value belonging to a label: the first non-zero number to its right,
+     * or failing that the first non-zero number in the row below
+     * @param {Array} sheetData - 2D array of sheet data
+     * @param {number} rowIndex - Row of the label
+     * @param {number} col - Column of the label
+     * @param {string} sheetUnit - Amount unit of the sheet
+     * @param {string} targetUnit - Unit to convert to
+     * @returns {Object|null} - { value, row, col } or null
+     */
+    findValueNearLabel(sheetData, rowIndex, col, sheetUnit, targetUnit) {
+        const row = sheetData[rowIndex];
+        for (let j = col + 1; j < row.length; j++) {
+            const value = this.parseAmount(row[j], sheetUnit, targetUnit);
+            if (value !== null && value !== 0) return { value, row: rowIndex, col: j };
+        }
+
+        const nextRow = sheetData[rowIndex + 1];
+        if (nextRow) {
+            for (let j = 0; j < nextRow.length; j++) {
+                const value = this.parseAmount(nextRow[j], sheetUnit, targetUnit);
+                if (value !== null && value !== 0) return { value, row: rowIndex + 1, col: j };
+            }
         }
+        return null;
+    }
+
+    /**
+     * A1-style address of a zero-based cell position
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {string} - e.g. "C6"
+     */
+    cellAddress(row, col) {
+        let letters = '';
+        for (let n = col + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+        }
+        return `${letters}${row + 1}`;
     }
 
     /**
@@ -341,9 +1095,11 @@ class FileParser {
         if (typeof value === 'string') {
             // Remove common formatting
             const cleaned = value.replace(/[,，\s元万千百]/g, '');
-            const num = parseFloat(cleaned);
+            // Accounting negatives: (1,234.00)
+            const negative = cleaned.match(/^[(（](.+)[)）]$/);
+            const num = parseFloat(negative ? negative[1] : cleaned);
             if (!isNaN(num)) {
-                return num;
+                return negative ? -num : num;
             }
         }
         
@@ -369,87 +1125,807 @@ class FileParser {
     }
 
     /**
-     * Process business info from OCR result
-     * @param {string} ocrResult - OCR extracted text (JSON string)
-     * @returns {Object} - Parsed business info
+     * Extract business info from a PDF (license scan, registry extract). Pages with a text
+     * layer are read directly; the others go through OCR. The first page that provides a
+     * field wins; the 股东 / 主要人员 rows of all pages are collected.
+     * @param {File|ArrayBuffer} source - PDF file
+     * @param {Object} [options]
+     * @param {Function} [options.recognizePage] - (imageDataUrl) => Promise<Object>, the business info on one page
+     * @param {string} [options.pageType=''] - Page type of the document (BUSINESS_PAGE_TYPES)
+     * @returns {Promise<Object>} - Parsed business info
      */
-    parseBusinessInfo(ocrResult) {
-        try {
-            // Try to extract JSON from the result
-            const jsonMatch = ocrResult.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                const info = JSON.parse(jsonMatch[0]);
-                this.businessInfo = info;
-                return info;
+    async parsePdfBusinessInfo(source, { recognizePage, pageType = '' } = {}) {
+        const pages = await this.readPdfPages(source, { render: Boolean(recognizePage) });
+        const info = {};
+
+        for (const page of pages) {
+            let pageInfo = {};
+            if (!page.image) {
+                pageInfo = this.parseBusinessInfoFromText(page.text, pageType);
+            } else if (recognizePage) {
+                pageInfo = await recognizePage(page.image);
+            }
+
+            for (const [key, value] of Object.entries(pageInfo)) {
+                if (Array.isArray(value)) {
+                    info[key] = this.mergeBusinessList(info[key] || [], value);
+                } else if (value && !info[key]) {
+                    info[key] = value;
+                }
             }
-            
-            // If not JSON, try to parse as text
-            return this.parseBusinessInfoFromText(ocrResult);
-        } catch (error) {
-            console.error('Error parsing business info:', error);
-            return this.parseBusinessInfoFromText(ocrResult);
         }
+
+        this.businessInfo = info;
+        return info;
     }
 
     /**
-     * Parse business info from plain text
-     * @param {string} text - Plain text from OCR
-     * @returns {Object} - Parsed business info
+     * Page type of a business info screenshot from its file name (股东信息.png → shareholders)
+     * @param {string} fileName - File name
+     * @returns {string} - Key of BUSINESS_PAGE_TYPES, '' when the name does not tell
+     */
+    detectBusinessPageType(fileName) {
+        const name = String(fileName || '').replace(/\.[^.]*$/, '');
+        // The specific pages first: 工商信息-股东.png is a shareholders page
+        const match = Object.entries(BUSINESS_PAGE_TYPES)
+            .sort(([a], [b]) => (a === 'basic') - (b === 'basic'))
+            .find(([, type]) => type.keywords.some(keyword => name.includes(keyword)));
+        return match ? match[0] : '';
+    }
+
+    /**
+     * Merge the business info read from several screenshots into one profile. A field
+     * takes its value from the first page that has it (基本信息 pages first); pages that
+     * read a different value make it a conflict for the user to resolve. Lists (股东,
+     * 主要人员, 变更记录, 对外投资) are concatenated, entries with the same name merged.
+     * @param {Array} pages - [{ fileName, pageType, info }]
+     * @returns {Object} - Merged business info
      */
-    parseBusinessInfoFromText(text) {
+    mergeBusinessInfo(pages) {
+        const ordered = [...pages].sort((a, b) => (a.pageType === 'basic' ? 0 : 1) - (b.pageType === 'basic' ? 0 : 1));
+        const candidates = {};
+        const lists = {};
+
+        for (const page of ordered) {
+            for (const [field, value] of Object.entries(page.info || {})) {
+                if (Array.isArray(value)) {
+                    lists[field] = this.mergeBusinessList(lists[field] || [], value);
+                    continue;
+                }
+                if (value === null || value === undefined || typeof value === 'object' || String(value).trim() === '') continue;
+
+                const normalized = this.normalizeBusinessValue(field, value);
+                const list = candidates[field] || (candidates[field] = []);
+                const same = list.find(candidate => candidate.normalized === normalized);
+                if (same) {
+                    same.fileNames.push(page.fileName);
+                } else {
+                    list.push({ value: String(value).trim(), normalized, fileNames: [page.fileName] });
+                }
+            }
+        }
+
         const info = {};
-        
-        // Regular expressions for common fields
-        const patterns = {
-            companyName: /(?:企业名称|公司名称|名称)[：:]\s*([^\n]+)/,
-            creditCode: /(?:统一社会信用代码|信用代码)[：:]\s*([A-Z0-9]+)/i,
-            legalRep: /(?:法定代表人|法人代表|负责人)[：:]\s*([^\n]+)/,
-            registeredCapital: /(?:注册资本|注册资金)[：:]\s*([^\n]+)/,
-            establishDate: /(?:成立日期|注册日期|成立时间)[：:]\s*(\d{4}[-\/年]\d{1,2}[-\/月]\d{1,2})/,
-            registeredAddress: /(?:注册地址|住所|经营场所)[：:]\s*([^\n]+)/,
-            businessScope: /(?:经营范围)[：:]\s*([^\n]+)/,
-            industry: /(?:行业|所属行业)[：:]\s*([^\n]+)/,
-            companyType: /(?:企业类型|公司类型)[：:]\s*([^\n]+)/
+        this.businessConflicts = {};
+        for (const [field, list] of Object.entries(candidates)) {
+            info[field] = list[0].value;
+            if (list.length > 1) {
+                this.businessConflicts[field] = list.map(({ value, fileNames }) => ({ value, fileNames }));
+            }
+        }
+
+        this.businessPages = pages;
+        this.businessInfo = { ...info, ...lists };
+        return this.businessInfo;
+    }
+
+    /**
+     * Append list entries, merging an entry into an earlier one with the same name
+     * @param {Array} target - Merged entries
+     * @param {Array} entries - Entries of one page
+     * @returns {Array} - target
+     */
+    mergeBusinessList(target, entries) {
+        for (const entry of entries) {
+            if (!entry || typeof entry !== 'object') continue;
+            const key = entry.name ? this.normalizeBusinessValue('name', entry.name) : null;
+            const existing = key && target.find(item => item.name && this.normalizeBusinessValue('name', item.name) === key);
+            if (!existing) {
+                target.push({ ...entry });
+                continue;
+            }
+            for (const [field, value] of Object.entries(entry)) {
+                if (value !== null && value !== undefined && value !== '' && !existing[field]) existing[field] = value;
+            }
+        }
+        return target;
+    }
+
+    /**
+     * Comparable form of a business info value, so that formatting differences between
+     * pages (2015年03月12日 / 2015-03-12, 1000万元人民币 / 1000万人民币) are not conflicts
+     * @param {string} field - Business info field
+     * @param {*} value - Value
+     * @returns {string}
+     */
+    normalizeBusinessValue(field, value) {
+        const text = String(value)
+            .replace(/\s+/g, '')
+            .replace(/（/g, '(')
+            .replace(/）/g, ')')
+            .toUpperCase();
+
+        if (field === 'establishDate') {
+            const date = this.normalizeDate(text);
+            if (date) return date;
+        }
+        if (field === 'registeredCapital') {
+            const capital = this.parseRegisteredCapital(text);
+            if (capital) return this.formatRegisteredCapital(capital);
+        }
+        return text;
+    }
+
+    /**
+     * Fields the merged screenshots disagree on
+     * @returns {Object} - field -> [{ value, fileNames }]
+     */
+    getBusinessConflicts() {
+        return this.businessConflicts || {};
+    }
+
+    /**
+     * Settle a conflict with the value the user chose
+     * @param {string} field - Business info field
+     * @param {string} value - Chosen value
+     */
+    resolveBusinessConflict(field, value) {
+        this.businessInfo = { ...this.getBusinessInfo(), [field]: value };
+        delete this.businessConflicts[field];
+    }
+
+    /**
+     * Replace a list of the business info with the rows edited in Step 2
+     * @param {string} list - Key of BUSINESS_LIST_COLUMNS
+     * @param {Array} entries - Rows
+     */
+    setBusinessList(list, entries) {
+        this.businessInfo = { ...this.getBusinessInfo(), [list]: entries };
+    }
+
+    /**
+     * Ownership facts derived from the 股东 and 主要人员 tables. The largest shareholder
+     * controls the company when it holds more than half; a natural person doing so is
+     * the actual controller. Behind a corporate shareholder, or without a majority, the
+     * actual controller has to be traced further (穿透) and is left to the user.
+     * @param {Object} [info] - Business info with shareholders / personnel, defaults to the parsed one
+     * @returns {Object} - { largestShareholder, largestShareholderRatio, controllingShareholder,
+     *   actualController, actualControllerBasis, shareholdersText, personnelText }
+     */
+    getOwnershipSummary(info = this.getBusinessInfo()) {
+        const shareholders = (info.shareholders || []).filter(entry => entry?.name);
+        const personnel = (info.personnel || []).filter(entry => entry?.name);
+        const ratios = this.getShareholderRatios(shareholders);
+        const formatRatio = ratio => `${Number(ratio.toFixed(2))}%`;
+
+        const summary = {
+            largestShareholder: '',
+            largestShareholderRatio: '',
+            controllingShareholder: '',
+            actualController: '',
+            actualControllerBasis: '',
+            shareholdersText: shareholders.map((entry, index) => {
+                const details = [
+                    entry.type,
+                    entry.subscribedCapital && `认缴${entry.subscribedCapital}`,
+                    ratios[index] !== null && `持股${formatRatio(ratios[index])}`
+                ].filter(Boolean);
+                return details.length > 0 ? `${entry.name}（${details.join('，')}）` : entry.name;
+            }).join('；'),
+            personnelText: personnel.map(entry => entry.position ? `${entry.name}（${entry.position}）` : entry.name).join('、')
         };
 
-        for (const [key, pattern] of Object.entries(patterns)) {
-            const match = text.match(pattern);
-            if (match) {
-                info[key] = match[1].trim();
+        const ranked = shareholders
+            .map((entry, index) => ({ entry, ratio: ratios[index] }))
+            .filter(item => item.ratio !== null)
+            .sort((a, b) => b.ratio - a.ratio);
+        if (ranked.length === 0) return summary;
+
+        const [top, second] = ranked;
+        if (second && second.ratio === top.ratio) {
+            summary.actualControllerBasis = `${top.entry.name}、${second.entry.name}并列第一大股东（各持股${formatRatio(top.ratio)}），无单一控股股东，实际控制人需结合一致行动关系核实`;
+            return summary;
+        }
+
+        const name = top.entry.name;
+        const ratio = formatRatio(top.ratio);
+        summary.largestShareholder = name;
+        summary.largestShareholderRatio = ratio;
+        const isPerson = this.isNaturalPerson(top.entry);
+
+        if (top.ratio <= 50) {
+            summary.actualControllerBasis = `第一大股东${name}持股${ratio}，未超过半数，实际控制人需结合其他股东持股、一致行动关系及董事会构成核实`;
+        } else if (isPerson) {
+            const positions = personnel.filter(entry => entry.name === name && entry.position).map(entry => entry.position);
+            summary.controllingShareholder = name;
+            summary.actualController = name;
+            summary.actualControllerBasis = `${name}直接持股${ratio}，为控股股东及实际控制人${positions.length > 0 ? `，并担任${positions.join('、')}` : ''}`;
+        } else {
+            summary.controllingShareholder = name;
+            summary.actualControllerBasis = `控股股东${name}持股${ratio}，为非自然人股东，实际控制人需向上穿透核实`;
+        }
+        return summary;
+    }
+
+    /**
+     * Share ratio (percent) of each shareholder: the stated ratio, or else its share of
+     * the total subscribed capital
+     * @param {Array} shareholders - Shareholder entries
+     * @returns {Array<number|null>}
+     */
+    getShareholderRatios(shareholders) {
+        const capitals = shareholders.map(entry => this.parseNumber(String(entry.subscribedCapital || '').replace(/[^\d.,-]/g, '')));
+        const totalCapital = capitals.every(capital => capital !== null)
+            ? capitals.reduce((sum, capital) => sum + capital, 0)
+            : 0;
+
+        return shareholders.map((entry, index) => {
+            const ratio = String(entry.ratio || '').match(/\d+(?:\.\d+)?/);
+            if (ratio) return parseFloat(ratio[0]);
+            return totalCapital > 0 ? capitals[index] / totalCapital * 100 : null;
+        });
+    }
+
+    /**
+     * Whether a shareholder is a natural person, by its type or else by its name
+     * @param {Object} entry - Shareholder entry
+     * @returns {boolean}
+     */
+    isNaturalPerson(entry) {
+        const type = entry.type || '';
+        if (/非自然人|法人|企业|公司|合伙|机关|事业单位|国有/.test(type)) return false;
+        if (/自然人/.test(type)) return true;
+        return /^[\u4e00-\u9fa5·]{2,5}$/.test(entry.name)
+            && !/公司|企业|集团|中心|合伙|基金|委员会|政府|[局厅社]$/.test(entry.name);
+    }
+
+    /**
+     * Process business info from OCR result
+     * @param {string} ocrResult - OCR extracted text (JSON string)
+     * @returns {Object} - Parsed business info
+     */
+    parseBusinessInfo(ocrResult) {
+        try {
+            // Try to extract JSON from the result
+            const jsonMatch = ocrResult.match(/\{[\s\S]*\}/);
+            if (jsonMatch) {
+                const info = this.normalizeBusinessLists(JSON.parse(jsonMatch[0]));
+                this.businessInfo = info;
+                return info;
             }
+            
+            // If not JSON, try to parse as text
+            return this.parseBusinessInfoFromText(ocrResult);
+        } catch (error) {
+            console.error('Error parsing business info:', error);
+            return this.parseBusinessInfoFromText(ocrResult);
         }
+    }
+
+    /**
+     * Parse business info from plain text (OCR output or a PDF text layer). A value runs
+     * from its label to the next known label on the line, so rows holding several
+     * label/value pairs are split correctly; 经营范围 also takes the following lines up to
+     * the next label. OCR often puts spaces between Chinese characters, which labels
+     * tolerate and values lose. 股东 and 主要人员 rows are read by parseBusinessListsFromText().
+     * @param {string} text - Plain text from OCR
+     * @param {string} [pageType=''] - Page type (BUSINESS_PAGE_TYPES), when known
+     * @returns {Object} - Parsed business info
+     */
+    parseBusinessInfoFromText(text, pageType = '') {
+        const info = {};
+        const lines = String(text || '')
+            .replace(/[：]/g, ':')
+            .split(/\r?\n/)
+            .map(line => line.replace(/[|｜]/g, ' ').trim())
+            .filter(Boolean);
+
+        const labels = [
+            ...Object.entries(BUSINESS_INFO_LABELS).flatMap(([field, names]) => names.map(name => ({ field, name }))),
+            ...BUSINESS_INFO_OTHER_LABELS.map(name => ({ field: null, name }))
+        ].sort((a, b) => b.name.length - a.name.length);
+
+        const lineLabels = lines.map(line => this.findBusinessLabels(line, labels));
+        // A field keeps the value of its first label in BUSINESS_INFO_LABELS (参保人数 over 人员规模)
+        const rank = {};
+
+        const assign = (label, value) => {
+            if (!label.field) return;
+            const labelRank = BUSINESS_INFO_LABELS[label.field].indexOf(label.name);
+            if (info[label.field] && rank[label.field] <= labelRank) return;
+
+            const cleaned = this.cleanBusinessValue(label.field, value);
+            if (cleaned) {
+                info[label.field] = cleaned;
+                rank[label.field] = labelRank;
+            }
+        };
+
+        lines.forEach((line, index) => {
+            const found = lineLabels[index];
+
+            // A row of labels only, with the values on the next row (mobile 企查查 / 天眼查)
+            const isHeaderRow = found.length >= 2 && found[0].start === 0
+                && found.every((label, position) => position === found.length - 1 || found[position + 1].start === label.end);
+            if (isHeaderRow) {
+                if (index + 1 < lines.length && lineLabels[index + 1].length === 0) {
+                    const values = this.splitBusinessValues(found, lines[index + 1]);
+                    found.forEach((label, position) => assign(label, values[position]));
+                }
+                return;
+            }
+
+            found.forEach((label, position) => {
+                let value = line.slice(label.end, found[position + 1]?.start ?? line.length);
+                // 经营范围 wraps over several lines
+                if (label.field === 'businessScope' && position === found.length - 1) {
+                    for (let next = index + 1; next < lines.length && lineLabels[next][0]?.start !== 0; next++) {
+                        value += lines[next];
+                    }
+                }
+                assign(label, value);
+            });
+        });
+
+        // Fallbacks for values shown without a label
+        const joinedLines = lines.map(line => this.joinChineseText(line));
+        if (!info.creditCode) {
+            const code = String(text || '').toUpperCase().match(BUSINESS_VALUE_PATTERNS.creditCode);
+            if (code) info.creditCode = code[0];
+        }
+        if (!info.companyName) {
+            // The headline; OCR may prefix it with an icon read as a character, so a name
+            // elsewhere on the page that it ends with is preferred (简介：XX公司成立于…)
+            const names = joinedLines.flatMap(line => Array.from(
+                line.matchAll(new RegExp(COMPANY_NAME_PATTERN.source, 'g')), match => match[0]
+            ));
+            if (names.length > 0) {
+                info.companyName = names.find(name => name !== names[0] && names[0].endsWith(name)) || names[0];
+            }
+        }
+        if (!info.registeredAddress) {
+            const address = joinedLines.map(line => line.match(ADDRESS_PATTERN)).find(Boolean);
+            if (address) info.registeredAddress = address[0];
+        }
+
+        Object.assign(info, this.parseBusinessListsFromText(joinedLines, pageType));
 
         this.businessInfo = info;
         return info;
     }
 
+    /**
+     * Read the 股东 and 主要人员 tables of a text page. Rows count inside their section,
+     * after a 股东信息 / 主要人员 heading or on the whole page when its type says so; a
+     * shareholder row needs a name and a share ratio, a personnel row a name followed by
+     * a position.
+     * @param {Array<string>} lines - Text lines with the OCR spacing removed
+     * @param {string} [pageType=''] - Page type, the section the page starts in
+     * @returns {Object} - { shareholders, personnel }, only the lists that have rows
+     */
+    parseBusinessListsFromText(lines, pageType = '') {
+        const lists = { shareholders: [], personnel: [] };
+        const positions = [...PERSONNEL_POSITIONS].sort((a, b) => b.length - a.length).join('|');
+        // The name is matched lazily so that 葛跃执行董事 is 葛跃 / 执行董事, not 葛跃执行 / 董事
+        const personPattern = new RegExp(`([\\u4e00-\\u9fa5·]{2,4}?)[\\s:（(]*((?:${positions})(?:兼(?:${positions}))*)`, 'g');
+        const positionPattern = new RegExp(positions);
+        let section = pageType in lists ? pageType : null;
+
+        for (const line of lines) {
+            const heading = BUSINESS_LIST_HEADINGS.find(({ pattern }) => pattern.test(line));
+            if (heading) {
+                section = heading.list;
+                continue;
+            }
+
+            if (section === 'shareholders') {
+                const entry = this.parseShareholderRow(line);
+                if (entry) lists.shareholders.push(entry);
+            } else if (section === 'personnel') {
+                for (const match of line.matchAll(personPattern)) {
+                    if (!positionPattern.test(match[1])) {
+                        lists.personnel.push({ name: match[1], position: match[2] });
+                    }
+                }
+            }
+        }
+
+        return Object.fromEntries(Object.entries(lists).filter(([, entries]) => entries.length > 0));
+    }
+
+    /**
+     * One row of a shareholders table: 股东名称, 股东类型, 认缴出资额, 持股比例, 认缴出资日期
+     * in any order
+     * @param {string} line - Text line
+     * @returns {Object|null} - Shareholder entry, null when the line has no name or ratio
+     */
+    parseShareholderRow(line) {
+        const ratio = line.match(/(\d{1,3}(?:\.\d+)?)\s*%/);
+        if (!ratio) return null;
+
+        const company = line.match(COMPANY_NAME_PATTERN);
+        const person = line.match(/(?:^|[\s\d])([\u4e00-\u9fa5·]{2,4}?)(?=$|[\s\d]|(?:非)?自然人|企业法人|法人)/);
+        const name = company ? company[0] : person?.[1];
+        if (!name) return null;
+
+        const rest = line.replace(name, ' ').replace(ratio[0], ' ');
+        const type = rest.match(/(?:非)?自然人(?:股东)?|企业法人|法人股东|其他投资者/);
+        const capital = rest.match(/\d[\d,.]*\s*万(?:元)?(?:人民币)?/);
+        const date = rest.match(BUSINESS_VALUE_PATTERNS.establishDate);
+        return {
+            name,
+            type: type ? type[0] : '',
+            subscribedCapital: capital ? capital[0].replace(/\s+/g, '') : '',
+            ratio: `${ratio[1]}%`,
+            subscribedDate: date ? this.normalizeBusinessValue('establishDate', date[0]) : ''
+        };
+    }
+
+    /**
+     * Bring the 股东 / 主要人员 lists of a vision result to the columns of
+     * BUSINESS_LIST_COLUMNS: strings only, a bare number as ratio becomes a percentage
+     * @param {Object} info - Business info
+     * @returns {Object} - info
+     */
+    normalizeBusinessLists(info) {
+        for (const [list, columns] of Object.entries(BUSINESS_LIST_COLUMNS)) {
+            if (!Array.isArray(info[list])) continue;
+            info[list] = info[list]
+                .filter(entry => entry && typeof entry === 'object' && String(entry.name ?? '').trim())
+                .map(entry => Object.fromEntries(Object.keys(columns).map(column => {
+                    const value = String(entry[column] ?? '').trim();
+                    return [column, column === 'ratio' && /^\d+(?:\.\d+)?$/.test(value) ? `${value}%` : value];
+                })));
+        }
+        return info;
+    }
+
+    /**
+     * Known labels on one line, in order. A label starts the line or follows a space or a
+     * colon, its characters may be spaced out, and it may be followed by a colon. Where
+     * labels overlap (企业类型 / 类型) the longer one wins.
+     * @param {string} line - Text line
+     * @param {Array} labels - [{ field, name }], longest first
+     * @returns {Array} - [{ field, name, start, end }], end being the start of the value
+     */
+    findBusinessLabels(line, labels) {
+        const found = [];
+        for (const label of labels) {
+            const chars = Array.from(label.name).map(char => char.replace(/[()（）]/g, '\\$&'));
+            const regex = new RegExp(`(?:^|(?<=[\\s:]))${chars.join('\\s*')}\\s*:?\\s*`, 'g');
+            for (const match of line.matchAll(regex)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (found.some(other => start < other.end && end > other.start)) continue;
+                found.push({ ...label, start, end });
+            }
+        }
+        return found.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Split a row of values under a row of labels. Values with a recognizable shape (dates,
+     * amounts, codes) are taken out first; the rest go to the other labels in order.
+     * @param {Array} labels - Labels of the header row, in order
+     * @param {string} line - Row below it
+     * @returns {Array<string>} - Value per label
+     */
+    splitBusinessValues(labels, line) {
+        let rest = this.joinChineseText(line);
+        const values = labels.map(() => null);
+        // Most specific shape first, so a date is not read as an amount
+        for (const [field, pattern] of Object.entries(BUSINESS_VALUE_PATTERNS)) {
+            const position = labels.findIndex(label => label.field === field);
+            const match = position >= 0 && rest.match(pattern);
+            if (!match) continue;
+            values[position] = match[0];
+            rest = rest.replace(match[0], ' ');
+        }
+
+        const tokens = rest.split(/\s+/).filter(Boolean);
+        return values.map(value => value ?? (tokens.shift() || ''));
+    }
+
+    /**
+     * Remove spaces that OCR puts between Chinese characters
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    joinChineseText(text) {
+        return text
+            .replace(/([\u4e00-\u9fa5（）、，；。：])\s+(?=[\u4e00-\u9fa5（）、，；。：\d])/g, '$1')
+            .replace(/(\d)\s+(?=[\u4e00-\u9fa5（）、，；。：])/g, '$1')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Clean the text found after a label
+     * @param {string} field - Business info field
+     * @param {string} value - Raw value
+     * @returns {string} - Cleaned value, '' when it does not look like one
+     */
+    cleanBusinessValue(field, value) {
+        const text = this.joinChineseText(value).replace(/^[:\s]+|[\s,，;；:]+$/g, '');
+        if (!text || /^[-—–]+$/.test(text)) return '';
+
+        switch (field) {
+            case 'creditCode': {
+                // Misread characters (O for 0) are kept for validateCreditCode() to point out
+                const code = text.replace(/\s+/g, '').toUpperCase().match(/[0-9A-Z]{18}/);
+                return code ? code[0] : '';
+            }
+            case 'establishDate':
+            case 'registeredCapital': {
+                // Business licenses write the capital in financial numerals (人民币壹仟万元整)
+                const match = text.match(BUSINESS_VALUE_PATTERNS[field])
+                    || (field === 'registeredCapital' && text.match(/(?:人民币)?[零壹贰叁肆伍陆柒捌玖拾佰仟万亿元整]{2,}/));
+                return match ? match[0].replace(/\s+/g, '') : '';
+            }
+            case 'industry':
+            case 'companySize': {
+                // Icons and badges next to the value come out as Latin letters
+                const words = text.match(/^[\u4e00-\u9fa5、，（）()]+/);
+                return words ? words[0] : '';
+            }
+            case 'legalRep':
+                // 企查查 / 天眼查 print the person's related companies right after the name
+                return text.replace(/\s*(?:关联企业|TA有|他有|她有|任职|控制企业|最终受益人|实际控制人|\d+家).*$/, '').trim();
+            case 'companyName': {
+                const name = text.match(COMPANY_NAME_PATTERN);
+                return name ? name[0] : text;
+            }
+            case 'registeredAddress':
+                return text.replace(/\s*(?:查看地图|附近企业|地图).*$/, '').trim();
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Check a 统一社会信用代码 against GB 32100-2015 (character set, division code, check
+     * character). An invalid code comes with the corrections that OCR confusions (O/0, I/1,
+     * B/8 ...) suggest and that pass the check.
+     * @param {string} value - Credit code
+     * @returns {Object} - { valid, code, message, suggestions }
+     */
+    validateCreditCode(value) {
+        const code = String(value ?? '').toUpperCase().replace(/[\s\-－]/g, '');
+        if (this.isValidCreditCode(code)) {
+            return { valid: true, code, message: '', suggestions: [] };
+        }
+
+        let message;
+        const invalidChars = [...new Set(code.match(/[^0-9A-HJ-NPQRTUWXY]/g) || [])];
+        if (code.length !== 18) {
+            message = `应为18位，实为${code.length}位`;
+        } else if (invalidChars.length > 0) {
+            message = `含有代码中不使用的字符 ${invalidChars.join('、')}`;
+        } else if (/\D/.test(code.slice(2, 8))) {
+            message = '第3-8位（行政区划码）应为数字';
+        } else {
+            message = `校验位应为 ${this.creditCodeCheckChar(code)}，实为 ${code[17]}`;
+        }
+        return { valid: false, code, message, suggestions: code.length === 18 ? this.suggestCreditCodes(code) : [] };
+    }
+
+    /**
+     * @param {string} code - Upper-case credit code without spaces
+     * @returns {boolean}
+     */
+    isValidCreditCode(code) {
+        return /^[0-9A-HJ-NPQRTUWXY]{2}\d{6}[0-9A-HJ-NPQRTUWXY]{10}$/.test(code)
+            && code[17] === this.creditCodeCheckChar(code);
+    }
+
+    /**
+     * Check character of a credit code from its first 17 characters
+     * @param {string} code - Credit code
+     * @returns {string}
+     */
+    creditCodeCheckChar(code) {
+        const sum = CREDIT_CODE_WEIGHTS.reduce((total, weight, index) => total + CREDIT_CODE_CHARS.indexOf(code[index]) * weight, 0);
+        return CREDIT_CODE_CHARS[(31 - sum % 31) % 31];
+    }
+
+    /**
+     * Valid codes an 18-character misread could have been. Characters that cannot appear
+     * where they are must be replaced by a look-alike; if that is not enough, one more
+     * character is swapped for a look-alike.
+     * @param {string} code - Invalid 18-character code
+     * @returns {Array<string>} - Up to 5 valid codes
+     */
+    suggestCreditCodes(code) {
+        const allowed = (char, index) => (index >= 2 && index < 8 ? /\d/.test(char) : CREDIT_CODE_CHARS.includes(char));
+        const chars = Array.from(code);
+        const lookAlikes = chars.map((char, index) => (OCR_CONFUSIONS[char] || []).filter(alt => allowed(alt, index)));
+        const forced = chars.map((char, index) => index).filter(index => !allowed(chars[index], index));
+        if (forced.some(index => lookAlikes[index].length === 0)) return [];
+
+        let bases = [chars];
+        for (const index of forced) {
+            bases = bases.flatMap(base => lookAlikes[index].map(alt => Object.assign([...base], { [index]: alt })));
+            if (bases.length > 64) return [];
+        }
+
+        const suggestions = new Set(bases.map(base => base.join('')).filter(candidate => this.isValidCreditCode(candidate)));
+        if (suggestions.size === 0) {
+            for (const base of bases) {
+                base.forEach((char, index) => {
+                    if (forced.includes(index)) return;
+                    for (const alt of lookAlikes[index]) {
+                        const candidate = Object.assign([...base], { [index]: alt }).join('');
+                        if (this.isValidCreditCode(candidate)) suggestions.add(candidate);
+                    }
+                });
+            }
+        }
+        return Array.from(suggestions).slice(0, 5);
+    }
+
+    /**
+     * Date as YYYY-MM-DD, the value of a date input: 2010年3月5日, 2010.03.05, 2010/3/5,
+     * 20100305 and 二〇一〇年三月五日 (business licenses)
+     * @param {string} value - Date text
+     * @returns {string} - '' when it is not a valid date
+     */
+    normalizeDate(value) {
+        let text = String(value ?? '').replace(/\s+/g, '');
+        const chinese = text.match(/([〇零一二三四五六七八九]{4})年([一二三四五六七八九十]{1,3})月([一二三四五六七八九十]{1,3})日/);
+        if (chinese) {
+            const year = Array.from(chinese[1], char => CHINESE_DIGITS[char]).join('');
+            text = `${year}-${this.parseChineseNumber(chinese[2])}-${this.parseChineseNumber(chinese[3])}`;
+        }
+
+        const match = text.match(/(\d{4})[-\/年.](\d{1,2})[-\/月.](\d{1,2})/) || text.match(/^(\d{4})(\d{2})(\d{2})$/);
+        if (!match) return '';
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return '';
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Registered capital as an amount in 万 and a currency: 5000万元, 5,000万人民币,
+     * 1.2亿元, 50000000元, 1000万美元, 人民币壹仟万元整. A bare number is taken as 万元,
+     * the unit 企查查 and 天眼查 use.
+     * @param {string} value - Registered capital text
+     * @returns {Object|null} - { amount, currency }, null when no amount is found
+     */
+    parseRegisteredCapital(value) {
+        const text = String(value ?? '').replace(/[\s,，]/g, '');
+        const currency = CAPITAL_CURRENCIES.find(({ pattern }) => pattern.test(text))?.name || '人民币';
+
+        let amount = null;
+        const numeric = text.match(/(\d+(?:\.\d+)?)(亿|万)?(元)?/);
+        if (numeric) {
+            amount = parseFloat(numeric[1]);
+            if (numeric[2] === '亿') amount *= 10000;
+            else if (!numeric[2] && numeric[3]) amount /= 10000;
+        } else {
+            const chinese = text.match(/[零〇壹一贰二两叁三肆四伍五陆六柒七捌八玖九拾十佰百仟千万亿]+/);
+            const yuan = chinese ? this.parseChineseNumber(chinese[0]) : null;
+            if (yuan) amount = yuan / 10000;
+        }
+
+        if (amount === null || isNaN(amount)) return null;
+        return { amount: Number(amount.toFixed(6)), currency };
+    }
+
+    /**
+     * Registered capital text for the report (5000万元, 1000万美元)
+     * @param {Object} capital - { amount, currency } from parseRegisteredCapital()
+     * @returns {string}
+     */
+    formatRegisteredCapital({ amount, currency }) {
+        return `${amount}万${currency === '人民币' ? '元' : currency}`;
+    }
+
+    /**
+     * Value of a number written in Chinese numerals (壹仟伍佰万, 二十三)
+     * @param {string} text - Chinese numerals
+     * @returns {number|null}
+     */
+    parseChineseNumber(text) {
+        let total = 0;
+        let section = 0;
+        let digit = null;
+        for (const char of String(text || '')) {
+            if (char in CHINESE_DIGITS) {
+                digit = CHINESE_DIGITS[char];
+            } else if (char in CHINESE_UNITS) {
+                section += (digit ?? 1) * CHINESE_UNITS[char];
+                digit = null;
+            } else if (char === '万') {
+                total += (section + (digit ?? 0)) * 10000;
+                section = 0;
+                digit = null;
+            } else if (char === '亿') {
+                total = (total + section + (digit ?? 0)) * 100000000;
+                section = 0;
+                digit = null;
+            }
+        }
+        const value = total + section + (digit ?? 0);
+        return value > 0 ? value : null;
+    }
+
+    /**
+     * Registration fields that do not check out: a credit code failing GB 32100-2015, a
+     * date that cannot be read or lies outside 1900 to today, a capital without an amount.
+     * Empty fields are not issues.
+     * @param {Object} info - Business info (creditCode, establishDate, registeredCapital)
+     * @returns {Array} - [{ field, value, message, suggestions }]
+     */
+    validateBusinessInfo(info) {
+        const issues = [];
+        const isSet = value => value !== null && value !== undefined && String(value).trim() !== '';
+
+        if (isSet(info.creditCode)) {
+            const result = this.validateCreditCode(info.creditCode);
+            if (!result.valid) {
+                issues.push({ field: 'creditCode', value: info.creditCode, message: `统一社会信用代码${result.message}`, suggestions: result.suggestions });
+            }
+        }
+
+        if (isSet(info.establishDate)) {
+            const date = this.normalizeDate(info.establishDate);
+            const today = new Date().toISOString().slice(0, 10);
+            let message = '';
+            if (!date) message = `成立日期“${info.establishDate}”无法识别，请按年月日填写`;
+            else if (date > today) message = `成立日期 ${date} 晚于今天`;
+            else if (date < '1900-01-01') message = `成立日期 ${date} 早于1900年`;
+            if (message) issues.push({ field: 'establishDate', value: info.establishDate, message, suggestions: [] });
+        }
+
+        if (isSet(info.registeredCapital)) {
+            const capital = this.parseRegisteredCapital(info.registeredCapital);
+            if (!capital || capital.amount <= 0) {
+                issues.push({ field: 'registeredCapital', value: info.registeredCapital, message: `注册资本“${info.registeredCapital}”中没有识别出金额`, suggestions: [] });
+            }
+        }
+        return issues;
+    }
+
     /**
      * Get the latest financial data summary
      * @returns {Object} - Summary of financial data
      */
     getFinancialSummary() {
         if (!this.financialData) {
-            console.log('No financial data available');
+            this.log('No financial data available');
             return {};
         }
 
-        console.log('Getting financial summary from:', this.financialData);
+        this.log('Getting financial summary from:', this.financialData);
         
-        const summary = {};
-        const balanceSheet = this.financialData.balanceSheet || [];
-        const incomeStatement = this.financialData.incomeStatement || [];
+        const summary = { amountUnit: this.reportingUnit };
+        this.summarySources = {};
+        const toReportingUnit = items => this.toReportingUnit(items, items.year);
+        const balanceSheet = (this.financialData.balanceSheet || []).map(toReportingUnit);
+        const incomeStatement = (this.financialData.incomeStatement || []).map(toReportingUnit);
         
         // Also check rawData for any extracted values
         const rawData = this.financialData.rawData || {};
         
         // Try to get data from rawData if balanceSheet is empty
         if (balanceSheet.length === 0 && Object.keys(rawData).length > 0) {
-            console.log('Using rawData for financial summary');
+            this.log('Using rawData for financial summary');
             // Get the most recent year's data
             const years = Object.keys(rawData).sort((a, b) => b - a);
             if (years.length > 0) {
                 const latestYear = years[0];
-                const latestData = rawData[latestYear];
+                const latestData = this.getYearData(latestYear);
                 if (latestData.balanceSheet) {
                     summary.totalAssetsEnd = latestData.balanceSheet.totalAssets;
                     summary.totalLiabilitiesEnd = latestData.balanceSheet.totalLiabilities;
@@ -462,11 +1938,12 @@ class FileParser {
                     summary.revenueCurrent = latestData.incomeStatement.revenue;
                     summary.netProfitCurrent = latestData.incomeStatement.netProfit;
                 }
-                
+                this.addCashFlowSummary(summary, latestData.cashFlow, 'Current');
+
                 // Get previous year data
                 if (years.length > 1) {
                     const prevYear = years[1];
-                    const prevData = rawData[prevYear];
+                    const prevData = this.getYearData(prevYear);
                     if (prevData.balanceSheet) {
                         summary.totalAssetsBeginning = prevData.balanceSheet.totalAssets;
                         summary.totalLiabilitiesBeginning = prevData.balanceSheet.totalLiabilities;
@@ -477,10 +1954,25 @@ class FileParser {
                         summary.revenueLastYear = prevData.incomeStatement.revenue;
                         summary.netProfitLastYear = prevData.incomeStatement.netProfit;
                     }
+                    this.addCashFlowSummary(summary, prevData.cashFlow, 'LastYear');
+                }
+
+                // Comparative columns of the same file take precedence over the previous file
+                const prior = latestData.prior || {};
+                if (this.hasItems(prior.balanceSheet)) {
+                    this.addBalanceSheetSummary(summary, prior.balanceSheet, 'Beginning');
+                    this.addBalanceSheetSummary(summary, prior.balanceSheet, 'LastYear');
+                }
+                if (this.hasItems(prior.incomeStatement)) {
+                    summary.revenueLastYear = prior.incomeStatement.revenue;
+                    summary.netProfitLastYear = prior.incomeStatement.netProfit;
+                }
+                if (this.hasItems(prior.cashFlow)) {
+                    this.addCashFlowSummary(summary, prior.cashFlow, 'LastYear');
                 }
             }
             
-            console.log('Financial summary from rawData:', summary);
+            this.log('Financial summary from rawData:', summary);
             return summary;
         }
 
@@ -488,52 +1980,598 @@ class FileParser {
             const latest = balanceSheet[balanceSheet.length - 1];
             const previous = balanceSheet.length > 1 ? balanceSheet[balanceSheet.length - 2] : null;
             const lastYear = balanceSheet.length > 2 ? balanceSheet[balanceSheet.length - 3] : previous;
+            // 年初余额 column of the latest file, preferred over the previous file's 期末余额
+            const opening = this.getPriorPeriod(latest.year).balanceSheet;
 
             // Current period end
-            summary.totalAssetsEnd = latest.totalAssets;
-            summary.totalLiabilitiesEnd = latest.totalLiabilities;
-            summary.ownerEquityEnd = latest.ownerEquity;
-            summary.debtRatioEnd = latest.debtRatio;
-            summary.currentRatioEnd = latest.currentRatio;
-            summary.quickRatioEnd = latest.quickRatio;
+            this.addBalanceSheetSummary(summary, latest, 'End', { year: latest.year, period: 'current' });
 
             // Beginning of year
-            if (previous) {
-                summary.totalAssetsBeginning = previous.totalAssets;
-                summary.totalLiabilitiesBeginning = previous.totalLiabilities;
-                summary.ownerEquityBeginning = previous.ownerEquity;
-                summary.debtRatioBeginning = previous.debtRatio;
-                summary.currentRatioBeginning = previous.currentRatio;
-                summary.quickRatioBeginning = previous.quickRatio;
+            if (this.hasItems(opening)) {
+                this.addBalanceSheetSummary(summary, opening, 'Beginning', { year: latest.year, period: 'prior' });
+            } else if (previous) {
+                this.addBalanceSheetSummary(summary, previous, 'Beginning', { year: previous.year, period: 'current' });
             }
 
             // Last year end
             if (lastYear) {
-                summary.totalAssetsLastYear = lastYear.totalAssets;
-                summary.totalLiabilitiesLastYear = lastYear.totalLiabilities;
-                summary.ownerEquityLastYear = lastYear.ownerEquity;
-                summary.debtRatioLastYear = lastYear.debtRatio;
-                summary.currentRatioLastYear = lastYear.currentRatio;
-                summary.quickRatioLastYear = lastYear.quickRatio;
+                this.addBalanceSheetSummary(summary, lastYear, 'LastYear', { year: lastYear.year, period: 'current' });
+            } else if (this.hasItems(opening)) {
+                this.addBalanceSheetSummary(summary, opening, 'LastYear', { year: latest.year, period: 'prior' });
             }
         }
 
         if (incomeStatement.length > 0) {
             const latest = incomeStatement[incomeStatement.length - 1];
             const previous = incomeStatement.length > 1 ? incomeStatement[incomeStatement.length - 2] : null;
+            // 上年金额 column of the latest file, preferred over the previous file
+            const comparative = this.getPriorPeriod(latest.year).incomeStatement;
+            const lastYear = this.hasItems(comparative) ? comparative : previous;
 
             summary.revenueCurrent = latest.revenue;
             summary.netProfitCurrent = latest.netProfit;
+            this.recordSummarySources(['revenue', 'netProfit'], 'Current', 'incomeStatement', { year: latest.year, period: 'current' });
 
-            if (previous) {
-                summary.revenueLastYear = previous.revenue;
-                summary.netProfitLastYear = previous.netProfit;
+            if (lastYear) {
+                summary.revenueLastYear = lastYear.revenue;
+                summary.netProfitLastYear = lastYear.netProfit;
+                this.recordSummarySources(['revenue', 'netProfit'], 'LastYear', 'incomeStatement', lastYear === comparative
+                    ? { year: latest.year, period: 'prior' }
+                    : { year: previous.year, period: 'current' });
+            }
+        }
+
+        // Interim statements: the flows cover part of a year
+        Object.assign(summary, this.getPeriodSummary());
+        if (summary.annualizationFactor > 1) {
+            ['revenueCurrent', 'netProfitCurrent'].forEach(field => {
+                if (typeof summary[field] === 'number') {
+                    summary[`${field}Annualized`] = Math.round(summary[field] * summary.annualizationFactor * 100) / 100;
+                }
+            });
+        }
+
+        const cashFlow = (this.financialData.cashFlow || []).map(toReportingUnit);
+        if (cashFlow.length > 0) {
+            const latest = cashFlow[cashFlow.length - 1];
+            const comparative = this.getPriorPeriod(latest.year).cashFlow;
+            this.addCashFlowSummary(summary, latest, 'Current', { year: latest.year, period: 'current' });
+            if (this.hasItems(comparative)) {
+                this.addCashFlowSummary(summary, comparative, 'LastYear', { year: latest.year, period: 'prior' });
+            } else if (cashFlow.length > 1) {
+                const previous = cashFlow[cashFlow.length - 2];
+                this.addCashFlowSummary(summary, previous, 'LastYear', { year: previous.year, period: 'current' });
             }
         }
 
         return summary;
     }
 
+    /**
+     * Check the parsed statements for internal consistency: the accounting identity,
+     * subtotals against their components (STATEMENT_CHECKS), and each file's 年初数
+     * against the previous year's 期末数. A difference counts when it exceeds
+     * checkTolerance of the larger amount, and at least one unit of the file.
+     * @returns {Array} - [{ check, year, period, expected, actual, difference, message, cells }],
+     *   amounts in the reporting unit, cells are sources of the items involved
+     */
+    validateFinancialData() {
+        const rawData = this.financialData?.rawData || {};
+        const issues = [];
+        const toReporting = (value, year) => Math.round(value * AMOUNT_UNITS[this.getFileUnit(year)] / AMOUNT_UNITS[this.reportingUnit] * 100) / 100;
+        const exceeds = (a, b, unit = 1) => Math.abs(a - b) > Math.max(unit, Math.max(Math.abs(a), Math.abs(b)) * this.checkTolerance);
+        const periodName = { current: '本期', prior: '上期' };
+
+        const years = Object.keys(rawData).sort((a, b) => a - b);
+        for (const year of years) {
+            const data = rawData[year];
+
+            for (const period of ['current', 'prior']) {
+                const statements = period === 'current' ? data : data.prior || {};
+
+                for (const check of STATEMENT_MODEL.STATEMENT_CHECKS) {
+                    const items = statements[check.statement] || {};
+                    const parts = [...check.add, ...(check.subtract || [])];
+                    if (typeof items[check.total] !== 'number' || !parts.some(key => typeof items[key] === 'number')) continue;
+
+                    const value = key => (typeof items[key] === 'number' ? items[key] : 0);
+                    const expected = check.add.reduce((sum, key) => sum + value(key), 0)
+                        - (check.subtract || []).reduce((sum, key) => sum + value(key), 0);
+                    if (!exceeds(items[check.total], expected)) continue;
+
+                    const sources = data.sources?.[period]?.[check.statement] || {};
+                    issues.push({
+                        check: check.label,
+                        year: Number(year),
+                        period,
+                        expected: toReporting(expected, year),
+                        actual: toReporting(items[check.total], year),
+                        difference: toReporting(items[check.total] - expected, year),
+                        message: `${year}年${periodName[period]}：${check.label} 不成立`,
+                        cells: [check.total, ...parts].map(key => sources[key]).filter(Boolean)
+                    });
+                }
+            }
+
+            // 年初数 of this year's file against 期末数 of last year's file
+            const previous = rawData[Number(year) - 1];
+            const opening = data.prior?.balanceSheet || {};
+            if (!previous?.balanceSheet) continue;
+
+            for (const item of STATEMENT_MODEL.STATEMENT_ITEMS.balanceSheet) {
+                const openingValue = opening[item.key];
+                const closingValue = previous.balanceSheet[item.key];
+                if (typeof openingValue !== 'number' || typeof closingValue !== 'number') continue;
+
+                // The two files may be in different units; compare in 元
+                const openingUnit = AMOUNT_UNITS[this.getFileUnit(year)];
+                const closingUnit = AMOUNT_UNITS[this.getFileUnit(previous.year)];
+                const openingAmount = openingValue * openingUnit;
+                const closingAmount = closingValue * closingUnit;
+                if (!exceeds(openingAmount, closingAmount, Math.max(openingUnit, closingUnit))) continue;
+
+                const unit = AMOUNT_UNITS[this.reportingUnit];
+                issues.push({
+                    check: `${item.label}：年初数 = 上年期末数`,
+                    year: Number(year),
+                    period: 'prior',
+                    expected: Math.round(closingAmount / unit * 100) / 100,
+                    actual: Math.round(openingAmount / unit * 100) / 100,
+                    difference: Math.round((openingAmount - closingAmount) / unit * 100) / 100,
+                    message: `${year}年年初${item.label}与${previous.year}年期末数不一致`,
+                    cells: [
+                        data.sources?.prior?.balanceSheet?.[item.key],
+                        previous.sources?.current?.balanceSheet?.[item.key]
+                    ].filter(Boolean)
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Reporting period of the latest year and of the figures it is compared with
+     * @returns {Object} - { periodCurrent, periodLastYear, periodEndDate, periodMonths, periodType, annualizationFactor };
+     *   empty when nothing was parsed
+     */
+    getPeriodSummary() {
+        const rawData = this.financialData?.rawData || {};
+        const years = Object.keys(rawData).sort((a, b) => b - a);
+        if (years.length === 0) return {};
+
+        const period = rawData[years[0]].period || this.periodFromYear(Number(years[0]));
+        // Same columns as getFinancialSummary(): the file's own 上年/上期 figures, else the previous file
+        const prior = this.getPriorPeriod(years[0]);
+        const previous = years.length > 1 ? rawData[years[1]].period || this.periodFromYear(Number(years[1])) : null;
+        const lastYear = this.hasItems(prior.incomeStatement)
+            ? (prior.months === 12 ? `${period.year - 1}年度` : `${period.year - 1}年1-${prior.months}月`)
+            : previous?.label || null;
+
+        return {
+            periodCurrent: period.label,
+            periodLastYear: lastYear,
+            periodEndDate: period.endDate,
+            periodMonths: period.months,
+            periodType: PERIOD_TYPES[period.type],
+            // Multiply year-to-date flows by this to estimate a full year
+            annualizationFactor: Math.round(12 / period.months * 100) / 100
+        };
+    }
+
+    /**
+     * Comparative figures read from the prior-period columns of a year's file
+     * @param {number} year - Year of the file
+     * @returns {Object} - { balanceSheet, incomeStatement, cashFlow } in the reporting unit, empty objects when absent,
+     *   and months: the months the comparative flows cover (12 unless the column is the same period of the previous year)
+     */
+    getPriorPeriod(year) {
+        const data = this.financialData?.rawData?.[year] || {};
+        const prior = data.prior || {};
+        const span = data.priorSpans?.incomeStatement || data.priorSpans?.cashFlow;
+        const period = data.period || this.periodFromYear(Number(year));
+        return {
+            balanceSheet: this.toReportingUnit(prior.balanceSheet || {}, year),
+            incomeStatement: this.toReportingUnit(prior.incomeStatement || {}, year),
+            cashFlow: this.toReportingUnit(prior.cashFlow || {}, year),
+            months: span === 'period' && period ? period.months : 12
+        };
+    }
+
+    /**
+     * Statements of one year's file in the reporting unit
+     * @param {number|string} year - Year of the file
+     * @returns {Object} - { balanceSheet, incomeStatement, cashFlow, prior }
+     */
+    getYearData(year) {
+        const data = this.financialData?.rawData?.[year] || {};
+        return {
+            balanceSheet: data.balanceSheet && this.toReportingUnit(data.balanceSheet, year),
+            incomeStatement: data.incomeStatement && this.toReportingUnit(data.incomeStatement, year),
+            cashFlow: data.cashFlow && this.toReportingUnit(data.cashFlow, year),
+            prior: this.getPriorPeriod(year)
+        };
+    }
+
+    /**
+     * Convert the amounts of extracted items from their file's unit to the reporting unit.
+     * Ratios are kept as they are (they are stored as strings).
+     * @param {Object} items - Extracted items
+     * @param {number|string} year - Year of the file the items come from
+     * @returns {Object} - Converted copy, amounts rounded to 2 decimals
+     */
+    toReportingUnit(items, year) {
+        const factor = AMOUNT_UNITS[this.getFileUnit(year)] / AMOUNT_UNITS[this.reportingUnit];
+        const converted = {};
+        for (const [key, value] of Object.entries(items)) {
+            converted[key] = typeof value === 'number' && key !== 'year'
+                ? Math.round(value * factor * 100) / 100
+                : value;
+        }
+        return converted;
+    }
+
+    /**
+     * Amount unit of a year's file
+     * @param {number|string} year - Year of the file
+     * @returns {string}
+     */
+    getFileUnit(year) {
+        return this.financialData?.rawData?.[year]?.unit || '元';
+    }
+
+    /**
+     * Override the detected unit of a file (the stored amounts are reinterpreted in it)
+     * @param {string} fileName - Name of the uploaded file
+     * @param {string} unit - One of 元, 千元, 万元, 百万元, 亿元
+     */
+    setFileUnit(fileName, unit) {
+        if (!AMOUNT_UNITS[unit] || !this.financialData) return;
+
+        // Every year read from the workbook
+        this.financialData.files.filter(entry => entry.name === fileName).forEach(file => {
+            file.unit = unit;
+            if (file.year && this.financialData.rawData[file.year]) {
+                this.financialData.rawData[file.year].unit = unit;
+            }
+        });
+    }
+
+    /**
+     * Set the unit of the amounts returned by getFinancialSummary()
+     * @param {string} unit - One of 元, 千元, 万元, 百万元, 亿元
+     */
+    setReportingUnit(unit) {
+        if (AMOUNT_UNITS[unit]) {
+            this.reportingUnit = unit;
+        }
+    }
+
+    /**
+     * Every extracted line item per year, in the reporting unit
+     * @returns {Object} - { [year]: { balanceSheet, incomeStatement, cashFlow, prior } }
+     */
+    getLineItems() {
+        const rawData = this.financialData?.rawData || {};
+        return Object.fromEntries(Object.keys(rawData).map(year => [year, this.getYearData(year)]));
+    }
+
+    /**
+     * Line items of the latest year as rows for template loops, in statement order
+     * (e.g. {#balanceSheetItems}{label} {current} {prior}{/balanceSheetItems})
+     * @returns {Object} - { balanceSheetItems, incomeStatementItems, cashFlowItems }, rows of { key, label, current, prior }
+     */
+    getStatementTables() {
+        const years = Object.keys(this.financialData?.rawData || {}).sort((a, b) => b - a);
+        const latest = years.length > 0 ? this.getYearData(years[0]) : {};
+        const tables = {};
+
+        for (const [statement, items] of Object.entries(STATEMENT_MODEL.STATEMENT_ITEMS)) {
+            const current = latest[statement] || {};
+            const prior = latest.prior?.[statement] || {};
+            tables[`${statement}Items`] = items
+                .filter(item => current[item.key] !== undefined || prior[item.key] !== undefined)
+                .map(item => ({
+                    key: item.key,
+                    label: item.label,
+                    current: current[item.key] ?? null,
+                    prior: prior[item.key] ?? null
+                }));
+        }
+        return tables;
+    }
+
+    /**
+     * Every ratio of js/financialRatios.js for every parsed year. Opening balances and the
+     * prior-year flows for growth rates come from the file's own 年初 / 上年 columns, else
+     * from the previous year's file when it covers the right period.
+     * @returns {Object} - { ratioYears: [{ year, label }] oldest first,
+     *   financialRatios: rows of { key, label, group, unit, formula, values: [{ year, label, value }] },
+     *   and {key}Current / {key}Previous for the latest two columns (roeCurrent, roePrevious) }
+     */
+    getFinancialRatios() {
+        const rawData = this.financialData?.rawData || {};
+        const periodOf = year => rawData[year]?.period || this.periodFromYear(Number(year));
+
+        const columns = Object.keys(rawData).sort((a, b) => a - b).map(year => {
+            const data = this.getYearData(year);
+            const period = periodOf(year);
+            const previous = rawData[year - 1] ? { period: periodOf(year - 1), data: this.getYearData(year - 1) } : null;
+
+            // A full previous year ends where this one opens; a previous file of the same length is its prior period
+            let opening = data.prior.balanceSheet;
+            if (!this.hasItems(opening) && previous?.period.months === 12) opening = previous.data.balanceSheet || {};
+            // The file's own comparative column (often the previous full year in interim statements)
+            let priorIncomeStatement = data.prior.incomeStatement;
+            let priorMonths = data.prior.months;
+            if (!this.hasItems(priorIncomeStatement) && previous?.period.months === period.months) {
+                priorIncomeStatement = previous.data.incomeStatement || {};
+                priorMonths = period.months;
+            }
+
+            return {
+                year: Number(year),
+                label: period.label,
+                values: RATIO_MODEL.computeFinancialRatios({
+                    balanceSheet: data.balanceSheet || {},
+                    opening,
+                    incomeStatement: data.incomeStatement || {},
+                    priorIncomeStatement,
+                    cashFlow: data.cashFlow || {},
+                    months: period.months,
+                    priorMonths
+                })
+            };
+        });
+
+        const result = {
+            ratioYears: columns.map(({ year, label }) => ({ year, label })),
+            financialRatios: RATIO_MODEL.FINANCIAL_RATIOS
+                .map(ratio => ({
+                    key: ratio.key,
+                    label: ratio.label,
+                    group: RATIO_MODEL.RATIO_GROUPS[ratio.group],
+                    unit: ratio.unit,
+                    formula: ratio.formula,
+                    values: columns.map(({ year, label, values }) => ({ year, label, value: values[ratio.key] ?? null }))
+                }))
+                .filter(row => row.values.some(({ value }) => value !== null))
+        };
+
+        const [latest, previous] = [...columns].reverse();
+        for (const ratio of RATIO_MODEL.FINANCIAL_RATIOS) {
+            if (latest?.values[ratio.key] !== undefined) result[`${ratio.key}Current`] = latest.values[ratio.key];
+            if (previous?.values[ratio.key] !== undefined) result[`${ratio.key}Previous`] = previous.values[ratio.key];
+        }
+        return result;
+    }
+
+    /**
+     * Grade the latest period's ratios against the industry standard values (企业绩效评价标准值)
+     * @param {Object} [company]
+     * @param {string} [company.industry] - 所属行业, matched to a benchmark industry
+     * @param {string} [company.companySize] - 企业规模 (大型 / 中型 / 小型 / 微型)
+     * @param {string} [company.benchmarkIndustryKey] - Benchmark industry chosen by hand, instead of the match
+     * @returns {Object} - { benchmarkIndustry, benchmarkSize, benchmarkEdition, benchmarkPeriod,
+     *   benchmarkComparison: rows of { key, label, group, unit, value, excellent, good, average, low, poor, grade },
+     *   and {key}Grade for every graded ratio (roeGrade) }; with the bundled sample values only
+     *   { benchmarkComparison: [], benchmarkEdition, benchmarkSkipped } explaining why nothing was graded
+     */
+    getBenchmarkComparison({ industry, companySize, benchmarkIndustryKey } = {}) {
+        if (BENCHMARK_MODEL.INDUSTRY_BENCHMARKS.sample) {
+            return {
+                benchmarkComparison: [],
+                benchmarkEdition: BENCHMARK_MODEL.INDUSTRY_BENCHMARKS.edition,
+                benchmarkSkipped: '未进行行业对标：系统内置的企业绩效评价标准值为示例数据，尚未导入正式发布的标准值'
+            };
+        }
+
+        const { ratioYears, financialRatios } = this.getFinancialRatios();
+        const industryKey = benchmarkIndustryKey || BENCHMARK_MODEL.matchBenchmarkIndustry(industry).key;
+        const table = BENCHMARK_MODEL.findBenchmarkTable(industryKey, BENCHMARK_MODEL.matchBenchmarkSize(companySize));
+        if (ratioYears.length === 0 || !table) return { benchmarkComparison: [] };
+
+        const rows = financialRatios
+            .filter(ratio => table.values[ratio.key] && ratio.values[ratio.values.length - 1].value !== null)
+            .map(ratio => {
+                const value = ratio.values[ratio.values.length - 1].value;
+                const [excellent, good, average, low, poor] = table.values[ratio.key];
+                return {
+                    key: ratio.key,
+                    label: ratio.label,
+                    group: ratio.group,
+                    unit: ratio.unit,
+                    value,
+                    excellent, good, average, low, poor,
+                    grade: BENCHMARK_MODEL.gradeRatio(ratio.key, value, table.values[ratio.key])
+                };
+            });
+
+        const result = {
+            benchmarkIndustry: table.industry,
+            benchmarkSize: table.size,
+            benchmarkEdition: BENCHMARK_MODEL.INDUSTRY_BENCHMARKS.edition,
+            benchmarkPeriod: ratioYears[ratioYears.length - 1].label,
+            benchmarkComparison: rows
+        };
+        rows.forEach(row => { result[`${row.key}Grade`] = row.grade; });
+        return result;
+    }
+
+    /**
+     * Headline figures of every parsed year for the trend charts (js/chartRenderer.js)
+     * @returns {Object} - { trendData: [{ year, label, months, revenue, netProfit, debtRatio,
+     *   operatingCashFlow, investingCashFlow, financingCashFlow }] oldest first; missing figures are null }
+     */
+    getTrendData() {
+        const rawData = this.financialData?.rawData || {};
+        const pick = (items, key) => (typeof items?.[key] === 'number' && !isNaN(items[key]) ? items[key] : null);
+
+        return {
+            trendData: Object.keys(rawData).sort((a, b) => a - b).map(year => {
+                const { balanceSheet, incomeStatement, cashFlow } = this.getYearData(year);
+                const period = rawData[year].period || this.periodFromYear(Number(year));
+                return {
+                    year: Number(year),
+                    label: period.label,
+                    months: period.months,
+                    revenue: pick(incomeStatement, 'revenue') ?? pick(incomeStatement, 'totalOperatingRevenue'),
+                    netProfit: pick(incomeStatement, 'netProfit'),
+                    debtRatio: RATIO_MODEL.computeFinancialRatios({ balanceSheet, incomeStatement }).debtRatio ?? null,
+                    operatingCashFlow: pick(cashFlow, 'operatingCashFlow'),
+                    investingCashFlow: pick(cashFlow, 'investingCashFlow'),
+                    financingCashFlow: pick(cashFlow, 'financingCashFlow')
+                };
+            })
+        };
+    }
+
+    /**
+     * Detected and effective unit of every parsed file (one entry per year of a multi-year workbook)
+     * @returns {Array} - [{ name, year, period, unit, detectedUnit }]
+     */
+    getFileUnits() {
+        return this.financialData?.files || [];
+    }
+
+    /**
+     * Whether an extracted statement has any non-zero figure. Comparative columns
+     * that were left at zero (common in interim cash flow statements) count as empty.
+     * @param {Object} items - Extracted items
+     * @returns {boolean}
+     */
+    hasItems(items) {
+        return Boolean(items) && Object.values(items).some(value => Number(value) !== 0 && !isNaN(Number(value)));
+    }
+
+    /**
+     * Copy balance sheet items into the summary under a period suffix
+     * (e.g. totalAssets -> totalAssetsBeginning)
+     * @param {Object} summary - Summary to populate
+     * @param {Object} balanceSheet - Balance sheet items of one date
+     * @param {string} suffix - 'End', 'Beginning' or 'LastYear'
+     * @param {Object} [origin] - { year, period } the items were read from, for their sources
+     */
+    addBalanceSheetSummary(summary, balanceSheet, suffix, origin) {
+        const keys = ['totalAssets', 'totalLiabilities', 'ownerEquity', 'debtRatio', 'currentRatio', 'quickRatio'];
+        keys.forEach(key => {
+            summary[`${key}${suffix}`] = balanceSheet[key];
+        });
+        this.recordSummarySources(keys, suffix, 'balanceSheet', origin);
+    }
+
+    /**
+     * Copy cash flow items into the summary under a period suffix
+     * (e.g. operatingCashFlow -> operatingCashFlowCurrent)
+     * @param {Object} summary - Summary to populate
+     * @param {Object} cashFlow - Cash flow items of one year
+     * @param {string} suffix - 'Current' or 'LastYear'
+     * @param {Object} [origin] - { year, period } the items were read from, for their sources
+     */
+    addCashFlowSummary(summary, cashFlow, suffix, origin) {
+        if (!cashFlow) return;
+        const keys = ['cashFromSales', 'operatingCashFlow', 'investingCashFlow', 'financingCashFlow', 'endingCash']
+            .filter(key => cashFlow[key] !== undefined);
+        keys.forEach(key => {
+            summary[`${key}${suffix}`] = cashFlow[key];
+        });
+        this.recordSummarySources(keys, suffix, 'cashFlow', origin);
+    }
+
+    /**
+     * Remember where the summary fields of one period came from
+     * @param {Array<string>} keys - Item keys copied into the summary
+     * @param {string} suffix - Period suffix of the summary fields
+     * @param {string} statement - 'balanceSheet', 'incomeStatement' or 'cashFlow'
+     * @param {Object} [origin] - { year, period: 'current'|'prior' } of the file the items came from
+     */
+    recordSummarySources(keys, suffix, statement, origin) {
+        if (!origin) return;
+        const sources = this.financialData?.rawData?.[origin.year]?.sources?.[origin.period]?.[statement] || {};
+
+        keys.forEach(key => {
+            const field = `${key}${suffix}`;
+            const source = sources[key] || this.derivedSource(key, sources);
+            if (source) {
+                this.summarySources[field] = source;
+            } else {
+                delete this.summarySources[field];
+            }
+        });
+    }
+
+    /**
+     * Source of a computed item: its formula and the cells it was computed from.
+     * Its confidence is that of the least certain input.
+     * @param {string} key - Item key
+     * @param {Object} sources - Sources of the statement the item was computed in
+     * @returns {Object|null}
+     */
+    derivedSource(key, sources) {
+        const derived = DERIVED_FIELDS[key];
+        if (!derived) return null;
+
+        const inputs = derived.inputs.map(input => sources[input]).filter(Boolean);
+        if (inputs.length === 0) return null;
+
+        return {
+            ...inputs[0],
+            derived: true,
+            formula: derived.formula,
+            inputs,
+            cell: inputs.map(input => input.cell).join(', '),
+            label: derived.formula,
+            item: derived.formula,
+            confidence: Math.min(...inputs.map(input => input.confidence))
+        };
+    }
+
+    /**
+     * Source of a summary field (as returned by getFinancialSummary())
+     * @param {string} field - Summary field, e.g. totalAssetsEnd
+     * @returns {Object|null} - { fileName, year, sheetName, cell, label, item, confidence, derived?, formula?, inputs? }
+     */
+    getFieldSource(field) {
+        return this.summarySources[field] || null;
+    }
+
+    /**
+     * Whether a summary field was extracted with too little confidence to use unchecked
+     * @param {string} field - Summary field
+     * @returns {boolean}
+     */
+    needsReview(field) {
+        const source = this.getFieldSource(field);
+        return Boolean(source) && source.confidence < this.reviewThreshold;
+    }
+
+    /**
+     * Rows around a source cell, for showing it in context
+     * @param {Object} source - Source from getFieldSource()
+     * @param {number} [radius=3] - Rows to show above and below
+     * @returns {Object|null} - { columns, rows: [{ number, cells }], highlight: { row, col } }; column letters and row numbers as in the sheet
+     */
+    getSourceContext(source, radius = 3) {
+        const data = source && this.financialData?.rawData?.[source.year];
+        const rows = data?.sheets?.[source.sheetName];
+        if (!rows) return null;
+
+        const origin = data.sheetOrigins?.[source.sheetName] || { r: 0, c: 0 };
+        const first = Math.max(0, source.row - radius);
+        const last = Math.min(rows.length - 1, source.row + radius);
+        const slice = rows.slice(first, last + 1);
+        const width = Math.max(source.col + 1, ...slice.map(row => (row || []).length));
+
+        return {
+            columns: Array.from({ length: width }, (_, col) => this.cellAddress(0, origin.c + col).replace(/\d+$/, '')),
+            rows: slice.map((row, offset) => ({
+                number: origin.r + first + offset + 1,
+                cells: Array.from({ length: width }, (_, col) => (row || [])[col] ?? '')
+            })),
+            highlight: { row: source.row - first, col: source.col }
+        };
+    }
+
     /**
      * Get business info
      * @returns {Object} - Business info
@@ -566,9 +2604,18 @@ class FileParser {
         this.templateZip = null;
         this.financialData = null;
         this.businessInfo = null;
+        this.businessPages = [];
+        this.businessConflicts = {};
+        this.summarySources = {};
     }
 }
 
 // Export singleton instance
 const fileParser = new FileParser();
 
+// Also loadable from Node (the batch CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FileParser, fileParser, AMOUNT_UNITS, PERIOD_TYPES, BUSINESS_PAGE_TYPES, BUSINESS_LIST_COLUMNS };
+}
+
+
@@ -0,0 +1,202 @@
+/**
+ * Financial Ratios
+ * Solvency, profitability, efficiency, growth and cash-flow ratios of one reporting period.
+ * Flows are set against average balances ((年初 + 期末) / 2) where the opening balance is
+ * known, else against the closing balance; interim flows are annualized so that every
+ * period compares with a full year.
+ */
+
+const RATIO_GROUPS = {
+    solvency: '偿债能力',
+    profitability: '盈利能力',
+    efficiency: '营运能力',
+    growth: '成长能力',
+    cashFlow: '现金流量'
+};
+
+// Days of a year in turnover ratios, as banks count them
+const DAYS_PER_YEAR = 360;
+
+/**
+ * a / b, or null when either is missing or b is zero
+ * @param {number} a
+ * @param {number} b
+ * @returns {number|null}
+ */
+function ratioDivide(a, b) {
+    if (typeof a !== 'number' || typeof b !== 'number' || isNaN(a) || isNaN(b) || b === 0) return null;
+    return a / b;
+}
+
+function ratioPercent(a, b) {
+    const value = ratioDivide(a, b);
+    return value === null ? null : value * 100;
+}
+
+function ratioGrowth(current, prior) {
+    if (typeof current !== 'number' || typeof prior !== 'number') return null;
+    return ratioPercent(current - prior, Math.abs(prior));
+}
+
+// compute(period) receives the figures of one period (see computeFinancialRatios) and
+// returns the ratio, or null when an input is missing
+const FINANCIAL_RATIOS = [
+    {
+        key: 'debtRatio', label: '资产负债率', group: 'solvency', unit: '%',
+        formula: '负债合计 / 资产总计',
+        compute: ({ end }) => ratioPercent(end.totalLiabilities, end.totalAssets)
+    },
+    {
+        key: 'currentRatio', label: '流动比率', group: 'solvency', unit: '倍',
+        formula: '流动资产合计 / 流动负债合计',
+        compute: ({ end }) => ratioDivide(end.currentAssets, end.currentLiabilities)
+    },
+    {
+        key: 'quickRatio', label: '速动比率', group: 'solvency', unit: '倍',
+        formula: '(流动资产合计 - 存货) / 流动负债合计',
+        compute: ({ end }) => ratioDivide(typeof end.currentAssets === 'number' ? end.currentAssets - (end.inventory || 0) : null, end.currentLiabilities)
+    },
+    {
+        key: 'interestCoverage', label: '利息保障倍数', group: 'solvency', unit: '倍',
+        formula: '(利润总额 + 利息费用) / 利息费用',
+        compute: ({ income, interest }) => ratioDivide(typeof income.totalProfit === 'number' && interest ? income.totalProfit + interest : null, interest)
+    },
+    {
+        key: 'grossMargin', label: '毛利率', group: 'profitability', unit: '%',
+        formula: '(营业收入 - 营业成本) / 营业收入',
+        compute: ({ income, revenue }) => ratioPercent(typeof income.operatingCost === 'number' ? revenue - income.operatingCost : null, revenue)
+    },
+    {
+        key: 'netMargin', label: '净利率', group: 'profitability', unit: '%',
+        formula: '净利润 / 营业收入',
+        compute: ({ income, revenue }) => ratioPercent(income.netProfit, revenue)
+    },
+    {
+        key: 'roa', label: '总资产收益率（ROA）', group: 'profitability', unit: '%',
+        formula: '年化净利润 / 平均资产总计',
+        compute: ({ income, average, annualize }) => ratioPercent(annualize(income.netProfit), average('totalAssets'))
+    },
+    {
+        key: 'roe', label: '净资产收益率（ROE）', group: 'profitability', unit: '%',
+        formula: '年化净利润 / 平均所有者权益',
+        compute: ({ income, average, annualize }) => ratioPercent(annualize(income.netProfit), average('ownerEquity'))
+    },
+    {
+        key: 'receivablesDays', label: '应收账款周转天数', group: 'efficiency', unit: '天',
+        formula: `平均应收账款 / 年化营业收入 × ${DAYS_PER_YEAR}`,
+        compute: ({ average, revenue, annualize }) => {
+            const receivables = average('accountsReceivable') ?? average('notesAndAccountsReceivable');
+            const turnover = ratioDivide(annualize(revenue), receivables);
+            return turnover ? DAYS_PER_YEAR / turnover : null;
+        }
+    },
+    {
+        key: 'inventoryDays', label: '存货周转天数', group: 'efficiency', unit: '天',
+        formula: `平均存货 / 年化营业成本 × ${DAYS_PER_YEAR}`,
+        compute: ({ income, average, annualize }) => {
+            const turnover = ratioDivide(annualize(income.operatingCost), average('inventory'));
+            return turnover ? DAYS_PER_YEAR / turnover : null;
+        }
+    },
+    {
+        key: 'assetTurnover', label: '总资产周转率', group: 'efficiency', unit: '次',
+        formula: '年化营业收入 / 平均资产总计',
+        compute: ({ revenue, average, annualize }) => ratioDivide(annualize(revenue), average('totalAssets'))
+    },
+    {
+        key: 'revenueGrowth', label: '营业收入增长率', group: 'growth', unit: '%',
+        formula: '(本期营业收入 - 上年同期) / 上年同期，对比期间月数不同时均按年化数',
+        compute: ({ revenue, priorRevenue, flowGrowth }) => flowGrowth(revenue, priorRevenue)
+    },
+    {
+        key: 'netProfitGrowth', label: '净利润增长率', group: 'growth', unit: '%',
+        formula: '(本期净利润 - 上年同期) / |上年同期|，对比期间月数不同时均按年化数',
+        compute: ({ income, priorIncome, flowGrowth }) => flowGrowth(income.netProfit, priorIncome.netProfit)
+    },
+    {
+        key: 'totalAssetsGrowth', label: '总资产增长率', group: 'growth', unit: '%',
+        formula: '(期末资产总计 - 年初资产总计) / 年初资产总计',
+        compute: ({ end, opening }) => ratioGrowth(end.totalAssets, opening.totalAssets)
+    },
+    {
+        key: 'ownerEquityGrowth', label: '净资产增长率', group: 'growth', unit: '%',
+        formula: '(期末所有者权益 - 年初所有者权益) / |年初所有者权益|',
+        compute: ({ end, opening }) => ratioGrowth(end.ownerEquity, opening.ownerEquity)
+    },
+    {
+        key: 'cashToRevenue', label: '销售收现比率', group: 'cashFlow', unit: '%',
+        formula: '销售商品、提供劳务收到的现金 / 营业收入',
+        compute: ({ cash, revenue }) => ratioPercent(cash.cashFromSales, revenue)
+    },
+    {
+        key: 'cashFlowToNetProfit', label: '盈余现金保障倍数', group: 'cashFlow', unit: '倍',
+        formula: '经营活动现金流量净额 / 净利润（净利润为正时）',
+        compute: ({ cash, income }) => (income.netProfit > 0 ? ratioDivide(cash.operatingCashFlow, income.netProfit) : null)
+    },
+    {
+        key: 'cashFlowToCurrentLiabilities', label: '现金流动负债比率', group: 'cashFlow', unit: '%',
+        formula: '年化经营活动现金流量净额 / 期末流动负债合计',
+        compute: ({ cash, end, annualize }) => ratioPercent(annualize(cash.operatingCashFlow), end.currentLiabilities)
+    },
+    {
+        key: 'cashFlowToLiabilities', label: '现金债务总额比率', group: 'cashFlow', unit: '%',
+        formula: '年化经营活动现金流量净额 / 期末负债合计',
+        compute: ({ cash, end, annualize }) => ratioPercent(annualize(cash.operatingCashFlow), end.totalLiabilities)
+    }
+];
+
+/**
+ * Compute every ratio of one reporting period
+ * @param {Object} period
+ * @param {Object} period.balanceSheet - Closing balances
+ * @param {Object} [period.opening] - Opening balances (年初数), empty when unknown
+ * @param {Object} period.incomeStatement - Flows of the period
+ * @param {Object} [period.priorIncomeStatement] - Flows of the period a year earlier
+ * @param {Object} [period.cashFlow] - Cash flows of the period
+ * @param {number} [period.months=12] - Months covered by the flows
+ * @param {number} [period.priorMonths=months] - Months covered by priorIncomeStatement (12 when an
+ *   interim statement is compared with the previous full year)
+ * @returns {Object} - key -> value rounded to 2 decimals; ratios without inputs are left out
+ */
+function computeFinancialRatios({ balanceSheet, opening = {}, incomeStatement, priorIncomeStatement = {}, cashFlow = {}, months = 12, priorMonths = months }) {
+    const end = balanceSheet || {};
+    const income = incomeStatement || {};
+    const factor = 12 / (months || 12);
+    const priorFactor = 12 / (priorMonths || 12);
+    const isAmount = value => typeof value === 'number' && !isNaN(value);
+
+    const context = {
+        end,
+        opening,
+        income,
+        cash: cashFlow,
+        priorIncome: priorIncomeStatement,
+        revenue: isAmount(income.revenue) ? income.revenue : income.totalOperatingRevenue,
+        priorRevenue: isAmount(priorIncomeStatement.revenue) ? priorIncomeStatement.revenue : priorIncomeStatement.totalOperatingRevenue,
+        // 利息费用 when the statement itemizes it, else a positive 财务费用
+        interest: isAmount(income.interestExpense) ? income.interestExpense : (income.financialExpenses > 0 ? income.financialExpenses : null),
+        annualize: value => (isAmount(value) ? value * factor : null),
+        // Flows of periods of different length are compared annualized
+        flowGrowth: (current, prior) => (factor === priorFactor
+            ? ratioGrowth(current, prior)
+            : ratioGrowth(isAmount(current) ? current * factor : null, isAmount(prior) ? prior * priorFactor : null)),
+        average: key => {
+            if (!isAmount(end[key])) return null;
+            return isAmount(opening[key]) ? (end[key] + opening[key]) / 2 : end[key];
+        }
+    };
+
+    const values = {};
+    for (const ratio of FINANCIAL_RATIOS) {
+        const value = ratio.compute(context);
+        if (isAmount(value) && isFinite(value)) {
+            values[ratio.key] = Math.round(value * 100) / 100;
+        }
+    }
+    return values;
+}
+
+// Also loadable from Node (the batch CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FINANCIAL_RATIOS, RATIO_GROUPS, computeFinancialRatios };
+}
@@ -0,0 +1,446 @@
+/**
+ * Industry Benchmarks
+ * Standard values of the annual 企业绩效评价标准值 tables by industry and company size, five
+ * levels per ratio (优秀 / 良好 / 平均 / 较低 / 较差), and the grading of computed ratios
+ * against them. Keys of the values are the ratio keys of js/financialRatios.js; turnover
+ * ratios are stored in the units used there (days, 次).
+ *
+ * The bundled tables are sample values for trying the feature out and are marked `sample`;
+ * nothing is graded against them. Load the edition currently published with loadBenchmarkData
+ * (a JSON file of the same shape) to grade the ratios.
+ */
+
+const BENCHMARK_LEVELS = ['优秀', '良好', '平均', '较低', '较差'];
+
+// Ratios that are better when lower; all others are better when higher
+const LOWER_IS_BETTER = ['debtRatio', 'receivablesDays', 'inventoryDays'];
+
+const BENCHMARK_SIZES = {
+    all: '全行业',
+    large: '大型企业',
+    medium: '中型企业',
+    small: '小型企业'
+};
+
+const INDUSTRY_BENCHMARKS = {
+    edition: '示例数据（请替换为当年发布的企业绩效评价标准值）',
+    // Sample values: ratios are not graded until a published edition is loaded
+    sample: true,
+    // Matched against the company's 所属行业 in this order; the first industry is the fallback
+    industries: [
+        { key: 'all', name: '全国国有企业', keywords: [] },
+        { key: 'manufacturing', name: '制造业', keywords: ['制造', '加工', '材料', '化工', '机械', '设备', '纺织', '食品', '医药', '电子', '汽车'] },
+        { key: 'construction', name: '建筑业', keywords: ['建筑', '施工', '工程', '安装', '装修', '装饰'] },
+        { key: 'wholesaleRetail', name: '批发和零售业', keywords: ['批发', '零售', '贸易', '商贸'] },
+        { key: 'transport', name: '交通运输、仓储和邮政业', keywords: ['运输', '物流', '仓储', '快递', '邮政'] },
+        { key: 'realEstate', name: '房地产业', keywords: ['房地产', '物业', '置业'] },
+        { key: 'software', name: '信息传输、软件和信息技术服务业', keywords: ['软件', '信息技术', '信息传输', '互联网', '通信'] },
+        { key: 'industry', name: '工业', keywords: ['工业', '采矿', '矿业', '电力', '热力', '燃气', '供水'] }
+    ],
+    // values: ratio key -> [优秀, 良好, 平均, 较低, 较差]
+    tables: [
+        {
+            industry: 'all', size: 'all',
+            values: {
+                roe: [12.5, 8.7, 5.5, 1.3, -5.6],
+                roa: [7, 5, 3.3, 1, -2.5],
+                netMargin: [15, 9.5, 5, 0.8, -6.5],
+                debtRatio: [49, 54, 64, 74, 88],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [6, 4.5, 3, 1.2, -0.5],
+                assetTurnover: [1.4, 0.9, 0.5, 0.3, 0.1],
+                receivablesDays: [18, 33, 60, 103, 240],
+                cashFlowToNetProfit: [9, 5, 1.5, 0.2, -1.5],
+                revenueGrowth: [22, 14, 7, -5, -18]
+            }
+        },
+        {
+            industry: 'all', size: 'large',
+            values: {
+                roe: [13.8, 9.6, 6.1, 1.4, -5.1],
+                roa: [7.7, 5.5, 3.6, 1.1, -2.3],
+                netMargin: [16.5, 10.5, 5.5, 0.9, -5.9],
+                debtRatio: [51, 56, 66, 76, 90],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [6.6, 5, 3.3, 1.3, -0.5],
+                assetTurnover: [1.4, 0.9, 0.5, 0.3, 0.1],
+                receivablesDays: [16, 30, 54, 93, 216],
+                cashFlowToNetProfit: [9.9, 5.5, 1.7, 0.2, -1.4],
+                revenueGrowth: [21, 13, 6, -6, -19]
+            }
+        },
+        {
+            industry: 'all', size: 'medium',
+            values: {
+                roe: [11.9, 8.3, 5.2, 1.2, -5.9],
+                roa: [6.6, 4.8, 3.1, 0.9, -2.6],
+                netMargin: [14.2, 9, 4.8, 0.8, -6.8],
+                debtRatio: [49, 54, 64, 74, 88],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [5.7, 4.3, 2.8, 1.1, -0.5],
+                assetTurnover: [1.4, 0.9, 0.5, 0.3, 0.1],
+                receivablesDays: [18, 33, 60, 103, 240],
+                cashFlowToNetProfit: [8.5, 4.8, 1.4, 0.2, -1.6],
+                revenueGrowth: [22.5, 14.5, 7.5, -4.5, -17.5]
+            }
+        },
+        {
+            industry: 'all', size: 'small',
+            values: {
+                roe: [10, 7, 4.4, 1, -7],
+                roa: [5.6, 4, 2.6, 0.8, -3.1],
+                netMargin: [12, 7.6, 4, 0.6, -8.1],
+                debtRatio: [48, 53, 63, 73, 87],
+                quickRatio: [1.42, 1.14, 0.85, 0.66, 0.38],
+                interestCoverage: [4.8, 3.6, 2.4, 1, -0.6],
+                assetTurnover: [1.54, 0.99, 0.55, 0.33, 0.11],
+                receivablesDays: [22, 41, 75, 129, 300],
+                cashFlowToNetProfit: [7.2, 4, 1.2, 0.2, -1.9],
+                revenueGrowth: [23.5, 15.5, 8.5, -3.5, -16.5]
+            }
+        },
+        {
+            industry: 'industry', size: 'all',
+            values: {
+                roe: [13.1, 9.1, 5.8, 1.4, -5.3],
+                roa: [7.4, 5.2, 3.5, 1.1, -2.4],
+                netMargin: [15.8, 10, 5.2, 0.8, -6.2],
+                debtRatio: [48, 53, 63, 73, 87],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [6.3, 4.7, 3.2, 1.3, -0.5],
+                assetTurnover: [1.4, 0.9, 0.5, 0.3, 0.1],
+                receivablesDays: [16, 30, 54, 93, 216],
+                cashFlowToNetProfit: [9.5, 5.2, 1.6, 0.2, -1.4],
+                revenueGrowth: [22.5, 14.5, 7.5, -4.5, -17.5]
+            }
+        },
+        {
+            industry: 'manufacturing', size: 'all',
+            values: {
+                roe: [12.5, 8.7, 5.5, 1.3, -5.6],
+                roa: [7, 5, 3.3, 1, -2.5],
+                netMargin: [15, 9.5, 5, 0.8, -6.5],
+                debtRatio: [47, 52, 62, 72, 86],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [6, 4.5, 3, 1.2, -0.5],
+                assetTurnover: [1.4, 0.9, 0.5, 0.3, 0.1],
+                receivablesDays: [15, 28, 51, 88, 204],
+                cashFlowToNetProfit: [9, 5, 1.5, 0.2, -1.5],
+                revenueGrowth: [23, 15, 8, -4, -17]
+            }
+        },
+        {
+            industry: 'manufacturing', size: 'large',
+            values: {
+                roe: [13.8, 9.6, 6.1, 1.4, -5.1],
+                roa: [7.7, 5.5, 3.6, 1.1, -2.3],
+                netMargin: [16.5, 10.5, 5.5, 0.9, -5.9],
+                debtRatio: [49, 54, 64, 74, 88],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [6.6, 5, 3.3, 1.3, -0.5],
+                assetTurnover: [1.4, 0.9, 0.5, 0.3, 0.1],
+                receivablesDays: [14, 25, 46, 79, 184],
+                cashFlowToNetProfit: [9.9, 5.5, 1.7, 0.2, -1.4],
+                revenueGrowth: [22, 14, 7, -5, -18]
+            }
+        },
+        {
+            industry: 'manufacturing', size: 'medium',
+            values: {
+                roe: [11.9, 8.3, 5.2, 1.2, -5.9],
+                roa: [6.6, 4.8, 3.1, 0.9, -2.6],
+                netMargin: [14.2, 9, 4.8, 0.8, -6.8],
+                debtRatio: [47, 52, 62, 72, 86],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [5.7, 4.3, 2.8, 1.1, -0.5],
+                assetTurnover: [1.4, 0.9, 0.5, 0.3, 0.1],
+                receivablesDays: [15, 28, 51, 88, 204],
+                cashFlowToNetProfit: [8.5, 4.8, 1.4, 0.2, -1.6],
+                revenueGrowth: [23.5, 15.5, 8.5, -3.5, -16.5]
+            }
+        },
+        {
+            industry: 'manufacturing', size: 'small',
+            values: {
+                roe: [10, 7, 4.4, 1, -7],
+                roa: [5.6, 4, 2.6, 0.8, -3.1],
+                netMargin: [12, 7.6, 4, 0.6, -8.1],
+                debtRatio: [46, 51, 61, 71, 85],
+                quickRatio: [1.42, 1.14, 0.85, 0.66, 0.38],
+                interestCoverage: [4.8, 3.6, 2.4, 1, -0.6],
+                assetTurnover: [1.54, 0.99, 0.55, 0.33, 0.11],
+                receivablesDays: [19, 35, 64, 109, 255],
+                cashFlowToNetProfit: [7.2, 4, 1.2, 0.2, -1.9],
+                revenueGrowth: [24.5, 16.5, 9.5, -2.5, -15.5]
+            }
+        },
+        {
+            industry: 'construction', size: 'all',
+            values: {
+                roe: [8.8, 6.1, 3.8, 0.9, -8],
+                roa: [4.9, 3.5, 2.3, 0.7, -3.6],
+                netMargin: [10.5, 6.6, 3.5, 0.6, -9.3],
+                debtRatio: [57, 62, 72, 82, 96],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [4.2, 3.1, 2.1, 0.8, -0.7],
+                assetTurnover: [1.54, 0.99, 0.55, 0.33, 0.11],
+                receivablesDays: [29, 53, 96, 165, 384],
+                cashFlowToNetProfit: [6.3, 3.5, 1, 0.1, -2.1],
+                revenueGrowth: [21, 13, 6, -6, -19]
+            }
+        },
+        {
+            industry: 'construction', size: 'large',
+            values: {
+                roe: [9.6, 6.7, 4.2, 1, -7.3],
+                roa: [5.4, 3.9, 2.5, 0.8, -3.2],
+                netMargin: [11.6, 7.3, 3.9, 0.6, -8.4],
+                debtRatio: [59, 64, 74, 84, 98],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [4.6, 3.5, 2.3, 0.9, -0.6],
+                assetTurnover: [1.54, 0.99, 0.55, 0.33, 0.11],
+                receivablesDays: [26, 48, 86, 148, 346],
+                cashFlowToNetProfit: [6.9, 3.9, 1.2, 0.2, -1.9],
+                revenueGrowth: [20, 12, 5, -7, -20]
+            }
+        },
+        {
+            industry: 'construction', size: 'medium',
+            values: {
+                roe: [8.3, 5.8, 3.7, 0.9, -8.4],
+                roa: [4.7, 3.3, 2.2, 0.7, -3.8],
+                netMargin: [10, 6.3, 3.3, 0.5, -9.8],
+                debtRatio: [57, 62, 72, 82, 96],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [4, 3, 2, 0.8, -0.8],
+                assetTurnover: [1.54, 0.99, 0.55, 0.33, 0.11],
+                receivablesDays: [29, 53, 96, 165, 384],
+                cashFlowToNetProfit: [6, 3.3, 1, 0.1, -2.3],
+                revenueGrowth: [21.5, 13.5, 6.5, -5.5, -18.5]
+            }
+        },
+        {
+            industry: 'construction', size: 'small',
+            values: {
+                roe: [7, 4.9, 3.1, 0.7, -10],
+                roa: [3.9, 2.8, 1.8, 0.6, -4.5],
+                netMargin: [8.4, 5.3, 2.8, 0.4, -11.6],
+                debtRatio: [56, 61, 71, 81, 95],
+                quickRatio: [1.42, 1.14, 0.85, 0.66, 0.38],
+                interestCoverage: [3.4, 2.5, 1.7, 0.7, -0.9],
+                assetTurnover: [1.69, 1.09, 0.61, 0.36, 0.12],
+                receivablesDays: [36, 66, 120, 206, 480],
+                cashFlowToNetProfit: [5, 2.8, 0.8, 0.1, -2.7],
+                revenueGrowth: [22.5, 14.5, 7.5, -4.5, -17.5]
+            }
+        },
+        {
+            industry: 'wholesaleRetail', size: 'all',
+            values: {
+                roe: [7.5, 5.2, 3.3, 0.8, -9.3],
+                roa: [4.2, 3, 2, 0.6, -4.2],
+                netMargin: [9, 5.7, 3, 0.5, -10.8],
+                debtRatio: [53, 58, 68, 78, 92],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [3.6, 2.7, 1.8, 0.7, -0.8],
+                assetTurnover: [2.52, 1.62, 0.9, 0.54, 0.18],
+                receivablesDays: [9, 16, 30, 52, 120],
+                cashFlowToNetProfit: [5.4, 3, 0.9, 0.1, -2.5],
+                revenueGrowth: [23.5, 15.5, 8.5, -3.5, -16.5]
+            }
+        },
+        {
+            industry: 'wholesaleRetail', size: 'large',
+            values: {
+                roe: [8.2, 5.7, 3.6, 0.9, -8.5],
+                roa: [4.6, 3.3, 2.2, 0.7, -3.8],
+                netMargin: [9.9, 6.3, 3.3, 0.5, -9.8],
+                debtRatio: [55, 60, 70, 80, 94],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [4, 3, 2, 0.8, -0.8],
+                assetTurnover: [2.52, 1.62, 0.9, 0.54, 0.18],
+                receivablesDays: [8, 15, 27, 46, 108],
+                cashFlowToNetProfit: [5.9, 3.3, 1, 0.1, -2.3],
+                revenueGrowth: [22.5, 14.5, 7.5, -4.5, -17.5]
+            }
+        },
+        {
+            industry: 'wholesaleRetail', size: 'medium',
+            values: {
+                roe: [7.1, 5, 3.1, 0.7, -9.8],
+                roa: [4, 2.8, 1.9, 0.6, -4.4],
+                netMargin: [8.5, 5.4, 2.8, 0.5, -11.4],
+                debtRatio: [53, 58, 68, 78, 92],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [3.4, 2.6, 1.7, 0.7, -0.9],
+                assetTurnover: [2.52, 1.62, 0.9, 0.54, 0.18],
+                receivablesDays: [9, 16, 30, 52, 120],
+                cashFlowToNetProfit: [5.1, 2.8, 0.9, 0.1, -2.6],
+                revenueGrowth: [24, 16, 9, -3, -16]
+            }
+        },
+        {
+            industry: 'wholesaleRetail', size: 'small',
+            values: {
+                roe: [6, 4.2, 2.6, 0.6, -11.7],
+                roa: [3.4, 2.4, 1.6, 0.5, -5.2],
+                netMargin: [7.2, 4.6, 2.4, 0.4, -13.5],
+                debtRatio: [52, 57, 67, 77, 91],
+                quickRatio: [1.42, 1.14, 0.85, 0.66, 0.38],
+                interestCoverage: [2.9, 2.2, 1.4, 0.6, -1],
+                assetTurnover: [2.77, 1.78, 0.99, 0.59, 0.2],
+                receivablesDays: [11, 21, 38, 64, 150],
+                cashFlowToNetProfit: [4.3, 2.4, 0.7, 0.1, -3.1],
+                revenueGrowth: [25, 17, 10, -2, -15]
+            }
+        },
+        {
+            industry: 'transport', size: 'all',
+            values: {
+                roe: [10.6, 7.4, 4.7, 1.1, -6.6],
+                roa: [6, 4.2, 2.8, 0.8, -2.9],
+                netMargin: [12.8, 8.1, 4.2, 0.7, -7.6],
+                debtRatio: [51, 56, 66, 76, 90],
+                quickRatio: [1.5, 1.2, 0.9, 0.7, 0.4],
+                interestCoverage: [5.1, 3.8, 2.5, 1, -0.6],
+                assetTurnover: [1.4, 0.9, 0.5, 0.3, 0.1],
+                receivablesDays: [13, 23, 42, 72, 168],
+                cashFlowToNetProfit: [7.6, 4.2, 1.3, 0.2, -1.8],
+                revenueGrowth: [21.5, 13.5, 6.5, -5.5, -18.5]
+            }
+        },
+        {
+            industry: 'realEstate', size: 'all',
+            values: {
+                roe: [10, 7, 4.4, 1, -7],
+                roa: [5.6, 4, 2.6, 0.8, -3.1],
+                netMargin: [12, 7.6, 4, 0.6, -8.1],
+                debtRatio: [61, 66, 76, 86, 98],
+                quickRatio: [1.2, 0.96, 0.72, 0.56, 0.32],
+                interestCoverage: [4.8, 3.6, 2.4, 1, -0.6],
+                assetTurnover: [0.56, 0.36, 0.2, 0.12, 0.04],
+                receivablesDays: [11, 20, 36, 62, 144],
+                cashFlowToNetProfit: [7.2, 4, 1.2, 0.2, -1.9],
+                revenueGrowth: [18, 10, 3, -9, -22]
+            }
+        },
+        {
+            industry: 'software', size: 'all',
+            values: {
+                roe: [15.6, 10.9, 6.9, 1.6, -4.5],
+                roa: [8.8, 6.2, 4.1, 1.2, -2],
+                netMargin: [18.8, 11.9, 6.2, 1, -5.2],
+                debtRatio: [43, 48, 58, 68, 82],
+                quickRatio: [1.72, 1.38, 1.03, 0.8, 0.46],
+                interestCoverage: [7.5, 5.6, 3.8, 1.5, -0.4],
+                assetTurnover: [1.4, 0.9, 0.5, 0.3, 0.1],
+                receivablesDays: [23, 43, 78, 134, 312],
+                cashFlowToNetProfit: [11.2, 6.2, 1.9, 0.2, -1.2],
+                revenueGrowth: [25, 17, 10, -2, -15]
+            }
+        }
+    ]
+};
+
+/**
+ * Industry of the benchmark tables for a company
+ * @param {string} industryText - 所属行业 as registered (e.g. "C2029 其他木材加工")
+ * @returns {Object} - Entry of INDUSTRY_BENCHMARKS.industries; the fallback when nothing matches
+ */
+function matchBenchmarkIndustry(industryText) {
+    const text = String(industryText || '');
+    const [fallback, ...industries] = INDUSTRY_BENCHMARKS.industries;
+    return industries.find(industry => industry.keywords.some(keyword => text.includes(keyword))) || fallback;
+}
+
+/**
+ * Size column of the benchmark tables for a 企业规模 (微型 counts as 小型)
+ * @param {string} companySize - 大型 / 中型 / 小型 / 微型
+ * @returns {string} - Key of BENCHMARK_SIZES
+ */
+function matchBenchmarkSize(companySize) {
+    const text = String(companySize || '');
+    if (text.includes('大')) return 'large';
+    if (text.includes('中')) return 'medium';
+    if (/[小微]/.test(text)) return 'small';
+    return 'all';
+}
+
+/**
+ * Standard values for an industry and size, falling back to the industry's 全行业 column
+ * and then to the fallback industry
+ * @param {string} industryKey - Key of INDUSTRY_BENCHMARKS.industries
+ * @param {string} sizeKey - Key of BENCHMARK_SIZES
+ * @returns {Object|null} - { industry, size, values } with industry and size as names
+ */
+function findBenchmarkTable(industryKey, sizeKey) {
+    const fallback = INDUSTRY_BENCHMARKS.industries[0].key;
+    const candidates = [[industryKey, sizeKey], [industryKey, 'all'], [fallback, sizeKey], [fallback, 'all']];
+    for (const [industry, size] of candidates) {
+        const table = INDUSTRY_BENCHMARKS.tables.find(entry => entry.industry === industry && entry.size === size);
+        if (table) {
+            return {
+                industry: INDUSTRY_BENCHMARKS.industries.find(entry => entry.key === industry)?.name || industry,
+                size: BENCHMARK_SIZES[size],
+                values: table.values
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Level of a ratio within its five standard values: the best level it reaches
+ * @param {string} key - Ratio key
+ * @param {number} value - Ratio
+ * @param {Array<number>} standards - [优秀, 良好, 平均, 较低, 较差]
+ * @returns {string} - One of BENCHMARK_LEVELS
+ */
+function gradeRatio(key, value, standards) {
+    const lowerIsBetter = LOWER_IS_BETTER.includes(key);
+    const index = standards.slice(0, 4).findIndex(standard => (lowerIsBetter ? value <= standard : value >= standard));
+    return BENCHMARK_LEVELS[index === -1 ? 4 : index];
+}
+
+/**
+ * Replace the bundled tables with a published edition
+ * @param {Object} dataset - { edition, industries, tables } shaped like INDUSTRY_BENCHMARKS;
+ *   the first industry is the fallback, `sample: true` keeps grading off
+ * @throws {Error} - When the dataset lacks an edition, industries or tables
+ */
+function loadBenchmarkData(dataset) {
+    if (!dataset || typeof dataset.edition !== 'string' || !dataset.edition.trim()) {
+        throw new Error('标准值数据缺少版本（edition）');
+    }
+    if (!Array.isArray(dataset.industries) || dataset.industries.length === 0
+        || dataset.industries.some(industry => !industry || !industry.key)) {
+        throw new Error('标准值数据缺少行业（industries）');
+    }
+    if (!Array.isArray(dataset.tables) || dataset.tables.length === 0
+        || dataset.tables.some(table => !table || !table.industry || !BENCHMARK_SIZES[table.size] || !table.values)) {
+        throw new Error('标准值数据缺少标准值表（tables），或表的规模不是 all / large / medium / small');
+    }
+
+    INDUSTRY_BENCHMARKS.edition = dataset.edition.trim();
+    INDUSTRY_BENCHMARKS.sample = dataset.sample === true;
+    INDUSTRY_BENCHMARKS.industries = dataset.industries.map(industry => ({
+        key: industry.key,
+        name: industry.name || industry.key,
+        keywords: industry.keywords || []
+    }));
+    INDUSTRY_BENCHMARKS.tables = dataset.tables;
+}
+
+// Also loadable from Node (the batch CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INDUSTRY_BENCHMARKS,
+        BENCHMARK_LEVELS,
+        BENCHMARK_SIZES,
+        matchBenchmarkIndustry,
+        matchBenchmarkSize,
+        findBenchmarkTable,
+        gradeRatio,
+        loadBenchmarkData
+    };
+}
@@ -0,0 +1,104 @@
+/**
+ * Local OCR Module
+ * Offline text recognition with tesseract.js, for intranets without access to a vision model.
+ * The engine, its WebAssembly core and the chi_sim language data are served by the proxy
+ * under /vendor, so nothing is downloaded from the internet.
+ */
+
+class LocalOcr {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.Tesseract] - tesseract.js module; defaults to the global Tesseract
+     * @param {string} [options.vendorBase] - URL of the proxy's /vendor directory; defaults to apiService.proxyServer + '/vendor'
+     * @param {Object} [options.workerOptions] - tesseract.js worker options (paths, cache) instead of the /vendor ones (Node)
+     * @param {string} [options.lang='chi_sim'] - Language data to load
+     */
+    constructor(options = {}) {
+        this.Tesseract = options.Tesseract || null;
+        this.vendorBase = options.vendorBase || null;
+        this.workerOptions = options.workerOptions || null;
+        this.lang = options.lang || 'chi_sim';
+        this.worker = null;
+    }
+
+    getTesseract() {
+        return this.Tesseract || (typeof Tesseract !== 'undefined' ? Tesseract : null);
+    }
+
+    /**
+     * Where the worker script, the WebAssembly core and the language data are loaded from
+     * @returns {Object} - tesseract.js worker options
+     */
+    getWorkerOptions() {
+        if (this.workerOptions) return this.workerOptions;
+        const proxyServer = typeof apiService !== 'undefined' ? apiService.proxyServer : '';
+        const vendor = this.vendorBase || `${proxyServer}/vendor`;
+        return {
+            workerPath: `${vendor}/tesseract/worker.min.js`,
+            corePath: `${vendor}/tesseract-core`,
+            langPath: `${vendor}/tessdata`
+        };
+    }
+
+    /**
+     * Whether the tesseract.js script has been loaded
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return Boolean(this.getTesseract());
+    }
+
+    /**
+     * Start the worker once and reuse it; loading the language data takes a few seconds
+     * @param {Function} [onProgress] - (progress 0-1, status) callback
+     * @returns {Promise<Object>} - tesseract.js worker
+     */
+    async getWorker(onProgress) {
+        this.onProgress = onProgress;
+        if (this.worker) return this.worker;
+
+        const tesseract = this.getTesseract();
+        if (!tesseract) {
+            throw new Error('本地OCR引擎未加载，请通过代理服务器打开页面');
+        }
+
+        this.worker = tesseract.createWorker(this.lang, 1, {
+            ...this.getWorkerOptions(),
+            logger: message => this.onProgress?.(message.progress, message.status)
+        }).catch(error => {
+            this.worker = null;
+            throw new Error(`本地OCR引擎启动失败：${error.message || error}`);
+        });
+        return this.worker;
+    }
+
+    /**
+     * Recognize the text of an image
+     * @param {string|Blob} image - Data URL, URL or image file
+     * @param {Function} [onProgress] - (progress 0-1, status) callback
+     * @returns {Promise<string>} - Recognized text, one line per text line
+     */
+    async recognize(image, onProgress) {
+        const worker = await this.getWorker(onProgress);
+        const { data } = await worker.recognize(image);
+        return data.text || '';
+    }
+
+    /**
+     * Stop the worker and free its memory
+     */
+    async terminate() {
+        if (!this.worker) return;
+        const worker = await this.worker.catch(() => null);
+        this.worker = null;
+        await worker?.terminate();
+    }
+}
+
+// Export singleton instance
+const localOcr = new LocalOcr();
+
+// Also loadable from Node (the batch CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocalOcr, localOcr };
+}
@@ -0,0 +1,248 @@
+/**
+ * Statement Line Items
+ * Line items of the general-format 企业会计准则 balance sheet, income statement and cash flow
+ * statement, with the labels used by the older and small-enterprise formats as aliases
+ */
+
+const STATEMENT_ITEMS = {
+    balanceSheet: [
+        // 流动资产
+        { key: 'cashAndEquivalents', label: '货币资金', aliases: ['现金及银行存款'] },
+        { key: 'tradingFinancialAssets', label: '交易性金融资产', aliases: ['短期投资', '以公允价值计量且其变动计入当期损益的金融资产'] },
+        { key: 'derivativeFinancialAssets', label: '衍生金融资产' },
+        { key: 'notesReceivable', label: '应收票据' },
+        { key: 'accountsReceivable', label: '应收账款' },
+        { key: 'notesAndAccountsReceivable', label: '应收票据及应收账款' },
+        { key: 'receivablesFinancing', label: '应收款项融资' },
+        { key: 'prepayments', label: '预付款项', aliases: ['预付账款'] },
+        { key: 'interestReceivable', label: '应收利息' },
+        { key: 'dividendsReceivable', label: '应收股利' },
+        { key: 'otherReceivables', label: '其他应收款' },
+        { key: 'inventory', label: '存货' },
+        { key: 'contractAssets', label: '合同资产' },
+        { key: 'assetsHeldForSale', label: '持有待售资产', aliases: ['划分为持有待售的资产'] },
+        { key: 'currentPortionOfNonCurrentAssets', label: '一年内到期的非流动资产' },
+        { key: 'otherCurrentAssets', label: '其他流动资产' },
+        { key: 'currentAssets', label: '流动资产合计', aliases: ['流动资产总计'], total: true },
+        // 非流动资产
+        { key: 'debtInvestments', label: '债权投资', aliases: ['长期债权投资'] },
+        { key: 'otherDebtInvestments', label: '其他债权投资' },
+        { key: 'availableForSaleFinancialAssets', label: '可供出售金融资产' },
+        { key: 'heldToMaturityInvestments', label: '持有至到期投资' },
+        { key: 'longTermReceivables', label: '长期应收款' },
+        { key: 'longTermEquityInvestments', label: '长期股权投资' },
+        { key: 'otherEquityInstrumentInvestments', label: '其他权益工具投资' },
+        { key: 'otherNonCurrentFinancialAssets', label: '其他非流动金融资产' },
+        { key: 'investmentProperty', label: '投资性房地产' },
+        { key: 'fixedAssetsCost', label: '固定资产原价', aliases: ['固定资产原值'] },
+        { key: 'accumulatedDepreciation', label: '累计折旧' },
+        { key: 'fixedAssets', label: '固定资产', aliases: ['固定资产账面价值', '固定资产净额', '固定资产净值'] },
+        { key: 'constructionInProgress', label: '在建工程' },
+        { key: 'constructionMaterials', label: '工程物资' },
+        { key: 'fixedAssetsDisposal', label: '固定资产清理' },
+        { key: 'productiveBiologicalAssets', label: '生产性生物资产' },
+        { key: 'oilAndGasAssets', label: '油气资产' },
+        { key: 'rightOfUseAssets', label: '使用权资产' },
+        { key: 'intangibleAssets', label: '无形资产' },
+        { key: 'developmentExpenditure', label: '开发支出', aliases: ['研发支出'] },
+        { key: 'goodwill', label: '商誉' },
+        { key: 'longTermPrepaidExpenses', label: '长期待摊费用' },
+        { key: 'deferredTaxAssets', label: '递延所得税资产' },
+        { key: 'otherNonCurrentAssets', label: '其他非流动资产', aliases: ['其他长期资产'] },
+        { key: 'nonCurrentAssets', label: '非流动资产合计', aliases: ['非流动资产总计'], total: true },
+        { key: 'totalAssets', label: '资产总计', aliases: ['资产合计', '资产总额', '资产总数', '总资产'], total: true },
+        // 流动负债
+        { key: 'shortTermLoans', label: '短期借款' },
+        { key: 'tradingFinancialLiabilities', label: '交易性金融负债', aliases: ['以公允价值计量且其变动计入当期损益的金融负债'] },
+        { key: 'derivativeFinancialLiabilities', label: '衍生金融负债' },
+        { key: 'notesPayable', label: '应付票据' },
+        { key: 'accountsPayable', label: '应付账款' },
+        { key: 'notesAndAccountsPayable', label: '应付票据及应付账款' },
+        { key: 'advancesFromCustomers', label: '预收款项', aliases: ['预收账款'] },
+        { key: 'contractLiabilities', label: '合同负债' },
+        { key: 'employeeBenefitsPayable', label: '应付职工薪酬', aliases: ['应付工资', '应付福利费'] },
+        { key: 'taxesPayable', label: '应交税费', aliases: ['应交税金'] },
+        { key: 'interestPayable', label: '应付利息' },
+        { key: 'dividendsPayable', label: '应付股利', aliases: ['应付利润'] },
+        { key: 'otherPayables', label: '其他应付款' },
+        { key: 'liabilitiesHeldForSale', label: '持有待售负债', aliases: ['划分为持有待售的负债'] },
+        { key: 'currentPortionOfNonCurrentLiabilities', label: '一年内到期的非流动负债' },
+        { key: 'otherCurrentLiabilities', label: '其他流动负债' },
+        { key: 'currentLiabilities', label: '流动负债合计', aliases: ['流动负债总计'], total: true },
+        // 非流动负债
+        { key: 'longTermLoans', label: '长期借款' },
+        { key: 'bondsPayable', label: '应付债券' },
+        { key: 'leaseLiabilities', label: '租赁负债' },
+        { key: 'longTermPayables', label: '长期应付款' },
+        { key: 'longTermEmployeeBenefitsPayable', label: '长期应付职工薪酬' },
+        { key: 'provisions', label: '预计负债' },
+        { key: 'deferredIncome', label: '递延收益' },
+        { key: 'deferredTaxLiabilities', label: '递延所得税负债' },
+        { key: 'otherNonCurrentLiabilities', label: '其他非流动负债', aliases: ['其他长期负债'] },
+        { key: 'nonCurrentLiabilities', label: '非流动负债合计', aliases: ['非流动负债总计', '长期负债合计'], total: true },
+        { key: 'totalLiabilities', label: '负债合计', aliases: ['负债总计', '负债总额', '总负债'], total: true },
+        // 所有者权益
+        { key: 'paidInCapital', label: '实收资本', aliases: ['股本'] },
+        { key: 'otherEquityInstruments', label: '其他权益工具' },
+        { key: 'capitalReserve', label: '资本公积' },
+        { key: 'treasuryStock', label: '库存股' },
+        { key: 'otherComprehensiveIncome', label: '其他综合收益' },
+        { key: 'specialReserve', label: '专项储备' },
+        { key: 'surplusReserve', label: '盈余公积' },
+        { key: 'generalRiskReserve', label: '一般风险准备' },
+        { key: 'retainedEarnings', label: '未分配利润' },
+        { key: 'equityAttributableToParent', label: '归属于母公司所有者权益合计', aliases: ['归属于母公司股东权益合计'], total: true },
+        { key: 'minorityInterests', label: '少数股东权益' },
+        { key: 'ownerEquity', label: '所有者权益合计', aliases: ['股东权益合计', '所有者权益总计', '股东权益总计', '所有者权益', '股东权益', '净资产'], total: true },
+        { key: 'totalLiabilitiesAndEquity', label: '负债和所有者权益总计', aliases: ['负债及所有者权益总计', '负债和股东权益总计', '负债及股东权益总计', '负债和所有者权益合计', '负债和股东权益合计'], total: true }
+    ],
+
+    incomeStatement: [
+        { key: 'totalOperatingRevenue', label: '营业总收入' },
+        { key: 'revenue', label: '营业收入', aliases: ['主营业务收入', '销售收入'] },
+        { key: 'totalOperatingCost', label: '营业总成本' },
+        { key: 'operatingCost', label: '营业成本', aliases: ['主营业务成本', '销售成本'] },
+        { key: 'taxesAndSurcharges', label: '税金及附加', aliases: ['营业税金及附加', '主营业务税金及附加'] },
+        { key: 'sellingExpenses', label: '销售费用', aliases: ['营业费用'] },
+        { key: 'adminExpenses', label: '管理费用' },
+        { key: 'rdExpenses', label: '研发费用' },
+        { key: 'financialExpenses', label: '财务费用' },
+        { key: 'interestExpense', label: '利息费用' },
+        { key: 'interestIncome', label: '利息收入' },
+        { key: 'otherIncome', label: '其他收益' },
+        { key: 'investmentIncome', label: '投资收益' },
+        { key: 'investmentIncomeFromAssociates', label: '对联营企业和合营企业的投资收益' },
+        { key: 'netExposureHedgingGains', label: '净敞口套期收益' },
+        { key: 'fairValueChangeGains', label: '公允价值变动收益' },
+        { key: 'creditImpairmentLoss', label: '信用减值损失' },
+        { key: 'assetImpairmentLoss', label: '资产减值损失' },
+        { key: 'assetDisposalGains', label: '资产处置收益' },
+        { key: 'operatingProfit', label: '营业利润', total: true },
+        { key: 'nonOperatingIncome', label: '营业外收入' },
+        { key: 'governmentGrants', label: '政府补助' },
+        { key: 'nonOperatingExpenses', label: '营业外支出' },
+        { key: 'totalProfit', label: '利润总额', total: true },
+        { key: 'incomeTaxExpense', label: '所得税费用', aliases: ['所得税'] },
+        { key: 'netProfit', label: '净利润', aliases: ['净收益'], total: true },
+        { key: 'netProfitFromContinuingOperations', label: '持续经营净利润' },
+        { key: 'netProfitFromDiscontinuedOperations', label: '终止经营净利润' },
+        { key: 'netProfitAttributableToParent', label: '归属于母公司所有者的净利润', aliases: ['归属于母公司股东的净利润'] },
+        { key: 'minorityInterestIncome', label: '少数股东损益' },
+        { key: 'otherComprehensiveIncomeNetOfTax', label: '其他综合收益的税后净额' },
+        { key: 'totalComprehensiveIncome', label: '综合收益总额', total: true },
+        { key: 'basicEps', label: '基本每股收益' },
+        { key: 'dilutedEps', label: '稀释每股收益' }
+    ],
+
+    cashFlow: [
+        // 经营活动
+        { key: 'cashFromSales', label: '销售商品、提供劳务收到的现金', section: 'operating' },
+        { key: 'taxRefundsReceived', label: '收到的税费返还', section: 'operating' },
+        { key: 'otherOperatingCashReceived', label: '收到其他与经营活动有关的现金', section: 'operating' },
+        { key: 'operatingCashInflows', label: '经营活动现金流入小计', aliases: ['现金流入小计'], section: 'operating', total: true },
+        { key: 'cashPaidForGoods', label: '购买商品、接受劳务支付的现金', section: 'operating' },
+        { key: 'cashPaidToEmployees', label: '支付给职工以及为职工支付的现金', section: 'operating' },
+        { key: 'taxesPaid', label: '支付的各项税费', section: 'operating' },
+        { key: 'otherOperatingCashPaid', label: '支付其他与经营活动有关的现金', section: 'operating' },
+        { key: 'operatingCashOutflows', label: '经营活动现金流出小计', aliases: ['现金流出小计'], section: 'operating', total: true },
+        { key: 'operatingCashFlow', label: '经营活动产生的现金流量净额', aliases: ['经营活动现金流量净额'], section: 'operating', total: true },
+        // 投资活动
+        { key: 'cashFromInvestmentRecovery', label: '收回投资收到的现金', section: 'investing' },
+        { key: 'cashFromInvestmentIncome', label: '取得投资收益收到的现金', section: 'investing' },
+        { key: 'cashFromAssetDisposal', label: '处置固定资产、无形资产和其他长期资产收回的现金净额', section: 'investing' },
+        { key: 'cashFromSubsidiaryDisposal', label: '处置子公司及其他营业单位收到的现金净额', section: 'investing' },
+        { key: 'otherInvestingCashReceived', label: '收到其他与投资活动有关的现金', section: 'investing' },
+        { key: 'investingCashInflows', label: '投资活动现金流入小计', aliases: ['现金流入小计'], section: 'investing', total: true },
+        { key: 'capitalExpenditure', label: '购建固定资产、无形资产和其他长期资产支付的现金', section: 'investing' },
+        { key: 'cashPaidForInvestments', label: '投资支付的现金', section: 'investing' },
+        { key: 'cashPaidForSubsidiaries', label: '取得子公司及其他营业单位支付的现金净额', section: 'investing' },
+        { key: 'otherInvestingCashPaid', label: '支付其他与投资活动有关的现金', section: 'investing' },
+        { key: 'investingCashOutflows', label: '投资活动现金流出小计', aliases: ['现金流出小计'], section: 'investing', total: true },
+        { key: 'investingCashFlow', label: '投资活动产生的现金流量净额', aliases: ['投资活动现金流量净额'], section: 'investing', total: true },
+        // 筹资活动
+        { key: 'cashFromCapitalContributions', label: '吸收投资收到的现金', section: 'financing' },
+        { key: 'cashFromBorrowings', label: '取得借款收到的现金', aliases: ['借款收到的现金'], section: 'financing' },
+        { key: 'otherFinancingCashReceived', label: '收到其他与筹资活动有关的现金', section: 'financing' },
+        { key: 'financingCashInflows', label: '筹资活动现金流入小计', aliases: ['现金流入小计'], section: 'financing', total: true },
+        { key: 'cashRepaymentOfDebt', label: '偿还债务支付的现金', section: 'financing' },
+        { key: 'cashPaidForDividendsAndInterest', label: '分配股利、利润或偿付利息支付的现金', section: 'financing' },
+        { key: 'otherFinancingCashPaid', label: '支付其他与筹资活动有关的现金', section: 'financing' },
+        { key: 'financingCashOutflows', label: '筹资活动现金流出小计', aliases: ['现金流出小计'], section: 'financing', total: true },
+        { key: 'financingCashFlow', label: '筹资活动产生的现金流量净额', aliases: ['筹资活动现金流量净额'], section: 'financing', total: true },
+        // 现金及现金等价物
+        { key: 'exchangeRateEffect', label: '汇率变动对现金及现金等价物的影响', aliases: ['汇率变动对现金的影响'] },
+        { key: 'netCashIncrease', label: '现金及现金等价物净增加额', total: true },
+        { key: 'beginningCash', label: '期初现金及现金等价物余额' },
+        { key: 'endingCash', label: '期末现金及现金等价物余额', total: true }
+    ]
+};
+
+// Section headings of the cash flow statement; 补充资料 repeats main-table labels and is skipped
+const STATEMENT_SECTIONS = {
+    '经营活动产生的现金流量': 'operating',
+    '投资活动产生的现金流量': 'investing',
+    '筹资活动产生的现金流量': 'financing',
+    '补充资料': 'supplementary',
+    '将净利润调节为经营活动现金流量': 'supplementary'
+};
+
+// Relations that hold within a correctly extracted statement: total = Σ add - Σ subtract.
+// Components that were not found count as zero; a check is skipped when the total or all
+// of its components are missing.
+const STATEMENT_CHECKS = [
+    { statement: 'balanceSheet', label: '资产总计 = 负债合计 + 所有者权益合计', total: 'totalAssets', add: ['totalLiabilities', 'ownerEquity'] },
+    { statement: 'balanceSheet', label: '负债和所有者权益总计 = 资产总计', total: 'totalLiabilitiesAndEquity', add: ['totalAssets'] },
+    { statement: 'balanceSheet', label: '资产总计 = 流动资产合计 + 非流动资产合计', total: 'totalAssets', add: ['currentAssets', 'nonCurrentAssets'] },
+    { statement: 'balanceSheet', label: '负债合计 = 流动负债合计 + 非流动负债合计', total: 'totalLiabilities', add: ['currentLiabilities', 'nonCurrentLiabilities'] },
+    { statement: 'incomeStatement', label: '利润总额 = 营业利润 + 营业外收入 - 营业外支出', total: 'totalProfit', add: ['operatingProfit', 'nonOperatingIncome'], subtract: ['nonOperatingExpenses'] },
+    { statement: 'incomeStatement', label: '净利润 = 利润总额 - 所得税费用', total: 'netProfit', add: ['totalProfit'], subtract: ['incomeTaxExpense'] },
+    { statement: 'cashFlow', label: '经营活动现金流入小计', total: 'operatingCashInflows', add: ['cashFromSales', 'taxRefundsReceived', 'otherOperatingCashReceived'] },
+    { statement: 'cashFlow', label: '经营活动现金流出小计', total: 'operatingCashOutflows', add: ['cashPaidForGoods', 'cashPaidToEmployees', 'taxesPaid', 'otherOperatingCashPaid'] },
+    { statement: 'cashFlow', label: '经营活动现金流量净额 = 流入小计 - 流出小计', total: 'operatingCashFlow', add: ['operatingCashInflows'], subtract: ['operatingCashOutflows'] },
+    { statement: 'cashFlow', label: '投资活动现金流入小计', total: 'investingCashInflows', add: ['cashFromInvestmentRecovery', 'cashFromInvestmentIncome', 'cashFromAssetDisposal', 'cashFromSubsidiaryDisposal', 'otherInvestingCashReceived'] },
+    { statement: 'cashFlow', label: '投资活动现金流出小计', total: 'investingCashOutflows', add: ['capitalExpenditure', 'cashPaidForInvestments', 'cashPaidForSubsidiaries', 'otherInvestingCashPaid'] },
+    { statement: 'cashFlow', label: '投资活动现金流量净额 = 流入小计 - 流出小计', total: 'investingCashFlow', add: ['investingCashInflows'], subtract: ['investingCashOutflows'] },
+    { statement: 'cashFlow', label: '筹资活动现金流入小计', total: 'financingCashInflows', add: ['cashFromCapitalContributions', 'cashFromBorrowings', 'otherFinancingCashReceived'] },
+    { statement: 'cashFlow', label: '筹资活动现金流出小计', total: 'financingCashOutflows', add: ['cashRepaymentOfDebt', 'cashPaidForDividendsAndInterest', 'otherFinancingCashPaid'] },
+    { statement: 'cashFlow', label: '筹资活动现金流量净额 = 流入小计 - 流出小计', total: 'financingCashFlow', add: ['financingCashInflows'], subtract: ['financingCashOutflows'] },
+    { statement: 'cashFlow', label: '现金及现金等价物净增加额 = 三类活动净额 + 汇率变动影响', total: 'netCashIncrease', add: ['operatingCashFlow', 'investingCashFlow', 'financingCashFlow', 'exchangeRateEffect'] },
+    { statement: 'cashFlow', label: '期末现金余额 = 期初现金余额 + 净增加额', total: 'endingCash', add: ['beginningCash', 'netCashIncrease'] }
+];
+
+// Wording differences between the old and current formats, applied after normalization
+const LABEL_VARIANTS = [
+    [/所(收到|支付|收回)/g, '$1'],
+    [/(收到|支付)的其他与/g, '$1其他与'],
+    [/[(（]/g, '（'],
+    [/[)）]/g, '）']
+];
+
+/**
+ * Normalize a statement label: drop whitespace, numbering (一、/（一）/1.), 加：/减：/其中：
+ * prefixes, parenthesised notes such as （净亏损以“-”号填列） and trailing colons
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function normalizeStatementLabel(text) {
+    let label = String(text ?? '').replace(/[\s　]/g, '');
+    for (const [pattern, replacement] of LABEL_VARIANTS) {
+        label = label.replace(pattern, replacement);
+    }
+
+    let previous;
+    do {
+        previous = label;
+        label = label
+            .replace(/^(?:[一二三四五六七八九十]+[、.．]|（[一二三四五六七八九十\d]+）|\d+[、.．]|[△*＊#])/, '')
+            .replace(/^(?:加|减|其中)[:：]/, '');
+    } while (label !== previous);
+
+    return label
+        .replace(/（[^（）]*）/g, '')
+        .replace(/[:：]+$/, '');
+}
+
+// Also loadable from Node (the batch CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { STATEMENT_ITEMS, STATEMENT_SECTIONS, STATEMENT_CHECKS, normalizeStatementLabel };
+}
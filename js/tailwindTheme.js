@@ -0,0 +1,63 @@
+/**
+ * Tailwind Theme
+ * Colors, fonts and animations of the page, shared by the Tailwind CDN script and the
+ * generated css/tailwind.css it falls back to offline (npm run build:css in server/)
+ */
+
+const TAILWIND_THEME = {
+    extend: {
+        colors: {
+            primary: {
+                50: '#eff6ff',
+                100: '#dbeafe',
+                200: '#bfdbfe',
+                300: '#93c5fd',
+                400: '#60a5fa',
+                500: '#3b82f6',
+                600: '#2563eb',
+                700: '#1d4ed8',
+                800: '#1e40af',
+                900: '#1e3a8a',
+            },
+            accent: {
+                50: '#fdf4ff',
+                100: '#fae8ff',
+                200: '#f5d0fe',
+                300: '#f0abfc',
+                400: '#e879f9',
+                500: '#d946ef',
+                600: '#c026d3',
+                700: '#a21caf',
+                800: '#86198f',
+                900: '#701a75',
+            },
+            success: '#10b981',
+            warning: '#f59e0b',
+            danger: '#ef4444',
+        },
+        fontFamily: {
+            // Noto Sans SC comes from Google Fonts; offline the system's Chinese fonts take over
+            sans: ['Noto Sans SC', 'PingFang SC', 'Hiragino Sans GB', 'Microsoft YaHei', 'system-ui', 'sans-serif'],
+        },
+        animation: {
+            'gradient': 'gradient 8s ease infinite',
+            'float': 'float 6s ease-in-out infinite',
+            'pulse-slow': 'pulse 3s cubic-bezier(0.4, 0, 0.6, 1) infinite',
+        },
+        keyframes: {
+            gradient: {
+                '0%, 100%': { backgroundPosition: '0% 50%' },
+                '50%': { backgroundPosition: '100% 50%' },
+            },
+            float: {
+                '0%, 100%': { transform: 'translateY(0)' },
+                '50%': { transform: 'translateY(-10px)' },
+            },
+        },
+    }
+};
+
+// Also loadable from Node (the Tailwind build)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TAILWIND_THEME };
+}
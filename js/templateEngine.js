@@ -3,8 +3,25 @@
  * Handles intelligent placeholder identification and template filling
  */
 
+// Trend charts (js/chartRenderer.js), loaded like the statement model in fileParser.js
+const CHART_MODEL = typeof ChartRenderer !== 'undefined'
+    ? { chartRenderer }
+    : require('./chartRenderer.js');
+
+// Charts in the .docx are at most 15 cm wide (EMU: 360000 per cm)
+const CHART_MAX_WIDTH_EMU = 15 * 360000;
+
 class TemplateEngine {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.Docxtemplater] - docxtemplater class; defaults to window.docxtemplater
+     * @param {string} [options.outputType='blob'] - PizZip output type ('nodebuffer' on the server)
+     * @param {boolean} [options.quiet=false] - Leave out the progress log (the batch CLI without --verbose)
+     */
+    constructor(options = {}) {
+        this.Docxtemplater = options.Docxtemplater || null;
+        this.outputType = options.outputType || 'blob';
+        this.quiet = Boolean(options.quiet);
         this.templateAnalysis = null;
         this.placeholderMap = {};
         this.documentData = {};
@@ -12,6 +29,13 @@ class TemplateEngine {
         this.documentXml = null;
     }
 
+    /**
+     * Progress log, left out when quiet
+     */
+    log(...args) {
+        if (!this.quiet) console.log(...args);
+    }
+
     /**
      * Analyze template and identify placeholders
      */
@@ -78,23 +102,29 @@ class TemplateEngine {
 
     /**
      * Generate filled document
+     * @param {PizZip} templateZip - Template
+     * @param {Object} data - Report data
+     * @param {Array<Object>} [charts] - Trend charts of ChartRenderer.renderCharts (with png in the
+     *   browser); built as SVG from data.trendData when omitted
      */
-    generateDocument(templateZip, data) {
+    generateDocument(templateZip, data, charts = null) {
         try {
             const zip = templateZip.clone();
-            let documentXml = zip.file('word/document.xml').asText();
+            const chartImages = this.addChartImages(zip, charts || CHART_MODEL.chartRenderer.renderCharts(data.trendData, data.amountUnit));
+            let documentXml = this.replaceChartPlaceholders(zip.file('word/document.xml').asText(), chartImages);
             
-            console.log('Original XML length:', documentXml.length);
+            this.log('Original XML length:', documentXml.length);
             
             // Check if template has docxtemplater-style placeholders
             const hasPlaceholders = /\{[a-zA-Z_][a-zA-Z0-9_]*\}/.test(documentXml);
             
             if (hasPlaceholders) {
-                console.log('Template has placeholders, using docxtemplater');
+                this.log('Template has placeholders, using docxtemplater');
+                zip.file('word/document.xml', documentXml);
                 return this.generateWithDocxtemplater(zip, data);
             } else {
-                console.log('Template has no placeholders, using text replacement');
-                return this.generateWithSmartReplacement(zip, data, documentXml);
+                this.log('Template has no placeholders, using text replacement');
+                return this.generateWithSmartReplacement(zip, data, documentXml, chartImages);
             }
         } catch (error) {
             console.error('Document generation error:', error);
@@ -106,7 +136,8 @@ class TemplateEngine {
      * Generate document using docxtemplater
      */
     generateWithDocxtemplater(zip, data) {
-        const doc = new window.docxtemplater(zip, {
+        const Docxtemplater = this.Docxtemplater || window.docxtemplater;
+        const doc = new Docxtemplater(zip, {
             paragraphLoop: true,
             linebreaks: true,
             delimiters: { start: '{', end: '}' }
@@ -116,7 +147,7 @@ class TemplateEngine {
         doc.render(preparedData);
 
         return doc.getZip().generate({
-            type: 'blob',
+            type: this.outputType,
             mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
         });
     }
@@ -127,7 +158,7 @@ class TemplateEngine {
      * 1. Finding and replacing text patterns
      * 2. Appending a filled data section at the end
      */
-    generateWithSmartReplacement(zip, data, documentXml) {
+    generateWithSmartReplacement(zip, data, documentXml, chartImages = []) {
         let modifiedXml = documentXml;
         
         // Step 1: Try to replace text in tables and form fields
@@ -140,15 +171,15 @@ class TemplateEngine {
         modifiedXml = this.replaceBlankFields(modifiedXml, data);
         
         // Step 4: Append filled content section at the end of document
-        modifiedXml = this.appendFilledContent(modifiedXml, data);
+        modifiedXml = this.appendFilledContent(modifiedXml, data, chartImages.filter(image => !image.placed));
         
-        console.log('Modified XML length:', modifiedXml.length);
+        this.log('Modified XML length:', modifiedXml.length);
         
         // Update the zip with modified content
         zip.file('word/document.xml', modifiedXml);
 
         return zip.generate({
-            type: 'blob',
+            type: this.outputType,
             mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
         });
     }
@@ -184,6 +215,31 @@ class TemplateEngine {
             '员工人数': data.employeeCount,
             '职工人数': data.employeeCount,
             '企业规模': data.companySize,
+            '控股股东': data.controllingShareholder,
+            '实际控制人': data.actualController,
+            '股东及持股比例': data.shareholdersText,
+            '股权结构': data.shareholdersText,
+            '主要人员': data.personnelText,
+            '高管人员': data.personnelText,
+            '报表期间': data.periodCurrent,
+            '报告期': data.periodCurrent,
+            // Ratios before the amounts whose labels they contain (净资产收益率 / 净资产, 营业收入增长率 / 营业收入)
+            '流动比率': data.currentRatioCurrent,
+            '速动比率': data.quickRatioCurrent,
+            '利息保障倍数': data.interestCoverageCurrent,
+            '毛利率': data.grossMarginCurrent,
+            '净利率': data.netMarginCurrent,
+            '总资产收益率': data.roaCurrent,
+            '净资产收益率': data.roeCurrent,
+            '应收账款周转天数': data.receivablesDaysCurrent,
+            '存货周转天数': data.inventoryDaysCurrent,
+            '总资产周转率': data.assetTurnoverCurrent,
+            '营业收入增长率': data.revenueGrowthCurrent,
+            '收入增长率': data.revenueGrowthCurrent,
+            '净利润增长率': data.netProfitGrowthCurrent,
+            '利润增长率': data.netProfitGrowthCurrent,
+            '总资产增长率': data.totalAssetsGrowthCurrent,
+            '净资产增长率': data.ownerEquityGrowthCurrent,
             '资产总额': data.totalAssetsEnd,
             '资产总计': data.totalAssetsEnd,
             '负债总额': data.totalLiabilitiesEnd,
@@ -194,6 +250,14 @@ class TemplateEngine {
             '净利润': data.netProfitCurrent,
             '利润总额': data.netProfitCurrent,
             '资产负债率': data.debtRatioEnd,
+            '销售商品、提供劳务收到的现金': data.cashFromSalesCurrent,
+            '经营活动产生的现金流量净额': data.operatingCashFlowCurrent,
+            '经营活动现金流量净额': data.operatingCashFlowCurrent,
+            '投资活动产生的现金流量净额': data.investingCashFlowCurrent,
+            '投资活动现金流量净额': data.investingCashFlowCurrent,
+            '筹资活动产生的现金流量净额': data.financingCashFlowCurrent,
+            '筹资活动现金流量净额': data.financingCashFlowCurrent,
+            '期末现金及现金等价物余额': data.endingCashCurrent,
             '授信金额': data.creditAmount,
             '贷款金额': data.creditAmount,
             '申请金额': data.creditAmount,
@@ -207,25 +271,37 @@ class TemplateEngine {
             '资金用途': data.creditPurpose,
         };
 
-        // For each label, try to find it in a table cell and fill the adjacent cell
-        for (const [label, value] of Object.entries(labelMap)) {
-            if (value) {
-                // Pattern: Find table cell with label, then look for the next cell with empty/underscore content
-                const tablePattern = new RegExp(
-                    `(<w:tc[^>]*>.*?<w:t[^>]*>)([^<]*${this.escapeRegex(label)}[^<]*)(<\\/w:t>.*?<\\/w:tc>\\s*<w:tc[^>]*>.*?<w:t[^>]*>)([_\\s]*)(<\\/w:t>)`,
-                    'gis'
-                );
-                
-                xml = xml.replace(tablePattern, (match, p1, p2, p3, p4, p5) => {
-                    // Only replace if the target cell has underscores or is mostly empty
-                    if (p4.trim() === '' || /^[_\s]+$/.test(p4)) {
-                        return `${p1}${p2}${p3}${this.escapeXml(String(value))}${p5}`;
-                    }
-                    return match;
-                });
-            }
+        // Walk the cells once: a cell whose text contains a label fills the cell right after it
+        // in the same row, when that one is blank or underscores. Labels earlier in the map win.
+        const labels = Object.entries(labelMap).filter(([, value]) => value);
+        const cellPattern = /<w:tc(?:\s[^>]*)?>(?:(?!<w:tc[\s>])[\s\S])*?<\/w:tc>/g;
+        const cells = [...xml.matchAll(cellPattern)].map(match => ({
+            start: match.index,
+            end: match.index + match[0].length,
+            xml: match[0],
+            text: [...match[0].matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g)].map(text => text[1]).join('')
+        }));
+
+        let output = '';
+        let position = 0;
+        for (let index = 0; index < cells.length - 1; index++) {
+            const cell = cells[index];
+            const target = cells[index + 1];
+            if (!/^\s*$/.test(xml.slice(cell.end, target.start)) || !/^[_\s]*$/.test(target.text)) continue;
+
+            const match = labels.find(([label]) => cell.text.includes(label));
+            const blank = target.xml.match(/(<w:t(?:\s[^>]*)?>)[_\s]*(<\/w:t>)/);
+            if (!match || !blank) continue;
+
+            const filled = target.xml.slice(0, blank.index)
+                + `${blank[1]}${this.escapeXml(String(match[1]))}${blank[2]}`
+                + target.xml.slice(blank.index + blank[0].length);
+            output += xml.slice(position, target.start) + filled;
+            position = target.end;
+            index++;
         }
 
+        xml = output + xml.slice(position);
         return xml;
     }
 
@@ -242,6 +318,8 @@ class TemplateEngine {
             '成立日期': data.establishDate,
             '所属行业': data.industry,
             '注册地址': data.registeredAddress,
+            '控股股东': data.controllingShareholder,
+            '实际控制人': data.actualController,
             '授信金额': data.creditAmount,
             '授信期限': data.creditPeriod,
         };
@@ -294,7 +372,7 @@ class TemplateEngine {
     /**
      * Append filled content section at the end of document
      */
-    appendFilledContent(xml, data) {
+    appendFilledContent(xml, data, chartImages = []) {
         // Find the position before </w:body>
         const bodyEndPos = xml.lastIndexOf('</w:body>');
         if (bodyEndPos === -1) {
@@ -303,7 +381,7 @@ class TemplateEngine {
         }
 
         // Create a section with all the filled data
-        const filledContent = this.createFilledContentSection(data);
+        const filledContent = this.createFilledContentSection(data, chartImages);
         
         // Insert before </w:body>
         return xml.slice(0, bodyEndPos) + filledContent + xml.slice(bodyEndPos);
@@ -311,8 +389,10 @@ class TemplateEngine {
 
     /**
      * Create a section with all filled content
+     * @param {Object} data - Report data
+     * @param {Array<Object>} [chartImages] - Charts added by addChartImages, shown under 二、财务信息
      */
-    createFilledContentSection(data) {
+    createFilledContentSection(data, chartImages = []) {
         const sections = [];
         
         // Page break before our content
@@ -343,6 +423,10 @@ class TemplateEngine {
                 { label: '企业规模', value: data.companySize },
                 { label: '员工人数', value: data.employeeCount },
                 { label: '注册地址', value: data.registeredAddress },
+                { label: '股东及持股比例', value: data.shareholdersText },
+                { label: '控股股东', value: data.controllingShareholder },
+                { label: '实际控制人', value: data.actualController },
+                { label: '主要人员', value: data.personnelText },
             ];
 
             for (const item of companyInfo) {
@@ -362,13 +446,19 @@ class TemplateEngine {
             sections.push(this.createParagraph('二、财务信息', true));
             sections.push(this.createParagraph(''));
             
+            const amountUnit = data.amountUnit || '万元';
             const financialInfo = [
-                { label: '资产总额', value: data.totalAssetsEnd, unit: '万元' },
-                { label: '负债总额', value: data.totalLiabilitiesEnd, unit: '万元' },
-                { label: '所有者权益', value: data.ownerEquityEnd, unit: '万元' },
-                { label: '营业收入', value: data.revenueCurrent, unit: '万元' },
-                { label: '净利润', value: data.netProfitCurrent, unit: '万元' },
+                { label: '资产总额', value: data.totalAssetsEnd, unit: amountUnit },
+                { label: '负债总额', value: data.totalLiabilitiesEnd, unit: amountUnit },
+                { label: '所有者权益', value: data.ownerEquityEnd, unit: amountUnit },
+                { label: '营业收入', value: data.revenueCurrent, unit: amountUnit },
+                { label: '净利润', value: data.netProfitCurrent, unit: amountUnit },
                 { label: '资产负债率', value: data.debtRatioEnd, unit: '%' },
+                { label: '销售商品、提供劳务收到的现金', value: data.cashFromSalesCurrent, unit: amountUnit },
+                { label: '经营活动现金流量净额', value: data.operatingCashFlowCurrent, unit: amountUnit },
+                { label: '投资活动现金流量净额', value: data.investingCashFlowCurrent, unit: amountUnit },
+                { label: '筹资活动现金流量净额', value: data.financingCashFlowCurrent, unit: amountUnit },
+                { label: '期末现金及现金等价物余额', value: data.endingCashCurrent, unit: amountUnit },
             ];
 
             for (const item of financialInfo) {
@@ -376,6 +466,30 @@ class TemplateEngine {
                     sections.push(this.createParagraph(`${item.label}：${item.value}${item.unit || ''}`));
                 }
             }
+            for (const ratio of data.financialRatios || []) {
+                const values = ratio.values
+                    .filter(({ value }) => value !== null)
+                    .map(({ label, value }) => `${label} ${value}${ratio.unit}`);
+                sections.push(this.createParagraph(`${ratio.label}：${values.join('，')}`));
+            }
+            if (data.benchmarkSkipped) {
+                sections.push(this.createParagraph(''));
+                sections.push(this.createParagraph('行业对标', true));
+                sections.push(this.createParagraph(data.benchmarkSkipped));
+            } else if (data.benchmarkComparison?.length > 0) {
+                sections.push(this.createParagraph(''));
+                sections.push(this.createParagraph(`行业对标（${data.benchmarkPeriod}，${data.benchmarkIndustry}·${data.benchmarkSize}标准值）`, true));
+                for (const row of data.benchmarkComparison) {
+                    sections.push(this.createParagraph(
+                        `${row.label}：${row.value}${row.unit}，优秀值 ${row.excellent}、平均值 ${row.average}、较差值 ${row.poor}，评价：${row.grade}`
+                    ));
+                }
+            }
+            if (chartImages.length > 0) {
+                sections.push(this.createParagraph(''));
+                sections.push(this.createParagraph('财务趋势图', true));
+                chartImages.forEach(image => sections.push(this.createChartParagraph(image)));
+            }
             sections.push(this.createParagraph(''));
         }
 
@@ -461,6 +575,93 @@ class TemplateEngine {
         `;
     }
 
+    /**
+     * Store the charts in word/media and register them in the relationships and content types.
+     * The PNG is the picture itself and the SVG its high-resolution version (Office 2016+);
+     * without a PNG (Node has no canvas) the SVG is the picture.
+     * @param {PizZip} zip - Document being generated
+     * @param {Array<Object>} charts - Result of ChartRenderer.renderCharts
+     * @returns {Array<Object>} - Charts with their relationship ids (svgId, pngId) and docPrId
+     */
+    addChartImages(zip, charts) {
+        const relsFile = zip.file('word/_rels/document.xml.rels');
+        const typesFile = zip.file('[Content_Types].xml');
+        if (!charts?.length || !relsFile || !typesFile) return [];
+
+        const relationships = [];
+        const images = charts.map((chart, index) => {
+            const image = { ...chart, svgId: `rIdChart${index + 1}Svg`, docPrId: 9001 + index, placed: false };
+            zip.file(`word/media/chart_${chart.key}.svg`, chart.svg);
+            relationships.push(`<Relationship Id="${image.svgId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/chart_${chart.key}.svg"/>`);
+            if (chart.png) {
+                image.pngId = `rIdChart${index + 1}Png`;
+                zip.file(`word/media/chart_${chart.key}.png`, chart.png);
+                relationships.push(`<Relationship Id="${image.pngId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/chart_${chart.key}.png"/>`);
+            }
+            return image;
+        });
+
+        zip.file('word/_rels/document.xml.rels', relsFile.asText().replace('</Relationships>', `${relationships.join('')}</Relationships>`));
+
+        let types = typesFile.asText();
+        for (const [extension, contentType] of [['svg', 'image/svg+xml'], ['png', 'image/png']]) {
+            if (!new RegExp(`Extension="${extension}"`, 'i').test(types)) {
+                types = types.replace('</Types>', `<Default Extension="${extension}" ContentType="${contentType}"/></Types>`);
+            }
+        }
+        zip.file('[Content_Types].xml', types);
+
+        return images;
+    }
+
+    /**
+     * Replace every paragraph holding an image placeholder such as {%chart_revenue} with the
+     * chart; the placeholder may be split across runs. Charts without data leave an empty paragraph.
+     * @param {string} xml - word/document.xml
+     * @param {Array<Object>} chartImages - Result of addChartImages; placed charts are marked
+     * @returns {string}
+     */
+    replaceChartPlaceholders(xml, chartImages) {
+        // Innermost paragraphs only, so that a text box inside a paragraph is left intact
+        return xml.replace(/<w:p[ >](?:(?!<w:p[ >])[\s\S])*?<\/w:p>/g, paragraph => {
+            const text = [...paragraph.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g)].map(match => match[1]).join('');
+            const placeholder = text.match(/\{%\s*chart_(\w+)\s*\}/);
+            if (!placeholder) return paragraph;
+
+            const properties = paragraph.match(/<w:pPr>[\s\S]*?<\/w:pPr>/)?.[0] || '';
+            const image = chartImages.find(chart => chart.key === placeholder[1]);
+            if (!image) return `<w:p>${properties}</w:p>`;
+
+            image.placed = true;
+            return this.createChartParagraph(image, properties);
+        });
+    }
+
+    /**
+     * Create a Word XML paragraph with a chart as inline picture
+     * @param {Object} image - Chart from addChartImages
+     * @param {string} [properties] - Paragraph properties (<w:pPr>) to keep; centered by default
+     */
+    createChartParagraph(image, properties = '<w:pPr><w:jc w:val="center"/></w:pPr>') {
+        const width = Math.min(image.width * 9525, CHART_MAX_WIDTH_EMU);
+        const height = Math.round(width * image.height / image.width);
+        const svgBlip = image.pngId
+            ? `<a:extLst><a:ext uri="{96DAC541-7B7A-43D3-8B79-37D633B846F1}"><asvg:svgBlip xmlns:asvg="http://schemas.microsoft.com/office/drawing/2016/SVG/main" r:embed="${image.svgId}"/></a:ext></a:extLst>`
+            : '';
+
+        return `<w:p>${properties}<w:r><w:drawing>`
+            + `<wp:inline distT="0" distB="0" distL="0" distR="0">`
+            + `<wp:extent cx="${width}" cy="${height}"/>`
+            + `<wp:docPr id="${image.docPrId}" name="${this.escapeXml(image.title)}"/>`
+            + `<wp:cNvGraphicFramePr><a:graphicFrameLocks xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" noChangeAspect="1"/></wp:cNvGraphicFramePr>`
+            + `<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">`
+            + `<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">`
+            + `<pic:nvPicPr><pic:cNvPr id="0" name="chart_${image.key}"/><pic:cNvPicPr/></pic:nvPicPr>`
+            + `<pic:blipFill><a:blip r:embed="${image.pngId || image.svgId}">${svgBlip}</a:blip><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`
+            + `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${width}" cy="${height}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>`
+            + `</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r></w:p>`;
+    }
+
     /**
      * Escape XML special characters
      */
@@ -488,15 +689,7 @@ class TemplateEngine {
         const prepared = {};
         
         for (const [key, value] of Object.entries(data)) {
-            if (value === null || value === undefined) {
-                prepared[key] = '';
-            } else if (typeof value === 'number') {
-                prepared[key] = this.formatNumber(value);
-            } else if (value instanceof Date) {
-                prepared[key] = this.formatDate(value);
-            } else {
-                prepared[key] = String(value);
-            }
+            prepared[key] = this.prepareValue(value);
         }
 
         prepared.currentDate = this.formatDate(new Date());
@@ -505,6 +698,25 @@ class TemplateEngine {
         return prepared;
     }
 
+    /**
+     * Format one value for the template; arrays of rows (e.g. balanceSheetItems)
+     * are kept as arrays so they can be used in {#loop}...{/loop} sections
+     */
+    prepareValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        } else if (typeof value === 'number') {
+            return this.formatNumber(value);
+        } else if (value instanceof Date) {
+            return this.formatDate(value);
+        } else if (Array.isArray(value)) {
+            return value.map(item => this.prepareValue(item));
+        } else if (typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.prepareValue(item)]));
+        }
+        return String(value);
+    }
+
     /**
      * Format number
      */
@@ -532,8 +744,11 @@ class TemplateEngine {
 
     /**
      * Generate preview HTML
+     * @param {Object} data - Report data
+     * @param {Array<Object>} [charts] - Trend charts; built from data.trendData when omitted
      */
-    generatePreviewHTML(data) {
+    generatePreviewHTML(data, charts = null) {
+        const amountUnit = data.amountUnit || '万元';
         const sections = [
             {
                 title: '企业基本信息',
@@ -550,14 +765,27 @@ class TemplateEngine {
             {
                 title: '财务数据',
                 items: [
-                    { label: '资产总额', value: data.totalAssetsEnd ? `${data.totalAssetsEnd} 万元` : '' },
-                    { label: '负债总额', value: data.totalLiabilitiesEnd ? `${data.totalLiabilitiesEnd} 万元` : '' },
-                    { label: '所有者权益', value: data.ownerEquityEnd ? `${data.ownerEquityEnd} 万元` : '' },
-                    { label: '营业收入', value: data.revenueCurrent ? `${data.revenueCurrent} 万元` : '' },
-                    { label: '净利润', value: data.netProfitCurrent ? `${data.netProfitCurrent} 万元` : '' },
-                    { label: '资产负债率', value: data.debtRatioEnd ? `${data.debtRatioEnd}%` : '' }
+                    { label: '资产总额', value: data.totalAssetsEnd ? `${data.totalAssetsEnd} ${amountUnit}` : '' },
+                    { label: '负债总额', value: data.totalLiabilitiesEnd ? `${data.totalLiabilitiesEnd} ${amountUnit}` : '' },
+                    { label: '所有者权益', value: data.ownerEquityEnd ? `${data.ownerEquityEnd} ${amountUnit}` : '' },
+                    { label: '营业收入', value: data.revenueCurrent ? `${data.revenueCurrent} ${amountUnit}` : '' },
+                    { label: '净利润', value: data.netProfitCurrent ? `${data.netProfitCurrent} ${amountUnit}` : '' },
+                    { label: '资产负债率', value: data.debtRatioEnd ? `${data.debtRatioEnd}%` : '' },
+                    { label: '经营活动现金流量净额', value: data.operatingCashFlowCurrent ? `${data.operatingCashFlowCurrent} ${amountUnit}` : '' },
+                    { label: '投资活动现金流量净额', value: data.investingCashFlowCurrent ? `${data.investingCashFlowCurrent} ${amountUnit}` : '' },
+                    { label: '筹资活动现金流量净额', value: data.financingCashFlowCurrent ? `${data.financingCashFlowCurrent} ${amountUnit}` : '' },
+                    { label: '期末现金及现金等价物余额', value: data.endingCashCurrent ? `${data.endingCashCurrent} ${amountUnit}` : '' }
                 ]
             },
+            {
+                title: data.benchmarkIndustry ? `行业对标（${data.benchmarkIndustry}·${data.benchmarkSize}）` : '行业对标',
+                items: data.benchmarkSkipped
+                    ? [{ label: '说明', value: data.benchmarkSkipped }]
+                    : (data.benchmarkComparison || []).map(row => ({
+                        label: row.label,
+                        value: `${row.value}${row.unit}（${row.grade}，平均值 ${row.average}${row.unit}）`
+                    }))
+            },
             {
                 title: '授信信息',
                 items: [
@@ -594,6 +822,18 @@ class TemplateEngine {
             `;
         }
 
+        const trendCharts = charts || CHART_MODEL.chartRenderer.renderCharts(data.trendData, data.amountUnit);
+        if (trendCharts.length > 0) {
+            html += `
+                <div class="border-b border-gray-200 pb-4">
+                    <h4 class="font-semibold text-gray-800 mb-3">财务趋势图</h4>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        ${trendCharts.map(chart => `<div class="trend-chart border border-gray-100 rounded-lg overflow-hidden">${chart.svg}</div>`).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
         for (const section of textSections) {
             if (section.content) {
                 html += `
@@ -623,3 +863,8 @@ class TemplateEngine {
 
 // Export singleton instance
 const templateEngine = new TemplateEngine();
+
+// Also loadable from Node (server-side rendering and the CLI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TemplateEngine, templateEngine };
+}
@@ -3,15 +3,39 @@
  * Handles all UI interactions and state management
  */
 
+// Company fields of Step 2, for messages
+const COMPANY_FIELD_LABELS = {
+    companyName: '企业名称',
+    creditCode: '统一社会信用代码',
+    legalRep: '法定代表人',
+    registeredCapital: '注册资本',
+    establishDate: '成立日期',
+    industry: '所属行业',
+    registeredAddress: '注册地址',
+    businessScope: '经营范围',
+    companyType: '企业类型',
+    companySize: '企业规模',
+    employeeCount: '员工人数'
+};
+
 class UIController {
     constructor() {
         this.currentStep = 1;
         this.files = {
             template: null,
             financial: [],
-            business: null
+            business: []
         };
         this.toastTimeout = null;
+        this.streamControllers = {};
+        this.generateAllController = null;
+        this.reviewedFields = new Set();
+        this.reviewWarned = false;
+        this.sourceField = null;
+        this.derivedOwnership = {};
+        // OCR text of fields that could not be put into their inputs, and issues the user confirmed
+        this.rawCompanyValues = {};
+        this.confirmedIssues = new Set();
     }
 
     /**
@@ -20,6 +44,21 @@ class UIController {
     init() {
         this.bindEvents();
         this.loadSettings();
+        this.resetCaseId();
+    }
+
+    /**
+     * Start a new case with a generated identifier (CASE-YYYYMMDD-XXXX)
+     */
+    resetCaseId() {
+        const now = new Date();
+        const date = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+        const suffix = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, '0');
+        const caseId = `CASE-${date}-${suffix}`;
+
+        apiService.caseId = caseId;
+        const input = document.getElementById('caseId');
+        if (input) input.value = caseId;
     }
 
     /**
@@ -39,12 +78,37 @@ class UIController {
         // Navigation buttons
         document.getElementById('toStep2Btn')?.addEventListener('click', () => this.goToStep(2));
         document.getElementById('backToStep1Btn')?.addEventListener('click', () => this.goToStep(1));
-        document.getElementById('toStep3Btn')?.addEventListener('click', () => this.goToStep(3));
+        document.getElementById('toStep3Btn')?.addEventListener('click', () => this.leaveStep2());
         document.getElementById('backToStep2Btn')?.addEventListener('click', () => this.goToStep(2));
         document.getElementById('toStep4Btn')?.addEventListener('click', () => this.goToStep(4));
         document.getElementById('backToStep3Btn')?.addEventListener('click', () => this.goToStep(3));
         document.getElementById('restartBtn')?.addEventListener('click', () => this.restart());
 
+        // Registration fields are checked as they are edited
+        ['creditCode', 'establishDate', 'registeredCapital', 'registeredCapitalCurrency'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                delete this.rawCompanyValues[id];
+                this.renderCompanyFieldIssues();
+            });
+        });
+
+        // Industry benchmarks follow the industry, the size and the benchmark industry chosen
+        this.renderBenchmarkIndustries();
+        ['industry', 'companySize', 'benchmarkIndustry'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.renderBenchmarkTable());
+        });
+        document.getElementById('benchmarkFile')?.addEventListener('change', (e) => this.importBenchmarkFile(e));
+
+        // Shareholder and key personnel grids
+        document.querySelectorAll('.add-business-row').forEach(btn => {
+            btn.addEventListener('click', () => this.addBusinessRow(btn.dataset.list));
+        });
+
+        // Case identifier used by the audit log
+        document.getElementById('caseId')?.addEventListener('input', (e) => {
+            apiService.caseId = e.target.value.trim();
+        });
+
         // Tab navigation
         document.querySelectorAll('.tab-btn').forEach(btn => {
             btn.addEventListener('click', (e) => this.switchTab(e.target.dataset.tab));
@@ -52,7 +116,7 @@ class UIController {
 
         // AI generation buttons
         document.querySelectorAll('.ai-generate-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => this.generateFieldContent(e.target.dataset.field));
+            btn.addEventListener('click', (e) => this.generateFieldContent(e.currentTarget.dataset.field));
         });
         document.getElementById('aiGenerateAllBtn')?.addEventListener('click', () => this.generateAllContent());
 
@@ -61,17 +125,27 @@ class UIController {
         document.getElementById('downloadReportBtn')?.addEventListener('click', () => this.downloadReport());
 
         // Settings modal
-        document.getElementById('settingsBtn')?.addEventListener('click', () => this.openModal('settingsModal'));
+        document.getElementById('settingsBtn')?.addEventListener('click', () => this.openSettings());
         document.getElementById('closeSettingsBtn')?.addEventListener('click', () => this.closeModal('settingsModal'));
         document.getElementById('cancelSettingsBtn')?.addEventListener('click', () => this.closeModal('settingsModal'));
         document.getElementById('saveSettingsBtn')?.addEventListener('click', () => this.saveSettings());
+        document.getElementById('textProvider')?.addEventListener('change', () => this.populateModelOptions('text'));
+        document.getElementById('visionProvider')?.addEventListener('change', () => this.populateModelOptions('vision'));
 
         // Help modal
         document.getElementById('helpBtn')?.addEventListener('click', () => this.openModal('helpModal'));
         document.getElementById('closeHelpBtn')?.addEventListener('click', () => this.closeModal('helpModal'));
 
+        // Source modal (Step 2 badges)
+        document.getElementById('closeSourceBtn')?.addEventListener('click', () => this.closeModal('sourceModal'));
+        document.getElementById('cancelSourceBtn')?.addEventListener('click', () => this.closeModal('sourceModal'));
+        document.getElementById('confirmSourceBtn')?.addEventListener('click', () => {
+            if (this.sourceField) this.markReviewed(this.sourceField);
+            this.closeModal('sourceModal');
+        });
+
         // Close modals on background click
-        ['settingsModal', 'helpModal'].forEach(modalId => {
+        ['settingsModal', 'helpModal', 'sourceModal'].forEach(modalId => {
             document.getElementById(modalId)?.addEventListener('click', (e) => {
                 if (e.target.id === modalId) this.closeModal(modalId);
             });
@@ -172,14 +246,20 @@ class UIController {
         this.showLoading('正在解析财务报表...');
         
         try {
-            const result = await fileParser.parseExcelFiles(files);
+            // Scanned PDF pages are transcribed by the vision model when it is configured
+            const options = apiService.hasCredentials('vision')
+                ? { ocrPage: image => apiService.callTableOCR(image) }
+                : {};
+            const result = await fileParser.parseExcelFiles(files, options);
             this.files.financial = files;
+            this.reviewedFields.clear();
             
             // Update UI
             const fileNames = files.map(f => f.name).join(', ');
             document.getElementById('financialFileName').textContent = 
                 files.length > 1 ? `${files[0].name} 等 ${files.length} 个文件` : files[0].name;
             document.getElementById('financialFileInfo').classList.remove('hidden');
+            this.renderFinancialUnits();
             
             this.hideLoading();
             this.showToast(`成功解析 ${files.length} 个财务报表`, 'success');
@@ -191,48 +271,166 @@ class UIController {
     }
 
     /**
-     * Handle business info file upload
+     * List the amount unit of each financial file with a select to correct it
+     */
+    renderFinancialUnits() {
+        const list = document.getElementById('financialUnitList');
+        if (!list) return;
+
+        const units = ['元', '千元', '万元', '百万元', '亿元'];
+        list.innerHTML = fileParser.getFileUnits().map((file, index) => `
+            <div class="flex items-center justify-between text-xs text-gray-600 px-3">
+                <span class="truncate max-w-xs">${this.escapeHtml(file.name)}${file.period ? `（${file.period.label}${file.period.detected ? '' : '，按文件名'}）` : ''}</span>
+                <span class="flex items-center gap-2">
+                    <span class="${file.detectedUnit ? 'text-gray-400' : 'text-warning'}">
+                        ${file.detectedUnit ? `识别单位：${file.detectedUnit}` : '未识别单位，按元处理'}
+                    </span>
+                    <select data-file-index="${index}" class="financial-unit-select px-2 py-0.5 border border-gray-200 rounded">
+                        ${units.map(unit => `<option value="${unit}" ${unit === file.unit ? 'selected' : ''}>${unit}</option>`).join('')}
+                    </select>
+                </span>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.financial-unit-select').forEach(select => {
+            select.addEventListener('change', (e) => {
+                const file = fileParser.getFileUnits()[Number(e.target.dataset.fileIndex)];
+                fileParser.setFileUnit(file.name, e.target.value);
+                this.showToast(`${this.escapeHtml(file.name)} 的金额单位已改为${this.escapeHtml(e.target.value)}`, 'success');
+            });
+        });
+    }
+
+    /**
+     * Show the reporting unit next to the amount fields of Step 2
+     */
+    updateAmountUnitLabels() {
+        document.querySelectorAll('.amount-unit').forEach(label => {
+            label.textContent = fileParser.reportingUnit;
+        });
+    }
+
+    /**
+     * OCR engine for business info images: the one chosen in the settings, or in 自动 mode
+     * the vision model when it has credentials and local OCR otherwise
+     * @returns {string|null} - 'vision', 'local', or null when none is usable
      */
-    async handleBusinessUpload(file) {
+    getOcrEngine() {
+        const choice = apiService.ocrEngine;
+        const vision = apiService.hasCredentials('vision');
+        const local = localOcr.isAvailable();
+
+        if (choice === 'vision') return vision ? 'vision' : null;
+        if (choice === 'local') return local ? 'local' : null;
+        if (vision) return 'vision';
+        return local ? 'local' : null;
+    }
+
+    /**
+     * Recognize the business info on one image. In 自动 mode a failed vision call (no
+     * network inside the intranet, exhausted budget) is retried with local OCR.
+     * @param {string} image - Image data URL
+     * @param {string} [pageType=''] - Page type, selects the vision prompt
+     * @returns {Promise<Object>} - Parsed business info
+     */
+    async recognizeBusinessImage(image, pageType = '') {
+        if (this.getOcrEngine() === 'vision') {
+            try {
+                return fileParser.parseBusinessInfo(await apiService.callOCR(image, pageType));
+            } catch (error) {
+                if (apiService.ocrEngine || !localOcr.isAvailable()) throw error;
+                console.warn('Vision OCR failed, falling back to local OCR:', error.message);
+            }
+        }
+
+        this.showLoading('正在使用本地OCR识别（首次使用需加载识别模型）...');
+        const text = await localOcr.recognize(image, (progress, status) => {
+            if (status === 'recognizing text') this.setLoadingProgress(30 + Math.round(progress * 50));
+        });
+        return fileParser.parseBusinessInfoFromText(text, pageType);
+    }
+
+    /**
+     * Recognize one business info file (image or PDF)
+     * @param {File} file - Uploaded file
+     * @param {string} pageType - Page type ('' when unknown)
+     * @returns {Promise<Object>} - { fileName, pageType, info }
+     */
+    async recognizeBusinessFile(file, pageType) {
+        const engine = this.getOcrEngine();
+        let info = {};
+
+        if (/\.pdf$/i.test(file.name)) {
+            // Pages with a text layer are read without OCR
+            info = await fileParser.parsePdfBusinessInfo(file, {
+                pageType,
+                recognizePage: engine ? image => this.recognizeBusinessImage(image, pageType) : null
+            });
+        } else if (engine) {
+            info = await this.recognizeBusinessImage(await fileParser.parseImageToBase64(file), pageType);
+        }
+
+        return { fileName: file.name, pageType, info };
+    }
+
+    /**
+     * Handle business info file upload. Each screenshot (基本信息, 股东信息, 主要人员 ...)
+     * is recognized on its own and the results are merged into one company profile.
+     * @param {File[]|File} files - Uploaded files
+     */
+    async handleBusinessUpload(files) {
+        files = Array.isArray(files) ? files : [files];
         this.showLoading('正在处理工商信息...');
         
         try {
-            // Convert image to base64 and store
-            this.businessImageBase64 = await fileParser.parseImageToBase64(file);
-            this.files.business = file;
+            this.files.business = files;
             
             // Update UI immediately
-            document.getElementById('businessFileName').textContent = file.name;
+            document.getElementById('businessFileName').textContent =
+                files.length > 1 ? `${files[0].name} 等 ${files.length} 个文件` : files[0].name;
             document.getElementById('businessFileInfo').classList.remove('hidden');
             
-            // Try OCR if API key is configured
-            const config = apiService.getConfig();
-            if (config.siliconflowApiKey) {
-                this.setLoadingProgress(30);
-                this.showLoading('正在调用OCR识别工商信息...');
-                
+            const engine = this.getOcrEngine();
+            const hasPdf = files.some(file => /\.pdf$/i.test(file.name));
+            if (!engine && !hasPdf) {
+                fileParser.mergeBusinessInfo(files.map(file => ({ fileName: file.name, pageType: fileParser.detectBusinessPageType(file.name), info: {} })));
+                this.renderBusinessPages();
+                this.hideLoading();
+                this.showToast('文件已上传。请点击右上角设置按钮配置视觉模型 API Key 或选择本地OCR以启用自动识别', 'warning');
+                this.updateNavigationState();
+                return;
+            }
+
+            const pages = [];
+            const failures = [];
+            for (const [index, file] of files.entries()) {
+                this.showLoading(`正在识别工商信息 (${index + 1}/${files.length})：${file.name}`);
+                this.setLoadingProgress(Math.round(index / files.length * 100));
+                const pageType = fileParser.detectBusinessPageType(file.name);
                 try {
-                    const ocrResult = await apiService.callOCR(this.businessImageBase64);
-                    this.setLoadingProgress(80);
-                    const businessInfo = fileParser.parseBusinessInfo(ocrResult);
-                    
-                    console.log('OCR extracted business info:', businessInfo);
-                    
-                    this.hideLoading();
-                    const fieldCount = Object.keys(businessInfo).filter(k => businessInfo[k]).length;
-                    if (fieldCount > 0) {
-                        this.showToast(`工商信息识别成功，提取了 ${fieldCount} 个字段`, 'success');
-                    } else {
-                        this.showToast('OCR识别完成，但未能提取到结构化数据', 'warning');
-                    }
+                    pages.push(await this.recognizeBusinessFile(file, pageType));
                 } catch (ocrError) {
                     console.error('OCR error:', ocrError);
-                    this.hideLoading();
-                    this.showToast('OCR识别失败：' + ocrError.message, 'error');
+                    failures.push(`${this.escapeHtml(file.name)}：${this.escapeHtml(ocrError.message)}`);
+                    pages.push({ fileName: file.name, pageType, info: {} });
                 }
+            }
+
+            const businessInfo = fileParser.mergeBusinessInfo(pages);
+            console.log('OCR extracted business info:', businessInfo);
+            this.renderBusinessPages();
+            this.hideLoading();
+
+            const fieldCount = Object.keys(businessInfo).filter(k => businessInfo[k] && !Array.isArray(businessInfo[k])).length;
+            const conflictCount = Object.keys(fileParser.getBusinessConflicts()).length;
+            if (failures.length > 0) {
+                this.showToast('OCR识别失败：' + failures.join('；'), 'error');
+            } else if (fieldCount === 0) {
+                this.showToast(engine ? 'OCR识别完成，但未能提取到结构化数据' : 'PDF中没有可读取的文字。请在设置中配置视觉模型或选择本地OCR以识别扫描件', 'warning');
+            } else if (conflictCount > 0) {
+                this.showToast(`工商信息识别完成，提取了 ${fieldCount} 个字段，其中 ${conflictCount} 个字段各截图不一致，请在下一步确认`, 'warning');
             } else {
-                this.hideLoading();
-                this.showToast('文件已上传。请点击右上角设置按钮配置 SiliconFlow API Key 以启用自动识别', 'warning');
+                this.showToast(`工商信息识别成功，提取了 ${fieldCount} 个字段`, 'success');
             }
             
             this.updateNavigationState();
@@ -243,6 +441,50 @@ class UIController {
         }
     }
 
+    /**
+     * List the business info files with their page type; changing the type recognizes
+     * the file again with that page's prompt
+     */
+    renderBusinessPages() {
+        const list = document.getElementById('businessPageList');
+        if (!list) return;
+
+        const types = [['', '自动识别'], ...Object.entries(BUSINESS_PAGE_TYPES).map(([key, type]) => [key, type.label])];
+        list.innerHTML = fileParser.businessPages.map((page, index) => {
+            const fieldCount = Object.values(page.info).filter(value => Array.isArray(value) ? value.length : value).length;
+            return `
+                <div class="flex items-center justify-between text-xs text-gray-600 px-3">
+                    <span class="truncate max-w-xs">${this.escapeHtml(page.fileName)}</span>
+                    <span class="flex items-center gap-2">
+                        <span class="${fieldCount ? 'text-gray-400' : 'text-warning'}">${fieldCount ? `识别 ${fieldCount} 项` : '未识别到信息'}</span>
+                        <select data-page-index="${index}" class="business-page-select px-2 py-0.5 border border-gray-200 rounded">
+                            ${types.map(([key, label]) => `<option value="${key}" ${key === page.pageType ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </span>
+                </div>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.business-page-select').forEach(select => {
+            select.addEventListener('change', async (e) => {
+                const index = Number(e.target.dataset.pageIndex);
+                const file = this.files.business[index];
+                this.showLoading(`正在按“${e.target.selectedOptions[0].textContent}”重新识别：${file.name}`);
+                try {
+                    const pages = [...fileParser.businessPages];
+                    pages[index] = await this.recognizeBusinessFile(file, e.target.value);
+                    fileParser.mergeBusinessInfo(pages);
+                    this.hideLoading();
+                    this.showToast(`${this.escapeHtml(file.name)} 已重新识别`, 'success');
+                } catch (error) {
+                    this.hideLoading();
+                    this.showToast('OCR识别失败：' + this.escapeHtml(error.message), 'error');
+                }
+                this.renderBusinessPages();
+            });
+        });
+    }
+
     /**
      * Remove uploaded file
      */
@@ -257,11 +499,13 @@ class UIController {
                 this.files.financial = [];
                 document.getElementById('financialFile').value = '';
                 document.getElementById('financialFileInfo').classList.add('hidden');
+                document.getElementById('financialUnitList').innerHTML = '';
                 break;
             case 'business':
-                this.files.business = null;
+                this.files.business = [];
                 document.getElementById('businessFile').value = '';
                 document.getElementById('businessFileInfo').classList.add('hidden');
+                document.getElementById('businessPageList').innerHTML = '';
                 break;
         }
         this.updateNavigationState();
@@ -274,7 +518,7 @@ class UIController {
         const toStep2Btn = document.getElementById('toStep2Btn');
         const allFilesUploaded = this.files.template && 
                                   this.files.financial.length > 0 && 
-                                  this.files.business;
+                                  this.files.business.length > 0;
         
         if (toStep2Btn) {
             toStep2Btn.disabled = !allFilesUploaded;
@@ -366,10 +610,9 @@ class UIController {
                               'companySize', 'employeeCount'];
         
         let filledCompanyFields = 0;
+        this.rawCompanyValues = {};
         companyFields.forEach(field => {
-            const element = document.getElementById(field);
-            if (element && businessInfo[field]) {
-                element.value = businessInfo[field];
+            if (businessInfo[field] && this.setCompanyField(field, businessInfo[field])) {
                 filledCompanyFields++;
             }
         });
@@ -380,7 +623,12 @@ class UIController {
                                 'ownerEquityLastYear', 'ownerEquityBeginning', 'ownerEquityEnd',
                                 'revenueLastYear', 'revenueCurrent',
                                 'netProfitLastYear', 'netProfitCurrent',
-                                'debtRatioLastYear', 'debtRatioBeginning', 'debtRatioEnd'];
+                                'debtRatioLastYear', 'debtRatioBeginning', 'debtRatioEnd',
+                                'cashFromSalesLastYear', 'cashFromSalesCurrent',
+                                'operatingCashFlowLastYear', 'operatingCashFlowCurrent',
+                                'investingCashFlowLastYear', 'investingCashFlowCurrent',
+                                'financingCashFlowLastYear', 'financingCashFlowCurrent',
+                                'endingCashLastYear', 'endingCashCurrent'];
 
         let filledFinancialFields = 0;
         financialFields.forEach(field => {
@@ -390,6 +638,14 @@ class UIController {
                 filledFinancialFields++;
             }
         });
+        this.renderBusinessConflicts();
+        this.renderCompanyFieldIssues();
+        Object.keys(BUSINESS_LIST_COLUMNS).forEach(list => this.renderBusinessList(list));
+        this.updateOwnership();
+        this.renderSourceBadges(financialFields);
+        this.renderValidationWarnings();
+        this.renderPeriodInfo(financialSummary);
+        this.renderRatioTable();
         
         console.log(`Filled ${filledCompanyFields} company fields, ${filledFinancialFields} financial fields`);
         
@@ -402,6 +658,549 @@ class UIController {
         }
     }
 
+    /**
+     * Add a badge to every extracted financial field that opens its source cell, and
+     * highlight the fields whose extraction confidence is too low to use unchecked
+     * @param {Array<string>} fields - Financial field ids
+     */
+    renderSourceBadges(fields) {
+        this.reviewWarned = false;
+
+        fields.forEach(field => {
+            const input = document.getElementById(field);
+            if (!input) return;
+            const cell = input.parentElement;
+            cell.querySelector('.source-badge')?.remove();
+            input.classList.remove('needs-review');
+
+            const source = fileParser.getFieldSource(field);
+            if (!source || input.value === '') return;
+
+            const badge = document.createElement('button');
+            badge.type = 'button';
+            badge.className = 'source-badge';
+            badge.textContent = `${Math.round(source.confidence * 100)}%`;
+            badge.title = `${source.fileName} · ${source.sheetName} ${source.cell}`;
+            badge.addEventListener('click', () => this.openSource(field));
+            cell.classList.add('relative');
+            cell.appendChild(badge);
+
+            if (!input.dataset.reviewBound) {
+                input.dataset.reviewBound = '1';
+                input.addEventListener('input', () => this.markReviewed(field));
+            }
+            this.updateReviewState(field);
+        });
+    }
+
+    /**
+     * Describe the reporting period above the financial table; interim periods also get
+     * annualized revenue and net profit
+     * @param {Object} summary - Financial summary
+     */
+    renderPeriodInfo(summary) {
+        const info = document.getElementById('financialPeriodInfo');
+        if (!info) return;
+
+        info.classList.toggle('hidden', !summary.periodCurrent);
+        if (!summary.periodCurrent) return;
+
+        const unit = summary.amountUnit;
+        let text = `报表期间：${summary.periodCurrent}（${summary.periodType}，截至 ${summary.periodEndDate}）`;
+        if (summary.periodLastYear) text += `；上年对比期间：${summary.periodLastYear}`;
+        if (summary.annualizationFactor > 1) {
+            text += `。利润与现金流量为年初至期末累计数，按 ×${summary.annualizationFactor} 年化：`
+                + `营业收入约 ${summary.revenueCurrentAnnualized ?? '—'} ${unit}，净利润约 ${summary.netProfitCurrentAnnualized ?? '—'} ${unit}`;
+        }
+        info.textContent = text;
+    }
+
+    /**
+     * Show every ratio of every uploaded year, one column per reporting period, grouped
+     * as in js/financialRatios.js; the formula is shown on hover
+     */
+    renderRatioTable() {
+        const section = document.getElementById('ratioSection');
+        const table = document.getElementById('ratioTable');
+        if (!section || !table) return;
+
+        const { ratioYears, financialRatios } = fileParser.getFinancialRatios();
+        section.classList.toggle('hidden', financialRatios.length === 0);
+
+        let group = null;
+        const rows = financialRatios.map(ratio => {
+            const heading = ratio.group !== group
+                ? `<tr class="bg-gray-50"><td colspan="${ratioYears.length + 1}" class="px-4 py-2 font-semibold text-gray-700 border-b">${ratio.group}</td></tr>`
+                : '';
+            group = ratio.group;
+            return `${heading}
+                <tr>
+                    <td class="px-4 py-2 text-gray-700 border-b" title="${this.escapeHtml(ratio.formula)}">${ratio.label} (${ratio.unit})</td>
+                    ${ratio.values.map(({ value }) => `
+                        <td class="px-4 py-2 text-right border-b ${value < 0 ? 'text-danger' : 'text-gray-800'}">${value ?? '<span class="text-gray-400">-</span>'}</td>
+                    `).join('')}
+                </tr>`;
+        });
+
+        table.innerHTML = `
+            <thead>
+                <tr class="bg-gray-50">
+                    <th class="px-4 py-2 text-left font-semibold text-gray-700 border-b">指标</th>
+                    ${ratioYears.map(({ label }) => `<th class="px-4 py-2 text-right font-semibold text-gray-700 border-b">${label}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>${rows.join('')}</tbody>
+        `;
+        this.renderBenchmarkTable();
+    }
+
+    /**
+     * Fill the benchmark industry picker from the loaded standard values
+     */
+    renderBenchmarkIndustries() {
+        const select = document.getElementById('benchmarkIndustry');
+        if (!select) return;
+        const selected = select.value;
+        select.length = 1;
+        INDUSTRY_BENCHMARKS.industries.forEach(industry => select.add(new Option(industry.name, industry.key)));
+        select.value = INDUSTRY_BENCHMARKS.industries.some(industry => industry.key === selected) ? selected : '';
+    }
+
+    /**
+     * Load a published edition of the standard values from a JSON file and regrade
+     * @param {Event} e - Change event of the file input
+     */
+    async importBenchmarkFile(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            loadBenchmarkData(JSON.parse(await file.text()));
+            this.renderBenchmarkIndustries();
+            this.renderBenchmarkTable();
+            this.showToast(`已导入标准值：${this.escapeHtml(INDUSTRY_BENCHMARKS.edition)}`, 'success');
+        } catch (error) {
+            this.showToast(`${this.escapeHtml(file.name)} 导入失败：${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    /**
+     * Industry, size and benchmark industry as currently entered in Step 2
+     * @returns {Object} - Argument of FileParser.getBenchmarkComparison
+     */
+    getBenchmarkCompany() {
+        const value = id => document.getElementById(id)?.value || '';
+        return { industry: value('industry'), companySize: value('companySize'), benchmarkIndustryKey: value('benchmarkIndustry') };
+    }
+
+    /**
+     * Compare the latest period's ratios with the standard values of the company's industry
+     * and size, one row per ratio with its five levels and grade
+     */
+    renderBenchmarkTable() {
+        const table = document.getElementById('benchmarkTable');
+        const info = document.getElementById('benchmarkInfo');
+        if (!table || !info) return;
+
+        const comparison = fileParser.getBenchmarkComparison(this.getBenchmarkCompany());
+        const rows = comparison.benchmarkComparison;
+        info.textContent = comparison.benchmarkSkipped
+            ? `${comparison.benchmarkSkipped}，请点击“导入标准值”导入当年版本`
+            : rows.length > 0
+                ? `${comparison.benchmarkPeriod}指标与 ${comparison.benchmarkIndustry}（${comparison.benchmarkSize}）标准值对比；标准值版本：${comparison.benchmarkEdition}`
+                : '没有可与标准值对比的指标';
+
+        const gradeClasses = { 优秀: 'text-success', 良好: 'text-primary-600', 平均: 'text-gray-700', 较低: 'text-warning', 较差: 'text-danger' };
+        const cell = value => `<td class="px-4 py-2 text-right text-gray-500 border-b">${value}</td>`;
+        table.innerHTML = rows.length === 0 ? '' : `
+            <thead>
+                <tr class="bg-gray-50">
+                    <th class="px-4 py-2 text-left font-semibold text-gray-700 border-b">指标</th>
+                    <th class="px-4 py-2 text-right font-semibold text-gray-700 border-b">本企业</th>
+                    ${['优秀', '良好', '平均', '较低', '较差'].map(level => `<th class="px-4 py-2 text-right font-semibold text-gray-700 border-b">${level}值</th>`).join('')}
+                    <th class="px-4 py-2 text-center font-semibold text-gray-700 border-b">评价</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td class="px-4 py-2 text-gray-700 border-b">${row.label} (${row.unit})</td>
+                        <td class="px-4 py-2 text-right text-gray-800 font-medium border-b">${row.value}</td>
+                        ${[row.excellent, row.good, row.average, row.low, row.poor].map(cell).join('')}
+                        <td class="px-4 py-2 text-center font-medium border-b ${gradeClasses[row.grade]}">${row.grade}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
+
+    /**
+     * List the consistency checks the parsed statements fail, with links to the cells involved
+     */
+    renderValidationWarnings() {
+        const container = document.getElementById('validationWarnings');
+        const list = document.getElementById('validationList');
+        if (!container || !list) return;
+
+        const issues = fileParser.validateFinancialData();
+        container.classList.toggle('hidden', issues.length === 0);
+        document.getElementById('validationTitle').textContent = `报表勾稽检查发现 ${issues.length} 处不一致，请核对原表或修改下方数据`;
+
+        list.innerHTML = issues.map((issue, index) => `
+            <li>
+                ${issue.message}：应为 ${issue.expected}，实为 ${issue.actual}（差额 ${issue.difference} ${fileParser.reportingUnit}）
+                ${issue.cells.map((cell, cellIndex) => `
+                    <button type="button" class="validation-cell text-primary-600 hover:underline ml-1" data-issue="${index}" data-cell="${cellIndex}">${cell.fileName} ${cell.sheetName}!${cell.cell}</button>
+                `).join('')}
+            </li>
+        `).join('');
+
+        list.querySelectorAll('.validation-cell').forEach(button => {
+            button.addEventListener('click', () => {
+                this.openSource(null, issues[button.dataset.issue].cells[button.dataset.cell]);
+            });
+        });
+    }
+
+    /**
+     * List the company fields whose screenshots disagree, with a button per value; the
+     * field stays highlighted until a value is chosen or typed in
+     */
+    renderBusinessConflicts() {
+        const container = document.getElementById('businessConflicts');
+        const list = document.getElementById('businessConflictList');
+        if (!container || !list) return;
+
+        const conflicts = fileParser.getBusinessConflicts();
+        const fields = Object.keys(conflicts);
+        container.classList.toggle('hidden', fields.length === 0);
+        document.querySelectorAll('#step2-content .has-conflict').forEach(input => input.classList.remove('has-conflict'));
+
+        list.innerHTML = fields.map(field => `
+            <li>
+                ${this.escapeHtml(COMPANY_FIELD_LABELS[field] || field)}：
+                ${conflicts[field].map((candidate, index) => `
+                    <button type="button" class="conflict-value px-2 py-0.5 ml-1 rounded border border-warning/60 bg-white hover:bg-warning/20" data-field="${field}" data-index="${index}" title="来自 ${this.escapeHtml(candidate.fileNames.join('、'))}">${this.escapeHtml(candidate.value)}</button>
+                `).join('')}
+            </li>
+        `).join('');
+
+        fields.forEach(field => {
+            const input = document.getElementById(field);
+            if (!input) return;
+            input.classList.add('has-conflict');
+            if (!input.dataset.conflictBound) {
+                input.dataset.conflictBound = '1';
+                // Typing a value settles the conflict too
+                input.addEventListener('change', () => {
+                    if (!fileParser.getBusinessConflicts()[field]) return;
+                    fileParser.resolveBusinessConflict(field, input.value);
+                    this.renderBusinessConflicts();
+                });
+            }
+        });
+
+        list.querySelectorAll('.conflict-value').forEach(button => {
+            button.addEventListener('click', () => {
+                const field = button.dataset.field;
+                const { value } = conflicts[field][button.dataset.index];
+                this.setCompanyField(field, value);
+                fileParser.resolveBusinessConflict(field, value);
+                this.renderBusinessConflicts();
+                this.renderCompanyFieldIssues();
+            });
+        });
+    }
+
+    /**
+     * Put a recognized company field into its input. Dates go into the date input as
+     * YYYY-MM-DD and the registered capital into amount and currency; text that cannot be
+     * converted is kept so the issue list can show it.
+     * @param {string} field - Company field id
+     * @param {string} value - Recognized value
+     * @returns {boolean} - Whether the input received a value
+     */
+    setCompanyField(field, value) {
+        const element = document.getElementById(field);
+        if (!element) return false;
+        delete this.rawCompanyValues[field];
+
+        if (field === 'establishDate') {
+            element.value = fileParser.normalizeDate(value);
+        } else if (field === 'registeredCapital') {
+            const capital = fileParser.parseRegisteredCapital(value);
+            element.value = capital ? capital.amount : '';
+            document.getElementById('registeredCapitalCurrency').value = capital ? capital.currency : '人民币';
+        } else if (field === 'creditCode') {
+            element.value = String(value).toUpperCase().replace(/\s+/g, '');
+        } else {
+            element.value = value;
+        }
+
+        if (element.value === '') {
+            this.rawCompanyValues[field] = String(value);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Registration field issues the user has not confirmed, from the form values (or the
+     * recognized text a field could not be filled with)
+     * @returns {Array} - [{ field, value, message, suggestions }]
+     */
+    getCompanyFieldIssues() {
+        const value = id => document.getElementById(id)?.value.trim() || '';
+        const capital = value('registeredCapital');
+        const issues = fileParser.validateBusinessInfo({
+            creditCode: value('creditCode'),
+            establishDate: value('establishDate') || this.rawCompanyValues.establishDate,
+            registeredCapital: capital ? `${capital}万${value('registeredCapitalCurrency')}` : this.rawCompanyValues.registeredCapital
+        });
+        return issues.filter(issue => !this.confirmedIssues.has(`${issue.field}:${issue.value}`));
+    }
+
+    /**
+     * List the registration fields that fail validation, with the suggested corrections
+     * and a button to confirm a value as it is
+     */
+    renderCompanyFieldIssues() {
+        const container = document.getElementById('companyFieldIssues');
+        const list = document.getElementById('companyFieldIssueList');
+        if (!container || !list) return;
+
+        const issues = this.getCompanyFieldIssues();
+        container.classList.toggle('hidden', issues.length === 0);
+        document.querySelectorAll('#step2-content .field-invalid').forEach(input => input.classList.remove('field-invalid'));
+        issues.forEach(issue => document.getElementById(issue.field)?.classList.add('field-invalid'));
+
+        list.innerHTML = issues.map((issue, index) => `
+            <li>
+                ${this.escapeHtml(issue.message)}
+                ${issue.suggestions.map(suggestion => `
+                    <button type="button" class="issue-suggestion px-2 py-0.5 ml-1 rounded border border-danger/40 bg-white hover:bg-danger/10 font-mono" data-index="${index}" data-value="${this.escapeHtml(suggestion)}" title="按常见识别错误（O/0、I/1 等）更正">改为 ${this.escapeHtml(suggestion)}</button>
+                `).join('')}
+                <button type="button" class="issue-confirm text-gray-500 hover:text-gray-800 hover:underline ml-2" data-index="${index}">确认无误</button>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('.issue-suggestion').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setCompanyField(issues[button.dataset.index].field, button.dataset.value);
+                this.renderCompanyFieldIssues();
+            });
+        });
+        list.querySelectorAll('.issue-confirm').forEach(button => {
+            button.addEventListener('click', () => {
+                const issue = issues[button.dataset.index];
+                this.confirmedIssues.add(`${issue.field}:${issue.value}`);
+                this.renderCompanyFieldIssues();
+            });
+        });
+    }
+
+    /**
+     * Render a 股东 / 主要人员 list as an editable grid; edits are written back to the
+     * business info right away, so re-populating the form keeps them
+     * @param {string} list - Key of BUSINESS_LIST_COLUMNS
+     */
+    renderBusinessList(list) {
+        const table = document.getElementById(`${list}Table`);
+        if (!table) return;
+
+        const columns = BUSINESS_LIST_COLUMNS[list];
+        const entries = fileParser.getBusinessInfo()[list] || [];
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    ${Object.values(columns).map(label => `<th>${label}</th>`).join('')}
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${entries.map((entry, index) => `
+                    <tr>
+                        ${Object.keys(columns).map(column => `
+                            <td><input type="text" data-row="${index}" data-column="${column}" value="${this.escapeHtml(entry[column])}"></td>
+                        `).join('')}
+                        <td><button type="button" class="remove-business-row text-gray-400 hover:text-danger px-2" data-row="${index}" title="删除"><i class="fa fa-trash"></i></button></td>
+                    </tr>
+                `).join('')}
+                ${entries.length === 0 ? `<tr><td colspan="${Object.keys(columns).length + 1}" class="text-gray-400 py-2">未识别到记录，可点击右上角添加</td></tr>` : ''}
+            </tbody>
+        `;
+
+        table.querySelectorAll('input').forEach(input => {
+            input.addEventListener('change', () => {
+                const rows = (fileParser.getBusinessInfo()[list] || []).map(entry => ({ ...entry }));
+                rows[input.dataset.row][input.dataset.column] = input.value.trim();
+                fileParser.setBusinessList(list, rows);
+                this.updateOwnership();
+            });
+        });
+        table.querySelectorAll('.remove-business-row').forEach(button => {
+            button.addEventListener('click', () => {
+                const rows = (fileParser.getBusinessInfo()[list] || []).filter((_, index) => index !== Number(button.dataset.row));
+                fileParser.setBusinessList(list, rows);
+                this.renderBusinessList(list);
+                this.updateOwnership();
+            });
+        });
+    }
+
+    /**
+     * Add an empty row to a 股东 / 主要人员 grid and focus it
+     * @param {string} list - Key of BUSINESS_LIST_COLUMNS
+     */
+    addBusinessRow(list) {
+        const empty = Object.fromEntries(Object.keys(BUSINESS_LIST_COLUMNS[list]).map(column => [column, '']));
+        fileParser.setBusinessList(list, [...(fileParser.getBusinessInfo()[list] || []), empty]);
+        this.renderBusinessList(list);
+        document.querySelector(`#${list}Table tbody tr:last-child input`)?.focus();
+    }
+
+    /**
+     * Derive the controlling shareholder and actual controller from the grids. A field the
+     * user has typed over keeps their value; the others follow the shareholders.
+     */
+    updateOwnership() {
+        const summary = fileParser.getOwnershipSummary();
+        ['controllingShareholder', 'actualController'].forEach(field => {
+            const input = document.getElementById(field);
+            if (input && (input.value === '' || input.value === this.derivedOwnership[field])) {
+                input.value = summary[field];
+            }
+        });
+        this.derivedOwnership = summary;
+
+        const basis = document.getElementById('actualControllerBasis');
+        if (basis) basis.textContent = summary.actualControllerBasis;
+    }
+
+    /**
+     * Show the highlight of a field according to its confidence and review state
+     * @param {string} field - Financial field id
+     */
+    updateReviewState(field) {
+        const input = document.getElementById(field);
+        const badge = input?.parentElement.querySelector('.source-badge');
+        if (!badge) return;
+
+        const lowConfidence = fileParser.needsReview(field);
+        const reviewed = this.reviewedFields.has(field);
+        input.classList.toggle('needs-review', lowConfidence && !reviewed);
+        badge.classList.toggle('low-confidence', lowConfidence && !reviewed);
+        badge.classList.toggle('reviewed', lowConfidence && reviewed);
+    }
+
+    /**
+     * Record that the user checked (or corrected) a field
+     * @param {string} field - Financial field id
+     */
+    markReviewed(field) {
+        this.reviewedFields.add(field);
+        this.updateReviewState(field);
+    }
+
+    /**
+     * Low-confidence fields the user has not checked yet
+     * @returns {Array<string>} - Field ids
+     */
+    getPendingReviews() {
+        return Array.from(document.querySelectorAll('input.needs-review')).map(input => input.id);
+    }
+
+    /**
+     * Go to Step 3. Unresolved screenshot conflicts block it; the first attempt with
+     * unchecked low-confidence fields points them out instead, a second click continues anyway.
+     */
+    leaveStep2() {
+        const conflicts = Object.keys(fileParser.getBusinessConflicts());
+        if (conflicts.length > 0) {
+            document.getElementById('businessConflicts')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            this.showToast(`${conflicts.map(field => COMPANY_FIELD_LABELS[field] || field).join('、')} 在不同截图中识别结果不一致，请先选择正确的值`, 'warning');
+            return;
+        }
+
+        const issues = this.getCompanyFieldIssues();
+        if (issues.length > 0) {
+            this.renderCompanyFieldIssues();
+            document.getElementById('companyFieldIssues')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            this.showToast(`${issues.map(issue => COMPANY_FIELD_LABELS[issue.field]).join('、')} 未通过校验，请修改或确认无误`, 'warning');
+            return;
+        }
+
+        const pending = this.getPendingReviews();
+        if (pending.length > 0 && !this.reviewWarned) {
+            this.reviewWarned = true;
+            const first = document.getElementById(pending[0]);
+            first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            first.focus({ preventScroll: true });
+            this.showToast(`有 ${pending.length} 个财务数据识别置信度较低，请点击标记核对来源；再次点击“下一步”将直接继续`, 'warning');
+            return;
+        }
+        this.goToStep(3);
+    }
+
+    /**
+     * Escape text for insertion into HTML
+     * @param {*} text - Text
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+    }
+
+    /**
+     * Show where a field's value was read from, with the surrounding rows of the sheet
+     * @param {string|null} field - Financial field id; null to show a cell that is not a form field
+     * @param {Object} [source] - Source to show, defaults to the field's
+     */
+    openSource(field, source = fileParser.getFieldSource(field)) {
+        if (!source) return;
+        this.sourceField = field;
+
+        const escape = text => this.escapeHtml(text);
+        const details = [
+            ['文件', source.fileName],
+            ['工作表', source.sheetName],
+            ['单元格', source.cell],
+            ['置信度', `${Math.round(source.confidence * 100)}%`],
+            ['表内项目', source.label],
+            ['匹配科目', source.derived ? `计算值：${source.formula}` : source.item]
+        ];
+        document.getElementById('sourceDetails').innerHTML = details.map(([name, value]) => `
+            <dt class="text-gray-500">${name}</dt>
+            <dd class="text-gray-800 ${name === '表内项目' || name === '匹配科目' ? 'col-span-3' : ''}">${escape(value)}</dd>
+        `).join('');
+
+        // A computed value is shown in the context of its first input
+        const context = fileParser.getSourceContext(source.derived ? source.inputs[0] : source);
+        const table = document.getElementById('sourceContext');
+        table.innerHTML = context ? `
+            <thead>
+                <tr class="bg-gray-50">
+                    <th class="px-2 py-1 border text-gray-500"></th>
+                    ${context.columns.map(column => `<th class="px-2 py-1 border text-gray-500">${column}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${context.rows.map((row, rowIndex) => `
+                    <tr>
+                        <th class="px-2 py-1 border bg-gray-50 text-gray-500">${row.number}</th>
+                        ${row.cells.map((value, col) => `
+                            <td class="px-2 py-1 border whitespace-nowrap ${rowIndex === context.highlight.row && col === context.highlight.col ? 'source-cell' : ''}">${escape(value)}</td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        ` : '<tbody><tr><td class="text-gray-400">原始表格不可用</td></tr></tbody>';
+
+        document.getElementById('confirmSourceBtn').classList.toggle('hidden', !field);
+        this.openModal('sourceModal');
+    }
+
     /**
      * Switch tab in Step 3
      */
@@ -418,77 +1217,190 @@ class UIController {
     }
 
     /**
-     * Generate content for a single field
+     * Generate content for a single field, streaming tokens into its textarea.
+     * Clicking the button again while a stream is running stops it and keeps the partial text.
      */
     async generateFieldContent(fieldName) {
+        if (this.streamControllers[fieldName]) {
+            this.streamControllers[fieldName].abort();
+            return;
+        }
+
         const context = this.collectAllData();
-        const btn = document.querySelector(`[data-field="${fieldName}"]`);
-        
+        const btn = document.querySelector(`.ai-generate-btn[data-field="${fieldName}"]`);
+        const textarea = document.getElementById(fieldName);
+        const controller = new AbortController();
+        this.streamControllers[fieldName] = controller;
+        // Regenerating a section that already has text should produce a fresh answer, not the cached one
+        const bypassCache = Boolean(textarea?.value.trim());
+
         if (btn) {
-            btn.disabled = true;
-            btn.innerHTML = '<i class="fa fa-spinner fa-spin"></i> 生成中...';
+            btn.innerHTML = '<i class="fa fa-stop-circle"></i> 停止';
         }
+        if (textarea) {
+            textarea.value = '';
+        }
+        this.setSectionStatus(fieldName, 'generating');
 
         try {
-            const content = await apiService.generateContent(fieldName, context);
-            const textarea = document.getElementById(fieldName);
+            const content = await apiService.generateContentStream(fieldName, context, token => {
+                if (textarea) {
+                    textarea.value += token;
+                    textarea.scrollTop = textarea.scrollHeight;
+                }
+            }, { signal: controller.signal, bypassCache });
+
             if (textarea) {
                 textarea.value = content;
             }
-            this.showToast('内容生成成功', 'success');
+            if (controller.signal.aborted) {
+                this.setSectionStatus(fieldName, 'stopped');
+                this.showToast('已停止生成，保留已生成的内容', 'warning');
+            } else {
+                this.setSectionStatus(fieldName, 'done');
+                this.showToast('内容生成成功', 'success');
+            }
         } catch (error) {
+            this.setSectionStatus(fieldName, 'failed', error.message);
             this.showToast('内容生成失败：' + error.message, 'error');
         } finally {
+            delete this.streamControllers[fieldName];
             if (btn) {
-                btn.disabled = false;
                 btn.innerHTML = '<i class="fa fa-magic"></i> AI生成';
             }
         }
     }
 
     /**
-     * Generate all content using AI
+     * Generate all content using AI, streaming each section into its textarea in turn.
+     * Clicking the button again stops generation; sections written so far are kept.
      */
     async generateAllContent() {
+        if (this.generateAllController) {
+            this.generateAllController.abort();
+            return;
+        }
+
         const context = this.collectAllData();
         const btn = document.getElementById('aiGenerateAllBtn');
-        
-        if (btn) {
-            btn.disabled = true;
-            btn.innerHTML = '<i class="fa fa-spinner fa-spin"></i> 正在生成...';
-        }
+        const controller = new AbortController();
+        this.generateAllController = controller;
 
-        this.showLoading('正在使用AI生成报告内容...', true);
+        // Single-field buttons would race with the batch on the same textareas
+        document.querySelectorAll('.ai-generate-btn').forEach(b => b.disabled = true);
 
         try {
-            const results = await apiService.generateAllContent(context);
-            
-            // Fill in all text areas
-            for (const [fieldName, content] of Object.entries(results)) {
-                const textarea = document.getElementById(fieldName);
-                if (textarea && content) {
-                    textarea.value = content;
+            const { results, errors } = await apiService.generateAllContent(context, {
+                signal: controller.signal,
+                onFieldStart: (fieldName, index, total) => {
+                    this.setSectionStatus(fieldName, 'generating');
+                    const textarea = document.getElementById(fieldName);
+                    const tab = textarea?.closest('.tab-content');
+                    if (tab) {
+                        this.switchTab(tab.id.replace(/^tab-/, ''));
+                    }
+                    if (textarea) {
+                        textarea.value = '';
+                    }
+                    if (btn) {
+                        btn.innerHTML = `<i class="fa fa-stop-circle"></i> 停止生成 (${index + 1}/${total})`;
+                    }
+                },
+                onToken: (fieldName, token) => {
+                    const textarea = document.getElementById(fieldName);
+                    if (textarea) {
+                        textarea.value += token;
+                        textarea.scrollTop = textarea.scrollHeight;
+                    }
+                },
+                onFieldDone: (fieldName) => {
+                    this.setSectionStatus(fieldName, controller.signal.aborted ? 'stopped' : 'done');
+                },
+                onFieldError: (fieldName, error) => {
+                    this.setSectionStatus(fieldName, 'failed', error.message);
                 }
-            }
+            });
 
-            this.hideLoading();
-            this.showToast('所有内容生成成功', 'success');
+            const failed = Object.keys(errors);
+            const succeeded = Object.keys(results).length;
+            if (failed.length > 0) {
+                const labels = failed.map(field => this.getSectionLabel(field)).join('、');
+                this.showToast(`${succeeded} 个章节生成成功，${failed.length} 个失败：${labels}。可单独点击“AI生成”重试`, 'error');
+            } else if (controller.signal.aborted) {
+                this.showToast('已停止生成，保留已生成的内容', 'warning');
+            } else {
+                this.showToast('所有内容生成成功', 'success');
+            }
         } catch (error) {
-            this.hideLoading();
             this.showToast('内容生成失败：' + error.message, 'error');
         } finally {
+            this.generateAllController = null;
+            document.querySelectorAll('.ai-generate-btn').forEach(b => b.disabled = false);
             if (btn) {
-                btn.disabled = false;
                 btn.innerHTML = '<i class="fa fa-magic"></i> AI智能生成全部';
             }
         }
     }
 
+    /**
+     * Show the generation status of a Step 3 section next to its label
+     * @param {string} fieldName - Section textarea id
+     * @param {string} status - 'generating', 'done', 'stopped' or 'failed'
+     * @param {string} [message] - Error message for failed sections
+     */
+    setSectionStatus(fieldName, status, message = '') {
+        const btn = document.querySelector(`.ai-generate-btn[data-field="${fieldName}"]`);
+        if (!btn) return;
+
+        let badge = document.getElementById(`${fieldName}-status`);
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.id = `${fieldName}-status`;
+            btn.parentElement.querySelector('label')?.after(badge);
+        }
+
+        const styles = {
+            generating: ['text-primary-500', '<i class="fa fa-spinner fa-spin"></i> 生成中'],
+            done: ['text-success', '<i class="fa fa-check-circle"></i> 已生成'],
+            stopped: ['text-warning', '<i class="fa fa-pause-circle"></i> 已停止（保留部分内容）'],
+            failed: ['text-danger', '<i class="fa fa-exclamation-circle"></i> 生成失败']
+        };
+        const [color, html] = styles[status] || styles.done;
+
+        badge.className = `ml-2 mr-auto text-xs ${color}`;
+        badge.innerHTML = html;
+        badge.title = message;
+        if (status === 'failed' && message) {
+            badge.append(`：${message}`);
+        }
+    }
+
+    /**
+     * Human-readable label of a Step 3 section
+     * @param {string} fieldName - Section textarea id
+     * @returns {string}
+     */
+    getSectionLabel(fieldName) {
+        const btn = document.querySelector(`.ai-generate-btn[data-field="${fieldName}"]`);
+        return btn?.parentElement.querySelector('label')?.textContent.trim() || fieldName;
+    }
+
     /**
      * Collect all data from forms
      */
     collectAllData() {
-        const data = {};
+        const data = {
+            caseId: apiService.caseId,
+            amountUnit: fileParser.reportingUnit,
+            // Every extracted line item of the latest year, for template loops
+            ...fileParser.getStatementTables(),
+            // financialRatios / ratioYears for loops, roeCurrent, grossMarginPrevious ...
+            ...fileParser.getFinancialRatios(),
+            // Headline figures per year for the trend charts
+            ...fileParser.getTrendData(),
+            // periodCurrent, periodLastYear, periodEndDate, annualizationFactor ...
+            ...fileParser.getPeriodSummary()
+        };
 
         // Company info
         const companyFields = ['companyName', 'creditCode', 'legalRep', 'registeredCapital', 
@@ -499,18 +1411,59 @@ class UIController {
             if (element) data[field] = element.value;
         });
 
+        // Latest ratios graded against the industry standard values
+        Object.assign(data, fileParser.getBenchmarkComparison(this.getBenchmarkCompany()));
+
+        // Registered capital as text for the report, and as amount (万) and currency
+        const capitalAmount = parseFloat(document.getElementById('registeredCapital')?.value);
+        data.registeredCapitalCurrency = document.getElementById('registeredCapitalCurrency')?.value || '人民币';
+        data.registeredCapitalAmount = isNaN(capitalAmount) ? '' : capitalAmount;
+        data.registeredCapital = isNaN(capitalAmount)
+            ? this.rawCompanyValues.registeredCapital || ''
+            : fileParser.formatRegisteredCapital({ amount: capitalAmount, currency: data.registeredCapitalCurrency });
+
+        // Shareholders and key personnel, as template loops, with the controller as confirmed in the form
+        const businessInfo = fileParser.getBusinessInfo();
+        Object.keys(BUSINESS_LIST_COLUMNS).forEach(list => {
+            data[list] = (businessInfo[list] || []).filter(entry => entry.name);
+        });
+        Object.assign(data, fileParser.getOwnershipSummary(data));
+        ['controllingShareholder', 'actualController'].forEach(field => {
+            const element = document.getElementById(field);
+            if (element) data[field] = element.value.trim();
+        });
+        if (data.actualController !== (this.derivedOwnership.actualController || '')) {
+            // The derived reasoning no longer describes the user's choice
+            data.actualControllerBasis = '';
+        }
+
         // Financial info
         const financialFields = ['totalAssetsLastYear', 'totalAssetsBeginning', 'totalAssetsEnd',
                                 'totalLiabilitiesLastYear', 'totalLiabilitiesBeginning', 'totalLiabilitiesEnd',
                                 'ownerEquityLastYear', 'ownerEquityBeginning', 'ownerEquityEnd',
                                 'revenueLastYear', 'revenueCurrent',
                                 'netProfitLastYear', 'netProfitCurrent',
-                                'debtRatioLastYear', 'debtRatioBeginning', 'debtRatioEnd'];
+                                'debtRatioLastYear', 'debtRatioBeginning', 'debtRatioEnd',
+                                'cashFromSalesLastYear', 'cashFromSalesCurrent',
+                                'operatingCashFlowLastYear', 'operatingCashFlowCurrent',
+                                'investingCashFlowLastYear', 'investingCashFlowCurrent',
+                                'financingCashFlowLastYear', 'financingCashFlowCurrent',
+                                'endingCashLastYear', 'endingCashCurrent'];
         financialFields.forEach(field => {
             const element = document.getElementById(field);
             if (element) data[field] = element.value;
         });
 
+        // Full-year estimates of interim flows, from the (possibly corrected) form values
+        if (data.annualizationFactor > 1) {
+            ['revenueCurrent', 'netProfitCurrent'].forEach(field => {
+                const value = parseFloat(data[field]);
+                if (!isNaN(value)) {
+                    data[`${field}Annualized`] = Math.round(value * data.annualizationFactor * 100) / 100;
+                }
+            });
+        }
+
         // Credit info
         const creditFields = ['creditType', 'creditAmount', 'creditPeriod', 'creditPurpose'];
         creditFields.forEach(field => {
@@ -550,8 +1503,11 @@ class UIController {
             const data = this.collectAllData();
             templateEngine.setDocumentData(data);
 
+            // Trend charts for the preview (SVG) and the document (PNG with the SVG attached)
+            const charts = await chartRenderer.addPngImages(chartRenderer.renderCharts(data.trendData, data.amountUnit));
+
             // Generate preview
-            const previewHtml = templateEngine.generatePreviewHTML(data);
+            const previewHtml = templateEngine.generatePreviewHTML(data, charts);
             document.getElementById('reportPreview').innerHTML = previewHtml;
 
             // Generate document using the template
@@ -559,7 +1515,7 @@ class UIController {
             if (templateZip) {
                 console.log('Using template zip to generate document...');
                 console.log('Data to fill:', data);
-                this.generatedDocument = templateEngine.generateDocument(templateZip, data);
+                this.generatedDocument = templateEngine.generateDocument(templateZip, data, charts);
                 console.log('Document generated successfully');
             } else {
                 throw new Error('模板文件未加载，请重新上传模板');
@@ -617,7 +1573,8 @@ class UIController {
         templateEngine.clear();
         
         // Reset files
-        this.files = { template: null, financial: [], business: null };
+        this.files = { template: null, financial: [], business: [] };
+        this.reviewedFields.clear();
         
         // Reset file inputs
         ['templateFile', 'financialFile', 'businessFile'].forEach(id => {
@@ -626,15 +1583,30 @@ class UIController {
         });
         
         // Hide file info
-        ['templateFileInfo', 'financialFileInfo', 'businessFileInfo'].forEach(id => {
+        ['templateFileInfo', 'financialFileInfo', 'businessFileInfo', 'businessConflicts', 'companyFieldIssues', 'ratioSection'].forEach(id => {
             const element = document.getElementById(id);
             if (element) element.classList.add('hidden');
         });
+        ['financialUnitList', 'businessPageList', 'shareholdersTable', 'personnelTable', 'actualControllerBasis', 'ratioTable', 'benchmarkTable', 'benchmarkInfo'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.innerHTML = '';
+        });
+        this.derivedOwnership = {};
+        this.rawCompanyValues = {};
+        this.confirmedIssues.clear();
         
         // Reset forms
         document.querySelectorAll('input[type="text"], input[type="date"], textarea, select').forEach(el => {
             el.value = '';
         });
+        document.getElementById('registeredCapitalCurrency').value = '人民币';
+        
+        this.resetCaseId();
+        
+        // Clear Step 3 generation status badges
+        document.querySelectorAll('.ai-generate-btn').forEach(btn => {
+            document.getElementById(`${btn.dataset.field}-status`)?.remove();
+        });
         
         // Hide generation result
         document.getElementById('generationResult')?.classList.add('hidden');
@@ -749,6 +1721,85 @@ class UIController {
         if (modal) modal.classList.add('hidden');
     }
 
+    /**
+     * Open the settings modal, refreshing the provider list from the proxy
+     */
+    async openSettings() {
+        this.loadSettings();
+        this.openModal('settingsModal');
+        this.showUsageSummary();
+
+        const registry = await apiService.fetchProviders();
+        if (!registry) return;
+
+        const config = apiService.getConfig();
+        ['text', 'vision'].forEach(capability => {
+            const select = document.getElementById(`${capability}Provider`);
+            if (!select) return;
+
+            const options = registry.providers.filter(p => p.capabilities.includes(capability));
+            select.innerHTML = '<option value="">服务端默认</option>' + options.map(p => `
+                <option value="${p.id}">${p.name}${p.id === registry.defaults[capability] ? '（默认）' : ''}</option>
+            `).join('');
+            select.value = config[`${capability}Provider`] || '';
+
+            this.populateModelOptions(capability, config[`${capability}Model`]);
+        });
+    }
+
+    /**
+     * Show current-month spend and budget in the settings modal
+     */
+    async showUsageSummary() {
+        const panel = document.getElementById('usageSummary');
+        if (!panel) return;
+
+        const usage = await apiService.fetchUsage();
+        if (!usage) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const { month, currency } = usage;
+        const monthTotals = Object.entries(usage.byDay)
+            .filter(([day]) => day.startsWith(month.month))
+            .reduce((sum, [, totals]) => ({
+                requests: sum.requests + totals.requests,
+                tokens: sum.tokens + totals.totalTokens
+            }), { requests: 0, tokens: 0 });
+        const format = (value) => `${value.toFixed(2)} ${currency}`;
+        const exceeded = month.exceeded ? '<span class="text-danger font-medium">（已超出预算，AI 调用将被拒绝）</span>' : '';
+
+        panel.innerHTML = `
+            <i class="fa fa-bar-chart text-primary-500"></i>
+            本月（${month.month}）已用 <span class="font-medium text-gray-800">${format(month.spent)}</span>
+            ${month.budget !== null ? ` / 预算 ${format(month.budget)}${exceeded}` : ''}
+            <div class="text-xs text-gray-500 mt-1">调用 ${monthTotals.requests} 次，共 ${monthTotals.tokens.toLocaleString()} tokens（缓存命中不计费用）</div>
+        `;
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * Fill the model select for the currently selected provider
+     * @param {string} capability - 'text' or 'vision'
+     * @param {string} [selectedModel] - Model to preselect
+     */
+    populateModelOptions(capability, selectedModel = '') {
+        const providerSelect = document.getElementById(`${capability}Provider`);
+        const modelSelect = document.getElementById(`${capability}Model`);
+        const registry = apiService.providers;
+        if (!providerSelect || !modelSelect || !registry) return;
+
+        const providerId = providerSelect.value || registry.defaults[capability];
+        const provider = registry.providers.find(p => p.id === providerId);
+        const models = provider ? provider.models : [];
+
+        modelSelect.innerHTML = '<option value="">默认模型</option>' + models.map(m => `
+            <option value="${m}">${m}</option>
+        `).join('');
+        modelSelect.value = models.includes(selectedModel) ? selectedModel : '';
+    }
+
     /**
      * Load settings from localStorage
      */
@@ -762,6 +1813,14 @@ class UIController {
         if (deepseekInput) deepseekInput.value = config.deepseekApiKey || '';
         if (siliconflowInput) siliconflowInput.value = config.siliconflowApiKey || '';
         if (proxyInput) proxyInput.value = config.proxyServer || 'http://localhost:3000';
+
+        const unitSelect = document.getElementById('reportingUnit');
+        if (unitSelect) unitSelect.value = config.reportingUnit;
+
+        const ocrEngineSelect = document.getElementById('ocrEngine');
+        if (ocrEngineSelect) ocrEngineSelect.value = config.ocrEngine;
+        fileParser.setReportingUnit(config.reportingUnit);
+        this.updateAmountUnitLabels();
     }
 
     /**
@@ -772,11 +1831,32 @@ class UIController {
         const siliconflowKey = document.getElementById('siliconflowApiKey')?.value || '';
         const proxyServer = document.getElementById('proxyServer')?.value || 'http://localhost:3000';
         
-        apiService.updateConfig({
+        const reportingUnit = document.getElementById('reportingUnit')?.value || '万元';
+        const unitChanged = reportingUnit !== fileParser.reportingUnit;
+        
+        const config = {
             deepseekApiKey: deepseekKey,
             siliconflowApiKey: siliconflowKey,
-            proxyServer: proxyServer
-        });
+            proxyServer: proxyServer,
+            reportingUnit: reportingUnit,
+            ocrEngine: document.getElementById('ocrEngine')?.value || ''
+        };
+
+        // Provider selects are only meaningful once the registry has been loaded
+        if (apiService.providers) {
+            ['textProvider', 'textModel', 'visionProvider', 'visionModel'].forEach(id => {
+                config[id] = document.getElementById(id)?.value || '';
+            });
+        }
+
+        apiService.updateConfig(config);
+        fileParser.setReportingUnit(reportingUnit);
+        this.updateAmountUnitLabels();
+
+        // Amounts already in the form were converted to the old unit
+        if (unitChanged && this.currentStep >= 2 && fileParser.financialData) {
+            this.populateStep2Form();
+        }
         
         this.closeModal('settingsModal');
         this.showToast('设置已保存', 'success');
@@ -0,0 +1,200 @@
+/**
+ * Audit Log
+ * Appends every chat and OCR call to a rotating JSONL log so that the prompt behind any
+ * sentence of a credit report can be reconstructed, and answers queries over that log
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+const CSV_COLUMNS = [
+    'timestamp', 'caseId', 'section', 'kind', 'source', 'provider', 'model', 'status',
+    'latencyMs', 'promptTokens', 'completionTokens', 'totalTokens', 'prompt', 'response', 'redactionMapping', 'error'
+];
+
+/**
+ * Whether audit logging is enabled (AUDIT=0 turns it off)
+ * @returns {boolean}
+ */
+export function isAuditEnabled() {
+    return !['0', 'false', 'off', 'no'].includes(String(process.env.AUDIT ?? '1').toLowerCase());
+}
+
+function auditDir() {
+    return process.env.AUDIT_DIR
+        ? path.resolve(process.env.AUDIT_DIR)
+        : path.join(__dirname, 'audit');
+}
+
+function maxBytes() {
+    const value = Number(process.env.AUDIT_MAX_BYTES);
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_BYTES;
+}
+
+/**
+ * Replace inline image payloads with their hash so the log never stores images
+ * @param {Array} messages - Chat messages
+ * @returns {Array} - Messages safe to log
+ */
+export function hashImages(messages) {
+    return (messages || []).map(message => {
+        if (!Array.isArray(message.content)) return message;
+
+        return {
+            ...message,
+            content: message.content.map(part => {
+                if (part.type !== 'image_url') return part;
+                const url = part.image_url?.url || '';
+                return {
+                    type: 'image_url',
+                    image_url: {
+                        sha256: crypto.createHash('sha256').update(url).digest('hex'),
+                        bytes: url.length
+                    }
+                };
+            })
+        };
+    });
+}
+
+/**
+ * File the next entry goes to: one file per day, with a numeric suffix once a day's
+ * file exceeds AUDIT_MAX_BYTES (audit-2025-01-31.jsonl, audit-2025-01-31.1.jsonl, ...)
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string} - File path
+ */
+function currentFile(day) {
+    const dir = auditDir();
+    for (let index = 0; ; index++) {
+        const file = path.join(dir, index === 0 ? `audit-${day}.jsonl` : `audit-${day}.${index}.jsonl`);
+        if (!fs.existsSync(file) || fs.statSync(file).size < maxBytes()) {
+            return file;
+        }
+    }
+}
+
+/**
+ * Append one call to the audit log
+ * @param {Object} entry - caseId, section, kind, source, provider, model, status,
+ *   latencyMs, usage, messages, response, redactions, redactionMapping, error
+ */
+export function writeAuditEntry(entry) {
+    if (!isAuditEnabled()) return;
+
+    const timestamp = new Date();
+    const record = {
+        timestamp: timestamp.toISOString(),
+        ...entry,
+        messages: hashImages(entry.messages)
+    };
+
+    try {
+        fs.mkdirSync(auditDir(), { recursive: true });
+        fs.appendFileSync(currentFile(timestamp.toISOString().slice(0, 10)), JSON.stringify(record) + '\n');
+    } catch (error) {
+        console.error('Failed to write audit entry:', error.message);
+    }
+}
+
+/**
+ * Query the audit log
+ * @param {Object} filters
+ * @param {string} [filters.caseId] - Exact case identifier
+ * @param {string} [filters.section] - Exact section name
+ * @param {string} [filters.from] - Inclusive start (ISO date or datetime)
+ * @param {string} [filters.to] - Inclusive end (ISO date or datetime; a bare date covers the whole day)
+ * @param {number} [filters.limit] - Maximum entries, newest first
+ * @returns {Array} - Matching entries, newest first
+ */
+export function queryAudit({ caseId, section, from, to, limit } = {}) {
+    const dir = auditDir();
+    if (!fs.existsSync(dir)) return [];
+
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    const toTime = to ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : Infinity;
+    const fromDay = from ? String(from).slice(0, 10) : '';
+    const toDay = to ? String(to).slice(0, 10) : '9999-99-99';
+
+    const files = fs.readdirSync(dir)
+        .filter(name => /^audit-\d{4}-\d{2}-\d{2}(\.\d+)?\.jsonl$/.test(name))
+        .filter(name => {
+            const day = name.slice(6, 16);
+            return day >= fromDay && day <= toDay;
+        })
+        .sort();
+
+    const results = [];
+    for (const name of files) {
+        const lines = fs.readFileSync(path.join(dir, name), 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                continue;
+            }
+            const time = Date.parse(entry.timestamp);
+            if (caseId && entry.caseId !== caseId) continue;
+            if (section && entry.section !== section) continue;
+            if (time < fromTime || time > toTime) continue;
+            results.push(entry);
+        }
+    }
+
+    results.reverse();
+    return limit ? results.slice(0, limit) : results;
+}
+
+/**
+ * Flatten chat messages into readable prompt text
+ * @param {Array} messages - Logged messages
+ * @returns {string}
+ */
+function promptText(messages) {
+    return (messages || []).map(message => {
+        const content = Array.isArray(message.content)
+            ? message.content.map(part => part.type === 'image_url' ? `[image sha256:${part.image_url.sha256}]` : part.text).join('\n')
+            : message.content;
+        return `[${message.role}] ${content}`;
+    }).join('\n');
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render audit entries as CSV (with a BOM so Excel opens the Chinese text correctly)
+ * @param {Array} entries - Audit entries
+ * @returns {string} - CSV text
+ */
+export function auditToCsv(entries) {
+    const rows = entries.map(entry => [
+        entry.timestamp,
+        entry.caseId,
+        entry.section,
+        entry.kind,
+        entry.source,
+        entry.provider,
+        entry.model,
+        entry.status,
+        entry.latencyMs,
+        entry.usage?.prompt_tokens,
+        entry.usage?.completion_tokens,
+        entry.usage?.total_tokens,
+        promptText(entry.messages),
+        entry.response,
+        entry.redactionMapping ? JSON.stringify(entry.redactionMapping) : '',
+        entry.error
+    ].map(csvCell).join(','));
+
+    return '\uFEFF' + [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
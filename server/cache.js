@@ -0,0 +1,164 @@
+/**
+ * Response Cache
+ * Disk-backed cache for chat and OCR completions, keyed by a hash of provider, model,
+ * messages and generation parameters
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 3600;
+
+// Counters since process start; entry counts come from disk
+const counters = { hits: 0, misses: 0, writes: 0 };
+
+/**
+ * Whether caching is enabled (CACHE=0 turns it off)
+ * @returns {boolean}
+ */
+export function isCacheEnabled() {
+    return !['0', 'false', 'off', 'no'].includes(String(process.env.CACHE ?? '1').toLowerCase());
+}
+
+function cacheDir() {
+    return process.env.CACHE_DIR
+        ? path.resolve(process.env.CACHE_DIR)
+        : path.join(__dirname, 'cache');
+}
+
+function ttlMs() {
+    const seconds = Number(process.env.CACHE_TTL_SECONDS);
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_TTL_SECONDS) * 1000;
+}
+
+function entryPath(key) {
+    return path.join(cacheDir(), key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Compute the cache key of a request. Streaming options are excluded so that a streamed
+ * and a non-streamed request for the same prompt share an entry.
+ * @param {string} kind - 'chat' or 'ocr'
+ * @param {string} providerId - Provider id
+ * @param {Object} body - Request body sent upstream (model, messages, parameters)
+ * @returns {string} - Hex digest
+ */
+export function cacheKey(kind, providerId, body) {
+    const { stream, stream_options, ...params } = body;
+    const keys = Object.keys(params).sort();
+    const normalized = JSON.stringify([kind, providerId, keys.map(k => [k, params[k]])]);
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Read a cache entry
+ * @param {string} key - Cache key
+ * @returns {Object|null} - { content, model, usage, createdAt } or null on miss/expiry
+ */
+export function getCached(key) {
+    const file = entryPath(key);
+
+    try {
+        const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (Date.now() - entry.createdAt > ttlMs()) {
+            fs.rmSync(file, { force: true });
+            counters.misses++;
+            return null;
+        }
+        counters.hits++;
+        return entry;
+    } catch {
+        counters.misses++;
+        return null;
+    }
+}
+
+/**
+ * Write a cache entry
+ * @param {string} key - Cache key
+ * @param {Object} entry - { kind, content, model, usage }
+ */
+export function setCached(key, entry) {
+    const file = entryPath(key);
+
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({ ...entry, createdAt: Date.now() }));
+        counters.writes++;
+    } catch (error) {
+        console.error('Failed to write cache entry:', error.message);
+    }
+}
+
+/**
+ * Visit every entry file in the cache directory
+ * @param {Function} visit - Called with (file, stat)
+ */
+function walkEntries(visit) {
+    const root = cacheDir();
+    if (!fs.existsSync(root)) return;
+
+    for (const shard of fs.readdirSync(root)) {
+        const shardDir = path.join(root, shard);
+        if (!fs.statSync(shardDir).isDirectory()) continue;
+
+        for (const name of fs.readdirSync(shardDir)) {
+            if (!name.endsWith('.json')) continue;
+            const file = path.join(shardDir, name);
+            visit(file, fs.statSync(file));
+        }
+    }
+}
+
+/**
+ * Cache statistics
+ * @returns {Object} - Entry counts, size on disk and hit/miss counters
+ */
+export function cacheStats() {
+    const stats = { enabled: isCacheEnabled(), ttlSeconds: ttlMs() / 1000, entries: 0, expired: 0, bytes: 0, byKind: {} };
+    const now = Date.now();
+
+    walkEntries((file, stat) => {
+        stats.entries++;
+        stats.bytes += stat.size;
+        try {
+            const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+            stats.byKind[entry.kind] = (stats.byKind[entry.kind] || 0) + 1;
+            if (now - entry.createdAt > ttlMs()) stats.expired++;
+        } catch {
+            stats.expired++;
+        }
+    });
+
+    return { ...stats, ...counters };
+}
+
+/**
+ * Remove cache entries
+ * @param {Object} [options]
+ * @param {boolean} [options.expiredOnly=false] - Only remove entries past their TTL
+ * @returns {number} - Number of entries removed
+ */
+export function purgeCache({ expiredOnly = false } = {}) {
+    let removed = 0;
+    const now = Date.now();
+
+    walkEntries((file) => {
+        if (expiredOnly) {
+            try {
+                const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+                if (now - entry.createdAt <= ttlMs()) return;
+            } catch {
+                // Unreadable entries are treated as expired
+            }
+        }
+        fs.rmSync(file, { force: true });
+        removed++;
+    });
+
+    return removed;
+}
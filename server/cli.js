@@ -0,0 +1,428 @@
+#!/usr/bin/env node
+/**
+ * Batch Report CLI
+ * Generates one credit report per case directory with the same FileParser, ApiService and
+ * TemplateEngine the browser uses. AI calls go through the proxy server, so redaction,
+ * caching, audit and budget rules apply exactly as in the UI.
+ *
+ * Usage: ai-bank-pi generate --template <docx> --out <dir> --case-dir <dir> [--case-dir <dir> ...]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { createRequire } from 'module';
+import XLSX from 'xlsx';
+import PizZip from 'pizzip';
+import Docxtemplater from 'docxtemplater';
+
+const require = createRequire(import.meta.url);
+const pdfjsLib = require('pdfjs-dist/build/pdf.js');
+const { FileParser, AMOUNT_UNITS } = require('../js/fileParser.js');
+const { ApiService } = require('../js/apiService.js');
+const { LocalOcr } = require('../js/localOcr.js');
+const { TemplateEngine } = require('../js/templateEngine.js');
+const { loadBenchmarkData } = require('../js/industryBenchmarks.js');
+
+const USAGE = `用法:
+  ai-bank-pi generate --template <模板.docx> --out <输出目录> --case-dir <案件目录> [--case-dir <案件目录> ...]
+
+案件目录中可包含:
+  *.xls / *.xlsx         财务报表（每年一个文件，或一个工作簿含多年；报表期间从表头日期识别）
+  *.pdf                  PDF财务报表（仅读取文字层；扫描件请在页面中上传识别）
+  *.jpg / *.jpeg / *.png 工商信息截图，可多张（文件名含“股东”“主要人员”“变更”“对外投资”时按该页识别），合并为一份企业信息
+  case.json              手工补充或覆盖的字段（如 creditType、creditAmount；confirmedFields 确认未通过校验的字段；benchmarkIndustryKey 指定对标行业）
+
+选项:
+  --template <file>      报告模板（必填）
+  --out <dir>            输出目录（必填）
+  --case-dir <dir>       案件目录，可重复；也可直接在末尾列出多个目录
+  --proxy <url>          代理服务器地址（默认 $PROXY_URL 或 http://localhost:3000）
+  --text-provider <id>   文本模型服务（默认使用代理服务器的默认配置）
+  --vision-provider <id> 视觉模型服务
+  --unit <unit>          报告金额单位：元、千元、万元、百万元、亿元（默认万元）
+  --benchmarks <file>    企业绩效评价标准值（JSON，格式同 js/industryBenchmarks.js；默认 $BENCHMARKS_FILE，
+                         未提供时内置示例数据不参与行业对标评价）
+  --no-ai                不调用模型生成正文
+  --no-ocr               不识别工商信息截图
+  --local-ocr            用本地OCR（tesseract.js）识别工商信息截图，不调用视觉模型
+  --verbose              输出解析过程日志
+  --help                 显示帮助
+
+退出码: 0 全部成功；1 有案件缺少必填字段、校验未通过或生成失败；2 参数错误`;
+
+const COMPANY_FIELDS = {
+    companyName: '企业名称',
+    creditCode: '统一社会信用代码',
+    legalRep: '法定代表人',
+    registeredCapital: '注册资本',
+    establishDate: '成立日期',
+    industry: '所属行业',
+    registeredAddress: '注册地址',
+    businessScope: '经营范围',
+    companySize: '企业规模',
+    employeeCount: '员工人数',
+    actualController: '实际控制人'
+};
+
+const FINANCIAL_FIELDS = {
+    totalAssetsEnd: '资产总额（本期末）',
+    totalLiabilitiesEnd: '负债总额（本期末）',
+    ownerEquityEnd: '所有者权益（本期末）',
+    revenueCurrent: '营业收入（本期）',
+    netProfitCurrent: '净利润（本期）',
+    debtRatioEnd: '资产负债率（本期末）',
+    operatingCashFlowCurrent: '经营活动现金流量净额（本期）',
+    endingCashCurrent: '期末现金余额（本期末）'
+};
+
+const TEXT_FIELDS = {
+    basicSituation: '1.1 企业基本情况',
+    controllerSituation: '1.2 实际控制人情况',
+    businessStatus: '2.1 经营状况',
+    marketAnalysis: '2.2 市场分析',
+    financialOverview: '3.1 财务状况概述',
+    financialIndicators: '3.2 关键财务指标分析',
+    creditRisk: '4.1 信用风险',
+    marketRisk: '4.2 市场风险',
+    overallEvaluation: '5.1 总体评价',
+    creditSuggestion: '5.2 授信建议'
+};
+
+// Fields marked * in Step 2 of the UI
+const REQUIRED_FIELDS = ['companyName', 'creditCode', 'legalRep', 'registeredCapital', 'establishDate', 'industry', 'registeredAddress'];
+
+const STATEMENT_PATTERN = /\.(xlsx?|pdf)$/i;
+const IMAGE_PATTERN = /\.(jpe?g|png)$/i;
+
+class UsageError extends Error {}
+
+// tesseract.js with the bundled chi_sim data; the worker starts on first use
+const localOcr = new LocalOcr({
+    Tesseract: require('tesseract.js'),
+    workerOptions: {
+        langPath: path.join(path.dirname(require.resolve('@tesseract.js-data/chi_sim/package.json')), '4.0.0_best_int'),
+        // The data is already on disk; do not copy it into the working directory
+        cacheMethod: 'none'
+    }
+});
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            template: { type: 'string' },
+            out: { type: 'string' },
+            'case-dir': { type: 'string', multiple: true },
+            proxy: { type: 'string' },
+            'text-provider': { type: 'string' },
+            'vision-provider': { type: 'string' },
+            unit: { type: 'string' },
+            benchmarks: { type: 'string' },
+            'no-ai': { type: 'boolean' },
+            'no-ocr': { type: 'boolean' },
+            'local-ocr': { type: 'boolean' },
+            verbose: { type: 'boolean' },
+            help: { type: 'boolean' }
+        }
+    });
+
+    const [command, ...extraDirs] = positionals;
+    if (values.help || !command) {
+        return { help: true };
+    }
+    if (command !== 'generate') {
+        throw new UsageError(`未知命令: ${command}`);
+    }
+
+    const caseDirs = [...(values['case-dir'] || []), ...extraDirs];
+    if (!values.template) throw new UsageError('缺少 --template');
+    if (!values.out) throw new UsageError('缺少 --out');
+    if (caseDirs.length === 0) throw new UsageError('至少需要一个 --case-dir');
+    if (values.unit && !AMOUNT_UNITS[values.unit]) throw new UsageError(`不支持的金额单位: ${values.unit}`);
+
+    return {
+        template: path.resolve(values.template),
+        out: path.resolve(values.out),
+        caseDirs: caseDirs.map(dir => path.resolve(dir)),
+        proxy: values.proxy || process.env.PROXY_URL || 'http://localhost:3000',
+        textProvider: values['text-provider'] || '',
+        visionProvider: values['vision-provider'] || '',
+        unit: values.unit || '万元',
+        benchmarks: values.benchmarks || process.env.BENCHMARKS_FILE || '',
+        ai: !values['no-ai'],
+        ocr: !values['no-ocr'],
+        localOcr: Boolean(values['local-ocr']),
+        verbose: Boolean(values.verbose)
+    };
+}
+
+/**
+ * Wrap a file on disk in a File, which is what the browser modules expect
+ * @param {string} file - Path
+ * @returns {File}
+ */
+function toFile(file) {
+    return new File([fs.readFileSync(file)], path.basename(file));
+}
+
+function imageDataUrl(file) {
+    const mime = /\.png$/i.test(file) ? 'image/png' : 'image/jpeg';
+    return `data:${mime};base64,${fs.readFileSync(file).toString('base64')}`;
+}
+
+function isFilled(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Build the report for one case directory
+ * @param {string} caseDir - Case directory
+ * @param {Object} options - Parsed command line
+ * @param {ApiService} apiService - Configured API client
+ * @param {Buffer} templateBuffer - Template contents
+ * @returns {Promise<Object>} - { caseId, data, errors, outputFile, files }
+ */
+async function generateCase(caseDir, options, apiService, templateBuffer) {
+    const overridesFile = path.join(caseDir, 'case.json');
+    const overrides = fs.existsSync(overridesFile) ? JSON.parse(fs.readFileSync(overridesFile, 'utf8')) : {};
+
+    // Every upstream call of the case, OCR included, is audited under its case id
+    const caseId = overrides.caseId || path.basename(caseDir);
+    apiService.caseId = caseId;
+
+    const names = fs.readdirSync(caseDir).sort();
+    const statementFiles = names.filter(name => STATEMENT_PATTERN.test(name) && !name.startsWith('~$'));
+    const images = names.filter(name => IMAGE_PATTERN.test(name));
+    const errors = {};
+
+    const fileParser = new FileParser({
+        XLSX,
+        pdfjsLib,
+        pdfCMapUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'cmaps') + path.sep,
+        reportingUnit: options.unit,
+        // The shared modules log every parsing step for the browser console
+        quiet: !options.verbose
+    });
+    await fileParser.parseExcelFiles(statementFiles.map(name => toFile(path.join(caseDir, name))));
+
+    if (images.length > 0 && options.ocr) {
+        const pages = [];
+        const failures = [];
+        for (const image of images) {
+            const imagePath = path.join(caseDir, image);
+            const pageType = fileParser.detectBusinessPageType(image);
+            try {
+                const info = options.localOcr
+                    ? fileParser.parseBusinessInfoFromText(await localOcr.recognize(fs.readFileSync(imagePath)), pageType)
+                    : fileParser.parseBusinessInfo(await apiService.callOCR(imageDataUrl(imagePath), pageType));
+                pages.push({ fileName: image, pageType, info });
+            } catch (error) {
+                failures.push(`${image}：${error.message}`);
+            }
+        }
+        fileParser.mergeBusinessInfo(pages);
+        if (failures.length > 0) {
+            errors.businessInfo = `OCR识别失败：${failures.join('；')}`;
+        }
+    }
+
+    // Fields set in case.json need no choice between screenshots
+    const conflicts = Object.fromEntries(
+        Object.entries(fileParser.getBusinessConflicts()).filter(([field]) => !(field in overrides))
+    );
+    const businessInfo = Object.fromEntries(
+        Object.entries(fileParser.getBusinessInfo()).filter(([, value]) => isFilled(value))
+    );
+    const data = {
+        caseId,
+        ...businessInfo,
+        // Controlling shareholder and actual controller, from the shareholders in case.json when given
+        ...fileParser.getOwnershipSummary({ ...businessInfo, ...overrides }),
+        ...fileParser.getFinancialSummary(),
+        ...fileParser.getStatementTables(),
+        ...fileParser.getFinancialRatios(),
+        ...fileParser.getTrendData(),
+        reportTitle: '企业授信调查报告',
+        ...overrides
+    };
+
+    // Industry benchmark grading; case.json may pick the benchmark industry with "benchmarkIndustryKey"
+    Object.assign(data, fileParser.getBenchmarkComparison(data));
+
+    // Same checks as Step 2; case.json confirms a value with "confirmedFields": ["creditCode", ...]
+    const issues = fileParser.validateBusinessInfo(data)
+        .filter(issue => !(overrides.confirmedFields || []).includes(issue.field));
+    const establishDate = fileParser.normalizeDate(data.establishDate);
+    if (establishDate) data.establishDate = establishDate;
+    const capital = fileParser.parseRegisteredCapital(data.registeredCapital);
+    if (capital) {
+        data.registeredCapital = fileParser.formatRegisteredCapital(capital);
+        data.registeredCapitalAmount = capital.amount;
+        data.registeredCapitalCurrency = capital.currency;
+    }
+
+    if (options.ai) {
+        const generated = await apiService.generateAllContent(data);
+        Object.assign(data, generated.results, overrides);
+        Object.assign(errors, generated.errors);
+    }
+
+    const engine = new TemplateEngine({ Docxtemplater, outputType: 'nodebuffer', quiet: !options.verbose });
+    const output = engine.generateDocument(new PizZip(templateBuffer), data);
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const outputFile = path.join(options.out, `${data.companyName || caseId}_授信调查报告_${date}.docx`);
+    fs.writeFileSync(outputFile, output);
+
+    return { caseId, data, errors, outputFile, files: fileParser.getFileUnits(), conflicts, issues };
+}
+
+/**
+ * Terminal width of a string (CJK characters take two columns)
+ * @param {string} text
+ * @returns {number}
+ */
+function displayWidth(text) {
+    let width = 0;
+    for (const char of text) {
+        width += /[\u1100-\uFFEF]/.test(char) ? 2 : 1;
+    }
+    return width;
+}
+
+function pad(text, width) {
+    return text + ' '.repeat(Math.max(0, width - displayWidth(text)));
+}
+
+function preview(value, max = 30) {
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text.length > max ? `${text.slice(0, max)}…` : text;
+}
+
+/**
+ * Print the filled/missing table of a case
+ * @param {Object} result - Output of generateCase
+ * @returns {Array<string>} - Missing required fields
+ */
+function printSummary(result) {
+    const { caseId, data, errors, outputFile, files, conflicts, issues } = result;
+    const rows = [];
+    const groups = [['企业信息', COMPANY_FIELDS], ['财务数据', FINANCIAL_FIELDS], ['报告正文', TEXT_FIELDS]];
+
+    for (const [group, fields] of groups) {
+        for (const [field, label] of Object.entries(fields)) {
+            const filled = isFilled(data[field]);
+            const required = REQUIRED_FIELDS.includes(field);
+            rows.push([
+                group,
+                label + (required ? ' *' : ''),
+                filled ? '已填' : required ? '缺失' : '未填',
+                filled ? preview(data[field]) : errors[field] || ''
+            ]);
+        }
+    }
+
+    const widths = [0, 1, 2].map(i => Math.max(...rows.map(row => displayWidth(row[i]))));
+    console.info(`\n案件 ${caseId} → ${outputFile}`);
+    for (const file of files) {
+        const source = file.detectedUnit ? '表头识别' : '未识别，按元处理';
+        const period = file.period ? `${file.period.label}，` : '';
+        console.info(`  ${file.name}: ${period}单位 ${file.unit}（${source}），已换算为${data.amountUnit}`);
+    }
+    for (const row of rows) {
+        console.info(`  ${row.slice(0, 3).map((cell, i) => pad(cell, widths[i])).join('  ')}  ${row[3]}`);
+    }
+    if (errors.businessInfo) {
+        console.info(`  ${errors.businessInfo}`);
+    }
+    // Without a UI to choose, the value of the first screenshot (基本信息 first) is used
+    for (const [field, candidates] of Object.entries(conflicts)) {
+        const values = candidates.map(candidate => `${candidate.value}（${candidate.fileNames.join('、')}）`).join(' / ');
+        console.info(`  ⚠ ${COMPANY_FIELDS[field] || field}在各截图中不一致：${values}，已采用第一个，请用 case.json 确认`);
+    }
+    for (const issue of issues) {
+        const suggestion = issue.suggestions.length > 0 ? `，可能为 ${issue.suggestions.join(' / ')}` : '';
+        console.info(`  ⚠ ${issue.message}${suggestion}`);
+    }
+
+    return REQUIRED_FIELDS.filter(field => !isFilled(data[field]));
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseCommandLine(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.info(USAGE);
+        return 0;
+    }
+
+    if (!fs.existsSync(options.template)) {
+        console.error(`模板不存在: ${options.template}`);
+        return 2;
+    }
+    const missingDirs = options.caseDirs.filter(dir => !fs.existsSync(dir) || !fs.statSync(dir).isDirectory());
+    if (missingDirs.length > 0) {
+        console.error(`案件目录不存在: ${missingDirs.join(', ')}`);
+        return 2;
+    }
+    if (options.benchmarks) {
+        try {
+            loadBenchmarkData(JSON.parse(fs.readFileSync(options.benchmarks, 'utf8')));
+        } catch (error) {
+            console.error(`无法读取标准值文件 ${options.benchmarks}: ${error.message}`);
+            return 2;
+        }
+    }
+    fs.mkdirSync(options.out, { recursive: true });
+
+    const apiService = new ApiService();
+    apiService.updateConfig({
+        proxyServer: options.proxy,
+        textProvider: options.textProvider,
+        visionProvider: options.visionProvider
+    });
+
+    if (options.ai || (options.ocr && !options.localOcr)) {
+        if (!await apiService.healthCheck()) {
+            console.error(`无法连接代理服务器 ${options.proxy}，请先启动 (cd server && npm start)，或使用 --no-ai --no-ocr / --local-ocr`);
+            return 2;
+        }
+        await apiService.fetchProviders();
+    }
+
+    const templateBuffer = fs.readFileSync(options.template);
+    let failed = 0;
+
+    for (const caseDir of options.caseDirs) {
+        try {
+            const result = await generateCase(caseDir, options, apiService, templateBuffer);
+            const missing = printSummary(result);
+            if (missing.length > 0 || result.issues.length > 0) {
+                failed++;
+                if (missing.length > 0) {
+                    console.info(`  ✗ 缺少必填字段: ${missing.map(field => COMPANY_FIELDS[field]).join('、')}`);
+                }
+                if (result.issues.length > 0) {
+                    console.info(`  ✗ 校验未通过: ${result.issues.map(issue => COMPANY_FIELDS[issue.field]).join('、')}（请在 case.json 中更正，或在 confirmedFields 中确认）`);
+                }
+            } else {
+                console.info('  ✓ 必填字段完整');
+            }
+        } catch (error) {
+            failed++;
+            console.error(`\n案件 ${path.basename(caseDir)} 生成失败: ${error.message}`);
+        }
+    }
+
+    await localOcr.terminate();
+    console.info(`\n完成 ${options.caseDirs.length - failed}/${options.caseDirs.length} 个案件`);
+    return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = await main();
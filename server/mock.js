@@ -0,0 +1,97 @@
+/**
+ * Mock / Record Mode
+ * Serves deterministic fixture responses instead of calling upstream providers (MOCK=1),
+ * or captures real upstream responses as fixtures (MOCK=record)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Current mock mode from the MOCK environment variable
+ * @returns {string} - 'replay', 'record' or '' (off)
+ */
+export function getMockMode() {
+    const value = String(process.env.MOCK || '').toLowerCase();
+    if (value === 'record') return 'record';
+    if (['1', 'true', 'yes', 'replay'].includes(value)) return 'replay';
+    return '';
+}
+
+function fixturesDir() {
+    return process.env.FIXTURES_DIR
+        ? path.resolve(process.env.FIXTURES_DIR)
+        : path.join(__dirname, 'fixtures');
+}
+
+/**
+ * Stable hash of a prompt; the model is left out so fixtures survive switching providers
+ * @param {Array} messages - Chat messages
+ * @returns {string} - 16 hex characters
+ */
+export function promptHash(messages) {
+    return crypto.createHash('sha256').update(JSON.stringify(messages || [])).digest('hex').slice(0, 16);
+}
+
+/**
+ * Find the canned response for a request.
+ * Lookup order: exact prompt hash, then section name, then the kind's default.
+ * @param {string} kind - 'chat' or 'ocr'
+ * @param {string} section - Section name from the X-Section header (may be empty)
+ * @param {Array} messages - Chat messages
+ * @returns {string|null} - Fixture content, or null if nothing matches
+ */
+export function findFixture(kind, section, messages) {
+    const dir = path.join(fixturesDir(), kind);
+    const safeSection = section ? section.replace(/[^\w-]/g, '') : '';
+    const candidates = [
+        `${promptHash(messages)}.json`,
+        safeSection && `${safeSection}.txt`,
+        safeSection && `${safeSection}.json`,
+        'default.txt'
+    ].filter(Boolean);
+
+    for (const name of candidates) {
+        const file = path.join(dir, name);
+        if (!fs.existsSync(file)) continue;
+
+        const raw = fs.readFileSync(file, 'utf8');
+        // Recorded fixtures wrap the content with metadata; hand-written ones are the content itself
+        if (name.endsWith('.json') && name !== `${safeSection}.json`) {
+            return JSON.parse(raw).content;
+        }
+        return raw.trim();
+    }
+
+    return null;
+}
+
+/**
+ * Save a real upstream response as a prompt-hash fixture
+ * @param {string} kind - 'chat' or 'ocr'
+ * @param {string} section - Section name (kept for readability)
+ * @param {Array} messages - Chat messages the response belongs to
+ * @param {string} content - Assistant content
+ * @param {string} model - Model that produced it
+ */
+export function recordFixture(kind, section, messages, content, model) {
+    const dir = path.join(fixturesDir(), kind);
+    const hash = promptHash(messages);
+
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, `${hash}.json`), JSON.stringify({
+            section: section || null,
+            model,
+            recordedAt: new Date().toISOString(),
+            content
+        }, null, 2));
+        console.log(`Recorded ${kind} fixture ${hash}${section ? ` (${section})` : ''}`);
+    } catch (error) {
+        console.error('Failed to record fixture:', error.message);
+    }
+}
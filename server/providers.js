@@ -0,0 +1,263 @@
+/**
+ * LLM Provider Registry
+ * Resolves which OpenAI-compatible backend (cloud or on-premises) serves a request
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Built-in providers; anything in providers.json or the environment is merged on top.
+// Prices are per million tokens in USAGE_CURRENCY (list prices at the time of writing;
+// override them in providers.json when the contract price differs).
+const BUILTIN_PROVIDERS = {
+    deepseek: {
+        name: 'DeepSeek',
+        baseUrl: 'https://api.deepseek.com',
+        model: 'deepseek-chat',
+        models: ['deepseek-chat', 'deepseek-reasoner'],
+        capabilities: ['text'],
+        apiKeyEnv: 'DEEPSEEK_API_KEY',
+        prices: {
+            'deepseek-chat': { input: 2, output: 3 },
+            'deepseek-reasoner': { input: 2, output: 3 }
+        }
+    },
+    siliconflow: {
+        name: '硅基流动 SiliconFlow',
+        baseUrl: 'https://api.siliconflow.cn/v1',
+        model: 'Qwen/Qwen3-VL-8B-Instruct',
+        models: ['Qwen/Qwen3-VL-8B-Instruct'],
+        capabilities: ['vision'],
+        apiKeyEnv: 'SILICONFLOW_API_KEY',
+        prices: {
+            'Qwen/Qwen3-VL-8B-Instruct': { input: 0.5, output: 2 }
+        }
+    }
+};
+
+const BUILTIN_DEFAULTS = {
+    text: 'deepseek',
+    vision: 'siliconflow'
+};
+
+/**
+ * Normalize a provider definition and fill in defaults
+ * @param {string} id - Provider id
+ * @param {Object} def - Raw definition from builtins, config file or env
+ * @returns {Object} - Normalized provider
+ */
+function normalizeProvider(id, def) {
+    const model = def.model || (def.models && def.models[0]) || '';
+    const models = Array.from(new Set([model, ...(def.models || [])].filter(Boolean)));
+    const apiKey = def.apiKey || (def.apiKeyEnv ? process.env[def.apiKeyEnv] : '') || '';
+
+    return {
+        id,
+        name: def.name || id,
+        baseUrl: String(def.baseUrl || '').replace(/\/+$/, ''),
+        model,
+        models,
+        capabilities: def.capabilities && def.capabilities.length ? def.capabilities : ['text'],
+        // Empty authHeader means the backend takes no credentials (typical for local servers)
+        authHeader: def.authHeader ?? 'Authorization',
+        authScheme: def.authScheme ?? 'Bearer',
+        apiKey,
+        // Undefined falls back to UPSTREAM_MAX_CONCURRENCY / UPSTREAM_MAX_RETRIES
+        maxConcurrency: readMaxConcurrency(id, def.maxConcurrency),
+        maxRetries: def.maxRetries !== undefined ? Number(def.maxRetries) : undefined,
+        // model -> { input, output } per million tokens; '*' applies to unlisted models
+        prices: def.prices || {}
+    };
+}
+
+/**
+ * Validate a provider's maxConcurrency; a limit below 1 would queue every request forever
+ * @param {string} id - Provider id
+ * @param {*} value - Raw value from the config file or env
+ * @returns {number|undefined} - The limit, or undefined to fall back to UPSTREAM_MAX_CONCURRENCY
+ */
+function readMaxConcurrency(id, value) {
+    if (value === undefined) return undefined;
+    const limit = Number(value);
+    if (Number.isFinite(limit) && limit >= 1) return limit;
+    console.warn(`Ignoring maxConcurrency ${JSON.stringify(value)} of provider ${id}: must be at least 1`);
+    return undefined;
+}
+
+/**
+ * Read provider definitions from PROVIDERS=a,b and PROVIDER_<ID>_* variables
+ * @returns {Object} - Map of provider id to partial definition
+ */
+function readEnvProviders() {
+    const ids = (process.env.PROVIDERS || '').split(',').map(s => s.trim()).filter(Boolean);
+    const result = {};
+
+    for (const id of ids) {
+        const prefix = `PROVIDER_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+        const env = (key) => process.env[prefix + key];
+        const def = {};
+
+        if (env('NAME')) def.name = env('NAME');
+        if (env('BASE_URL')) def.baseUrl = env('BASE_URL');
+        if (env('MODEL')) def.model = env('MODEL');
+        if (env('MODELS')) def.models = env('MODELS').split(',').map(s => s.trim()).filter(Boolean);
+        if (env('CAPABILITIES')) def.capabilities = env('CAPABILITIES').split(',').map(s => s.trim()).filter(Boolean);
+        if (env('AUTH_HEADER') !== undefined) def.authHeader = env('AUTH_HEADER');
+        if (env('AUTH_SCHEME') !== undefined) def.authScheme = env('AUTH_SCHEME');
+        if (env('API_KEY')) def.apiKey = env('API_KEY');
+        if (env('MAX_CONCURRENCY')) def.maxConcurrency = env('MAX_CONCURRENCY');
+        if (env('MAX_RETRIES')) def.maxRetries = env('MAX_RETRIES');
+        if (env('PRICE_INPUT') || env('PRICE_OUTPUT')) {
+            def.prices = { '*': { input: Number(env('PRICE_INPUT') || 0), output: Number(env('PRICE_OUTPUT') || 0) } };
+        }
+
+        result[id] = def;
+    }
+
+    return result;
+}
+
+/**
+ * Read the optional JSON config file (LLM_PROVIDERS_CONFIG, default server/providers.json)
+ * @returns {Object} - { providers, defaults }
+ */
+function readConfigFile() {
+    const configPath = process.env.LLM_PROVIDERS_CONFIG
+        ? path.resolve(process.env.LLM_PROVIDERS_CONFIG)
+        : path.join(__dirname, 'providers.json');
+
+    if (!fs.existsSync(configPath)) {
+        return { providers: {}, defaults: {} };
+    }
+
+    try {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        return { providers: config.providers || {}, defaults: config.defaults || {} };
+    } catch (error) {
+        console.error(`Failed to read provider config ${configPath}:`, error.message);
+        return { providers: {}, defaults: {} };
+    }
+}
+
+/**
+ * Build the provider registry from builtins, config file and environment
+ * @returns {Object} - { providers: Map, defaults: { text, vision } }
+ */
+export function loadProviders() {
+    const file = readConfigFile();
+    const envProviders = readEnvProviders();
+    const merged = {};
+
+    for (const source of [BUILTIN_PROVIDERS, file.providers, envProviders]) {
+        for (const [id, def] of Object.entries(source)) {
+            merged[id] = { ...(merged[id] || {}), ...def };
+        }
+    }
+
+    const providers = new Map();
+    for (const [id, def] of Object.entries(merged)) {
+        if (def.enabled === false) continue;
+        providers.set(id, normalizeProvider(id, def));
+    }
+
+    const defaults = {
+        text: process.env.DEFAULT_TEXT_PROVIDER || file.defaults.text || BUILTIN_DEFAULTS.text,
+        vision: process.env.DEFAULT_VISION_PROVIDER || file.defaults.vision || BUILTIN_DEFAULTS.vision
+    };
+
+    return { providers, defaults };
+}
+
+// Built lazily so that dotenv has populated process.env first
+let registry = null;
+
+function getRegistry() {
+    if (!registry) {
+        registry = loadProviders();
+    }
+    return registry;
+}
+
+/**
+ * Resolve the provider for a request
+ * @param {string} capability - 'text' or 'vision'
+ * @param {string} [requestedId] - Provider id chosen by the client (X-Provider header)
+ * @returns {Object} - Provider definition
+ * @throws {Error} - With a `status` property when the provider is unknown or lacks the capability
+ */
+export function resolveProvider(capability, requestedId) {
+    const { providers, defaults } = getRegistry();
+    const id = requestedId || defaults[capability];
+    const provider = providers.get(id);
+
+    if (!provider) {
+        const error = new Error(`Unknown provider: ${id}`);
+        error.status = 400;
+        throw error;
+    }
+    if (!provider.capabilities.includes(capability)) {
+        const error = new Error(`Provider ${id} does not support ${capability}`);
+        error.status = 400;
+        throw error;
+    }
+
+    return provider;
+}
+
+/**
+ * Build request headers for a provider
+ * @param {Object} provider - Provider definition
+ * @param {string} [clientKey] - Key supplied by the browser (X-Api-Key)
+ * @param {string} [clientKeyProvider] - Provider the key was entered for (X-Api-Key-Provider); the key
+ *   overrides the configured one for that provider only and is never sent to any other
+ * @returns {Object|null} - Headers, or null when the provider needs a key and none is available
+ */
+export function buildHeaders(provider, clientKey, clientKeyProvider) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (!provider.authHeader) {
+        return headers;
+    }
+
+    const apiKey = (clientKey && clientKeyProvider === provider.id ? clientKey : '') || provider.apiKey;
+    if (!apiKey) {
+        return null;
+    }
+
+    headers[provider.authHeader] = provider.authScheme ? `${provider.authScheme} ${apiKey}` : apiKey;
+    return headers;
+}
+
+/**
+ * Chat completions endpoint of a provider
+ * @param {Object} provider - Provider definition
+ * @returns {string} - URL
+ */
+export function chatCompletionsUrl(provider) {
+    return `${provider.baseUrl}/chat/completions`;
+}
+
+/**
+ * Public description of all providers (never includes keys)
+ * @returns {Object} - { providers: [...], defaults }
+ */
+export function describeProviders() {
+    const { providers, defaults } = getRegistry();
+
+    return {
+        providers: Array.from(providers.values()).map(p => ({
+            id: p.id,
+            name: p.name,
+            model: p.model,
+            models: p.models,
+            capabilities: p.capabilities,
+            requiresKey: Boolean(p.authHeader),
+            hasServerKey: Boolean(p.apiKey),
+            prices: p.prices
+        })),
+        defaults
+    };
+}
@@ -1,6 +1,15 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import { resolveProvider, buildHeaders, chatCompletionsUrl, describeProviders } from './providers.js';
+import { getMockMode, findFixture, recordFixture } from './mock.js';
+import { pipeEventStream, replayAsStream, parseStreamTranscript, completionResponse } from './streaming.js';
+import { isCacheEnabled, cacheKey, getCached, setCached, cacheStats, purgeCache } from './cache.js';
+import { fetchWithRetry, withConcurrencyLimit, limiterStats } from './upstream.js';
+import { writeAuditEntry, queryAudit, auditToCsv } from './audit.js';
+import { recordUsage, budgetStatus, usageReport, usageCurrency } from './usage.js';
+import { isRedactionEnabled, redactMessages, redactText, restoreText, createStreamRestorer } from './redaction.js';
+import { listTemplates, loadTemplate, renderReport, DOCX_MIME } from './reports.js';
 
 // Load environment variables
 dotenv.config();
@@ -9,86 +18,334 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Cache'] }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Serve static files from parent directory
-app.use(express.static('../'));
+// Serve the front end only: the page, its scripts and the bundled templates. The rest of the
+// repository (server/ with providers.json, the cache, the usage ledger and the audit log) stays private.
+app.get(['/', '/index.html'], (req, res) => res.sendFile('index.html', { root: '..' }));
+app.use('/js', express.static('../js'));
+app.use('/css', express.static('../css'));
+app.use('/template', express.static('../template'));
+
+// Local copies of the front-end libraries, used when the CDN is unreachable
+app.use('/vendor/pizzip', express.static('node_modules/pizzip/dist'));
+app.use('/vendor/docxtemplater', express.static('node_modules/docxtemplater/build'));
+app.use('/vendor/xlsx', express.static('node_modules/xlsx/dist'));
+app.use('/vendor/file-saver', express.static('node_modules/file-saver/dist'));
+app.use('/vendor/pdfjs', express.static('node_modules/pdfjs-dist'));
+app.use('/vendor/tesseract', express.static('node_modules/tesseract.js/dist'));
+app.use('/vendor/tesseract-core', express.static('node_modules/tesseract.js-core'));
+app.use('/vendor/tessdata', express.static('node_modules/@tesseract.js-data/chi_sim/4.0.0_best_int'));
+app.use('/vendor/font-awesome', express.static('node_modules/font-awesome'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    res.json({
+        status: 'ok',
+        mock: getMockMode() || false,
+        upstream: limiterStats(),
+        timestamp: new Date().toISOString()
+    });
 });
 
-// DeepSeek API proxy
-app.post('/api/deepseek/chat', async (req, res) => {
+// Provider registry (no keys are exposed)
+app.get('/api/providers', (req, res) => {
+    res.json({ ...describeProviders(), mock: getMockMode() === 'replay' });
+});
+
+/**
+ * Case identifier of a request; the browser percent-encodes it so Chinese case numbers survive
+ * @param {express.Request} req - Express request
+ * @returns {string|null}
+ */
+function readCaseId(req) {
+    const raw = req.headers['x-case-id'];
+    if (!raw) return null;
     try {
-        const apiKey = req.headers['x-api-key'] || process.env.DEEPSEEK_API_KEY;
-        
-        if (!apiKey) {
-            return res.status(401).json({ error: 'API key is required' });
+        return decodeURIComponent(raw);
+    } catch {
+        return raw;
+    }
+}
+
+/**
+ * Forward a chat completion to the resolved provider, answering from fixtures or the
+ * response cache when possible. Every outcome is written to the audit log.
+ * @param {string} kind - 'chat' (text provider) or 'ocr' (vision provider)
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ */
+async function proxyCompletion(kind, req, res) {
+    const startedAt = Date.now();
+    const provider = resolveProvider(kind === 'ocr' ? 'vision' : 'text', req.headers['x-provider']);
+    const section = req.headers['x-section'] || '';
+    const mockMode = getMockMode();
+    const stream = kind === 'chat' && Boolean(req.body.stream);
+
+    const body = kind === 'ocr'
+        ? {
+            model: req.body.model || provider.model,
+            messages: req.body.messages,
+            max_tokens: req.body.max_tokens || 4096
         }
+        : { ...req.body, model: req.body.model || provider.model };
 
-        const response = await fetch('https://api.deepseek.com/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify(req.body)
-        });
+    if (stream) {
+        // Ask for a final usage chunk so streamed calls can be accounted for too
+        body.stream_options = { include_usage: true, ...req.body.stream_options };
+    }
 
-        const data = await response.json();
-        
-        if (!response.ok) {
-            return res.status(response.status).json(data);
+    // Identifiers never leave the bank: the provider only sees placeholders (chat only;
+    // images sent for OCR cannot be redacted). The audit log stores the redacted prompt and
+    // the placeholder mapping, so the actual prompt and response can be reconstructed locally.
+    const redaction = kind === 'chat' && isRedactionEnabled() ? redactMessages(body.messages) : null;
+    const redacted = redaction && redaction.count > 0 ? redaction : null;
+    const upstreamBody = redacted ? { ...body, messages: redacted.messages } : body;
+
+    const caseId = readCaseId(req);
+    const audit = ({ response, ...fields }) => writeAuditEntry({
+        caseId,
+        section: section || null,
+        kind,
+        provider: provider.id,
+        model: body.model,
+        latencyMs: Date.now() - startedAt,
+        messages: upstreamBody.messages,
+        redactions: redacted?.count || 0,
+        ...(redacted && { redactionMapping: Object.fromEntries(redacted.mapping) }),
+        ...fields,
+        ...(response !== undefined && { response: redacted ? redactText(response, redacted.mapping) : response })
+    });
+
+    if (mockMode === 'replay') {
+        const content = findFixture(kind, section, body.messages);
+        if (content === null) {
+            audit({ source: 'mock', status: 'error', error: 'No fixture' });
+            return res.status(404).json({ error: `No ${kind} fixture for section "${section}"` });
         }
+        audit({ source: 'mock', status: 'ok', response: content });
+        return stream
+            ? await replayAsStream(res, content, body.model, Number(process.env.MOCK_STREAM_DELAY_MS ?? 15))
+            : res.json(completionResponse(content, body.model));
+    }
 
-        res.json(data);
+    const useCache = isCacheEnabled() && mockMode !== 'record';
+    const key = useCache ? cacheKey(kind, provider.id, body) : null;
+    const bypass = ['1', 'true'].includes(String(req.headers['x-cache-bypass'] || '').toLowerCase());
+
+    if (useCache && !bypass) {
+        const cached = getCached(key);
+        if (cached) {
+            res.set('X-Cache', 'HIT');
+            audit({ source: 'cache', status: 'ok', model: cached.model, usage: cached.usage, response: cached.content });
+            recordUsage({ provider, model: cached.model, caseId, cached: true });
+            return stream
+                ? await replayAsStream(res, cached.content, cached.model)
+                : res.json(completionResponse(cached.content, cached.model, cached.usage));
+        }
+    }
+    if (useCache) {
+        res.set('X-Cache', bypass ? 'BYPASS' : 'MISS');
+    }
+
+    const budget = budgetStatus();
+    if (budget.exceeded) {
+        audit({ source: 'upstream', status: 'rejected', error: 'Monthly budget exceeded' });
+        return res.status(402).json({
+            error: `Monthly budget of ${budget.budget} ${usageCurrency()} exceeded (spent ${budget.spent})`
+        });
+    }
+
+    const headers = buildHeaders(provider, req.headers['x-api-key'], req.headers['x-api-key-provider']);
+    
+    if (!headers) {
+        audit({ source: 'upstream', status: 'rejected', error: 'API key is required' });
+        return res.status(401).json({ error: 'API key is required' });
+    }
+
+    // Abort the upstream request if the browser goes away (e.g. user stopped a stream)
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    let upstream;
+    try {
+        // The concurrency slot is held until a stream has been fully relayed
+        upstream = await withConcurrencyLimit(provider, controller.signal, async () => {
+            const response = await fetchWithRetry(chatCompletionsUrl(provider), {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(upstreamBody),
+                signal: controller.signal
+            }, provider);
+
+            if (stream && response.ok) {
+                const restorer = redacted ? createStreamRestorer(redacted.mapping) : null;
+                const { transcript, aborted } = await pipeEventStream(response, res, controller.signal, restorer);
+                return { ok: true, aborted, data: null, ...parseStreamTranscript(transcript) };
+            }
+
+            const data = await response.json().catch(() => ({ error: { message: `Upstream returned ${response.status}` } }));
+            if (response.ok && redacted) {
+                data.choices?.forEach(choice => {
+                    if (choice.message?.content) {
+                        choice.message.content = restoreText(choice.message.content, redacted.mapping);
+                    }
+                });
+            }
+            return {
+                ok: response.ok,
+                status: response.status,
+                data,
+                model: data.model,
+                usage: data.usage || null,
+                content: response.ok ? data.choices?.[0]?.message?.content || '' : ''
+            };
+        });
     } catch (error) {
-        console.error('DeepSeek API error:', error);
-        res.status(500).json({ error: 'Failed to call DeepSeek API', details: error.message });
+        audit({
+            source: 'upstream',
+            status: error.name === 'AbortError' ? 'aborted' : 'error',
+            error: error.message
+        });
+        throw error;
+    }
+
+    if (!upstream.ok) {
+        audit({
+            source: 'upstream',
+            status: 'error',
+            httpStatus: upstream.status,
+            error: upstream.data?.error?.message || JSON.stringify(upstream.data)
+        });
+        return res.status(upstream.status).json(upstream.data);
+    }
+
+    const { content, data, usage, aborted } = upstream;
+    const model = upstream.model || body.model;
+
+    // A stopped stream still counts: the partial text stays in the report
+    audit({
+        source: 'upstream',
+        status: aborted ? 'aborted' : 'ok',
+        model,
+        usage,
+        response: content
+    });
+    recordUsage({ provider, model, usage, caseId });
+
+    if (aborted) return;
+
+    if (mockMode === 'record') {
+        recordFixture(kind, section, body.messages, content, model);
     }
+    if (useCache && content) {
+        setCached(key, { kind, content, model, usage });
+    }
+
+    if (data) {
+        res.json(data);
+    }
+}
+
+// Template library for server-side rendering
+app.get('/api/reports/templates', (req, res) => {
+    res.json({ templates: listTemplates() });
 });
 
-// SiliconFlow OCR API proxy
-app.post('/api/siliconflow/ocr', async (req, res) => {
+// Fill a template with report data: { templateId | template (base64 .docx), data, fileName? }
+app.post('/api/reports/render', (req, res) => {
     try {
-        const apiKey = req.headers['x-api-key'] || process.env.SILICONFLOW_API_KEY;
-        
-        if (!apiKey) {
-            return res.status(401).json({ error: 'API key is required' });
+        const { data = {}, fileName } = req.body;
+        const output = renderReport(loadTemplate(req.body), data);
+        const name = fileName || `${data.companyName || '企业'}_授信调查报告_${new Date().toISOString().slice(0, 10)}.docx`;
+
+        res.set('Content-Type', DOCX_MIME);
+        res.set('Content-Disposition', `attachment; filename="report.docx"; filename*=UTF-8''${encodeURIComponent(name)}`);
+        res.send(output);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
         }
+        console.error('Report render error:', error);
+        res.status(500).json({ error: 'Failed to render report', details: error.message });
+    }
+});
 
-        const response = await fetch('https://api.siliconflow.cn/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: 'Qwen/Qwen3-VL-8B-Instruct',
-                messages: req.body.messages,
-                max_tokens: req.body.max_tokens || 4096
-            })
-        });
+// Token usage and spend (?from=&to=&caseId=)
+app.get('/api/usage', (req, res) => {
+    res.json(usageReport({ from: req.query.from, to: req.query.to, caseId: req.query.caseId }));
+});
+
+// Audit log query (?caseId=&section=&from=&to=&limit=&format=csv)
+app.get('/api/audit', (req, res) => {
+    const entries = queryAudit({
+        caseId: req.query.caseId,
+        section: req.query.section,
+        from: req.query.from,
+        to: req.query.to,
+        limit: req.query.limit ? Number(req.query.limit) : undefined
+    });
+
+    if (req.query.format === 'csv') {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+        return res.send(auditToCsv(entries));
+    }
+
+    res.json({ count: entries.length, entries });
+});
 
-        const data = await response.json();
-        
-        if (!response.ok) {
-            return res.status(response.status).json(data);
+// Text chat proxy (DeepSeek by default; X-Provider selects another text provider)
+app.post('/api/deepseek/chat', async (req, res) => {
+    try {
+        await proxyCompletion('chat', req, res);
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
         }
+        console.error('Chat API error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: 'Failed to call chat API', details: error.message });
+    }
+});
 
-        res.json(data);
+// Vision OCR proxy (SiliconFlow by default; X-Provider selects another vision provider)
+app.post('/api/siliconflow/ocr', async (req, res) => {
+    try {
+        await proxyCompletion('ocr', req, res);
     } catch (error) {
-        console.error('SiliconFlow OCR API error:', error);
-        res.status(500).json({ error: 'Failed to call SiliconFlow OCR API', details: error.message });
+        if (error.name === 'AbortError') return;
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('OCR API error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: 'Failed to call OCR API', details: error.message });
     }
 });
 
+// Response cache statistics
+app.get('/api/cache', (req, res) => {
+    res.json(cacheStats());
+});
+
+// Purge the response cache (?expired=1 removes only expired entries)
+app.delete('/api/cache', (req, res) => {
+    const removed = purgeCache({ expiredOnly: ['1', 'true'].includes(String(req.query.expired)) });
+    res.json({ removed });
+});
+
 // Start server
 app.listen(PORT, () => {
+    const mockMode = getMockMode();
+    if (mockMode) {
+        console.log(mockMode === 'replay'
+            ? '⚠️  MOCK mode: answering from fixtures, no upstream calls'
+            : '⚠️  RECORD mode: saving upstream responses as fixtures');
+    }
     console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║     智银派授信报告智能填写系统 - API代理服务器              ║
@@ -97,8 +354,13 @@ app.listen(PORT, () => {
 ║  Health check:      http://localhost:${PORT}/api/health       ║
 ╠════════════════════════════════════════════════════════════╣
 ║  API Endpoints:                                            ║
-║  - POST /api/deepseek/chat    (DeepSeek Chat API)          ║
-║  - POST /api/siliconflow/ocr  (SiliconFlow OCR API)        ║
+║  - GET  /api/providers        (LLM provider registry)      ║
+║  - POST /api/deepseek/chat    (Text chat API, SSE)         ║
+║  - POST /api/siliconflow/ocr  (Vision OCR API)             ║
+║  - GET/DELETE /api/cache      (Response cache)             ║
+║  - GET  /api/audit            (Audit log, JSON or CSV)     ║
+║  - GET  /api/usage            (Token usage and spend)      ║
+║  - POST /api/reports/render   (Fill a .docx template)      ║
 ╚════════════════════════════════════════════════════════════╝
     `);
 });
@@ -0,0 +1,246 @@
+/**
+ * PII Redaction
+ * Replaces company names, credit codes, ID numbers, phone numbers, personal names and
+ * addresses in prompts with stable placeholders such as [COMPANY_1] before they are sent
+ * upstream, and puts the real values back into the response
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Applied in order; labelled rules come first so that the exact value found after a label
+// is also replaced wherever it appears without one. `group` selects the capture group
+// holding the value (0 = whole match).
+const BUILTIN_RULES = [
+    {
+        type: 'COMPANY',
+        pattern: '(?:企业名称|公司名称|客户名称|借款人名称|借款人|股东名称)[:：]\\s*([^\\s,，。;；、:：\\n]+)',
+        group: 1
+    },
+    {
+        type: 'PERSON',
+        pattern: '(?:法定代表人|法人代表|实际控制人|控股股东|自然人股东|主要人员|负责人|联系人|总经理|经理|董事长|董事|监事)[:：]\\s*([\\u4e00-\\u9fa5·]{2,10})',
+        group: 1
+    },
+    {
+        type: 'ADDRESS',
+        pattern: '(?:注册地址|经营地址|办公地址|通讯地址|住所|地址)[:：]\\s*([^\\s,，。;；\\n]+)',
+        group: 1
+    },
+    {
+        type: 'ID_NUMBER',
+        pattern: '(?<![0-9A-Z])[1-9]\\d{5}(?:18|19|20)\\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\\d|3[01])\\d{3}[\\dXx](?![0-9A-Z])'
+    },
+    {
+        type: 'CREDIT_CODE',
+        pattern: '(?<![0-9A-Z])[0-9A-HJ-NPQRTUWXY]{2}\\d{6}[0-9A-HJ-NPQRTUWXY]{10}(?![0-9A-Z])'
+    },
+    {
+        type: 'PHONE',
+        pattern: '(?<!\\d)(?:1[3-9]\\d{9}|0\\d{2,3}-\\d{7,8})(?!\\d)'
+    },
+    {
+        type: 'COMPANY',
+        pattern: '[\\u4e00-\\u9fa5（）()]{2,40}?(?:集团股份有限公司|集团有限公司|股份有限公司|有限责任公司|有限公司|（有限合伙）)'
+    }
+];
+
+// Values that are never identifiers even when they follow a label
+const IGNORED_VALUES = new Set(['未提供', '未认定', '无', '暂无', '不详', '-']);
+
+const PLACEHOLDER_NOTE = '注意：文本中形如 [COMPANY_1]、[PERSON_1] 的占位符代表真实的名称、编号或地址，请在回答中原样保留这些占位符，不要改写、翻译或猜测其内容。';
+
+let config = null;
+
+/**
+ * Read the optional redaction config (REDACTION_CONFIG, default server/redaction.json)
+ * @returns {Object} - { enabled, rules, terms }
+ */
+function loadConfig() {
+    if (config) return config;
+
+    const configPath = process.env.REDACTION_CONFIG
+        ? path.resolve(process.env.REDACTION_CONFIG)
+        : path.join(__dirname, 'redaction.json');
+
+    let file = {};
+    if (fs.existsSync(configPath)) {
+        try {
+            file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (error) {
+            console.error(`Failed to read redaction config ${configPath}:`, error.message);
+        }
+    }
+
+    const disabled = new Set(file.disabledTypes || []);
+    const rules = [...BUILTIN_RULES, ...(file.rules || [])]
+        .filter(rule => !disabled.has(rule.type))
+        .map(rule => ({
+            type: rule.type,
+            regex: new RegExp(rule.pattern, rule.flags?.includes('g') ? rule.flags : `${rule.flags || ''}g`),
+            group: rule.group || 0
+        }));
+
+    config = {
+        enabled: file.enabled !== false,
+        rules,
+        // type -> literal values that are always redacted (e.g. known customer names)
+        terms: file.terms || {}
+    };
+    return config;
+}
+
+/**
+ * Whether prompts are redacted (REDACTION=0 or "enabled": false in the config turns it off)
+ * @returns {boolean}
+ */
+export function isRedactionEnabled() {
+    if (['0', 'false', 'off', 'no'].includes(String(process.env.REDACTION ?? '1').toLowerCase())) {
+        return false;
+    }
+    return loadConfig().enabled;
+}
+
+/**
+ * Text fragments of the messages that redaction applies to
+ * @param {Array} messages - Chat messages
+ * @returns {Array<string>}
+ */
+function messageTexts(messages) {
+    return messages.flatMap(message => {
+        if (typeof message.content === 'string') return [message.content];
+        if (Array.isArray(message.content)) {
+            return message.content.filter(part => part.type === 'text').map(part => part.text);
+        }
+        return [];
+    });
+}
+
+function mapMessageTexts(messages, fn) {
+    return messages.map(message => {
+        if (typeof message.content === 'string') {
+            return { ...message, content: fn(message.content) };
+        }
+        if (Array.isArray(message.content)) {
+            return {
+                ...message,
+                content: message.content.map(part => part.type === 'text' ? { ...part, text: fn(part.text) } : part)
+            };
+        }
+        return message;
+    });
+}
+
+/**
+ * Replace identifiers in chat messages with placeholders.
+ * The same value always gets the same placeholder within a request.
+ * @param {Array} messages - Chat messages
+ * @returns {Object} - { messages, mapping: Map(placeholder -> value), count }
+ */
+export function redactMessages(messages) {
+    const { rules, terms } = loadConfig();
+    const values = new Map();
+    const counters = {};
+
+    const assign = (type, value) => {
+        const trimmed = value?.trim();
+        if (!trimmed || trimmed.length < 2 || IGNORED_VALUES.has(trimmed) || values.has(trimmed)) return;
+        counters[type] = (counters[type] || 0) + 1;
+        values.set(trimmed, `[${type}_${counters[type]}]`);
+    };
+
+    for (const [type, list] of Object.entries(terms)) {
+        list.forEach(value => assign(type, value));
+    }
+
+    // Each rule sees the text with earlier findings already replaced, so a value is
+    // only claimed by the first rule that matches it
+    let texts = messageTexts(messages);
+    for (const rule of rules) {
+        for (const text of texts) {
+            for (const match of text.matchAll(rule.regex)) {
+                assign(rule.type, match[rule.group]);
+            }
+        }
+        texts = texts.map(text => replaceValues(text, values));
+    }
+
+    if (values.size === 0) {
+        return { messages, mapping: new Map(), count: 0 };
+    }
+
+    const redacted = mapMessageTexts(messages, text => replaceValues(text, values));
+    const systemIndex = redacted.findIndex(message => message.role === 'system' && typeof message.content === 'string');
+    if (systemIndex >= 0) {
+        redacted[systemIndex] = { ...redacted[systemIndex], content: `${redacted[systemIndex].content}\n${PLACEHOLDER_NOTE}` };
+    } else {
+        redacted.unshift({ role: 'system', content: PLACEHOLDER_NOTE });
+    }
+
+    const mapping = new Map(Array.from(values, ([value, placeholder]) => [placeholder, value]));
+    return { messages: redacted, mapping, count: values.size };
+}
+
+/**
+ * Replace every occurrence of the known values, longest first so that a name contained
+ * in a longer one does not split it
+ * @param {string} text - Text
+ * @param {Map} values - value -> placeholder
+ * @returns {string}
+ */
+function replaceValues(text, values) {
+    const ordered = Array.from(values.keys()).sort((a, b) => b.length - a.length);
+    return ordered.reduce((result, value) => result.split(value).join(values.get(value)), text);
+}
+
+/**
+ * Mask restored text again, e.g. a response before it is written to the audit log
+ * @param {string} text - Text with real values
+ * @param {Map} mapping - placeholder -> value, as returned by redactMessages
+ * @returns {string}
+ */
+export function redactText(text, mapping) {
+    if (!text || mapping.size === 0) return text;
+    return replaceValues(text, new Map(Array.from(mapping, ([placeholder, value]) => [value, placeholder])));
+}
+
+/**
+ * Put the real values back into model output
+ * @param {string} text - Model output
+ * @param {Map} mapping - placeholder -> value
+ * @returns {string}
+ */
+export function restoreText(text, mapping) {
+    if (!text || mapping.size === 0) return text;
+    return text.replace(/\[([A-Z_]+_\d+)\]/g, (placeholder) => mapping.get(placeholder) ?? placeholder);
+}
+
+/**
+ * Restore placeholders in streamed deltas. A placeholder may be split across chunks, so a
+ * trailing fragment that could still become one is held back until the next chunk.
+ * @param {Map} mapping - placeholder -> value
+ * @returns {Object} - { push(text) => text, flush() => text }
+ */
+export function createStreamRestorer(mapping) {
+    let buffer = '';
+
+    return {
+        push(text) {
+            buffer += text;
+            const open = buffer.lastIndexOf('[');
+            const tail = open >= 0 ? buffer.slice(open) : '';
+            const held = /^\[[A-Z_\d]{0,30}$/.test(tail) ? tail : '';
+            const ready = buffer.slice(0, buffer.length - held.length);
+            buffer = held;
+            return restoreText(ready, mapping);
+        },
+        flush() {
+            const rest = buffer;
+            buffer = '';
+            return restoreText(rest, mapping);
+        }
+    };
+}
@@ -0,0 +1,92 @@
+/**
+ * Server-side Report Rendering
+ * Fills .docx templates with the same TemplateEngine the browser uses, so other systems
+ * can produce reports without the UI
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import PizZip from 'pizzip';
+import Docxtemplater from 'docxtemplater';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+const { TemplateEngine } = require('../js/templateEngine.js');
+
+export const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+function templatesDir() {
+    return process.env.TEMPLATES_DIR
+        ? path.resolve(process.env.TEMPLATES_DIR)
+        : path.join(__dirname, '..', 'template');
+}
+
+function badRequest(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Templates in the stored library
+ * @returns {Array} - [{ id, size, modifiedAt }]
+ */
+export function listTemplates() {
+    const dir = templatesDir();
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(name => name.toLowerCase().endsWith('.docx') && !name.startsWith('~$'))
+        .map(name => {
+            const stat = fs.statSync(path.join(dir, name));
+            return { id: name, size: stat.size, modifiedAt: stat.mtime.toISOString() };
+        });
+}
+
+/**
+ * Read a template from the library or from an uploaded base64 payload
+ * @param {Object} source
+ * @param {string} [source.templateId] - File name in the template library
+ * @param {string} [source.template] - Base64 .docx (a data: URL prefix is allowed)
+ * @returns {Buffer}
+ * @throws {Error} - With a `status` property when the template is missing or unknown
+ */
+export function loadTemplate({ templateId, template }) {
+    if (template) {
+        return Buffer.from(String(template).replace(/^data:[^,]*,/, ''), 'base64');
+    }
+    if (!templateId) {
+        throw badRequest('Either template (base64 .docx) or templateId is required');
+    }
+
+    // Only plain file names from the library; no paths
+    if (path.basename(templateId) !== templateId) {
+        throw badRequest('Invalid templateId');
+    }
+    const file = path.join(templatesDir(), templateId);
+    if (!fs.existsSync(file)) {
+        throw badRequest(`Template not found: ${templateId}`, 404);
+    }
+    return fs.readFileSync(file);
+}
+
+/**
+ * Fill a template with report data (the browser's collectAllData() JSON)
+ * @param {Buffer} templateBuffer - .docx template
+ * @param {Object} data - Report data
+ * @returns {Buffer} - Filled .docx
+ */
+export function renderReport(templateBuffer, data) {
+    let zip;
+    try {
+        zip = new PizZip(templateBuffer);
+        zip.file('word/document.xml').asText();
+    } catch {
+        throw badRequest('Template is not a valid .docx file');
+    }
+
+    const engine = new TemplateEngine({ Docxtemplater, outputType: 'nodebuffer' });
+    return engine.generateDocument(zip, data || {});
+}
@@ -0,0 +1,174 @@
+/**
+ * Server-Sent Events helpers
+ * Passing upstream streams through, and replaying stored content as a stream
+ */
+
+function startEventStream(res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+}
+
+/**
+ * A content-delta event, or nothing for empty text
+ * @param {string} text - Content
+ * @returns {string}
+ */
+function contentEvent(text) {
+    if (!text) return '';
+    const chunk = { object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: text }, finish_reason: null }] };
+    return `data: ${JSON.stringify(chunk)}\n\n`;
+}
+
+/**
+ * Rewrite one SSE line, passing content deltas through a transform
+ * @param {string} line - Line without its trailing newline
+ * @param {Object} transform - { push(text) => text, flush() => text }
+ * @returns {string} - Lines to send, newline-terminated
+ */
+function rewriteEventLine(line, transform) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return line + '\n';
+
+    const payload = trimmed.slice(5).trim();
+    if (payload === '[DONE]') {
+        return contentEvent(transform.flush()) + line + '\n';
+    }
+
+    try {
+        const chunk = JSON.parse(payload);
+        const delta = chunk.choices?.[0]?.delta;
+        if (delta && typeof delta.content === 'string') {
+            delta.content = transform.push(delta.content);
+        }
+        return `data: ${JSON.stringify(chunk)}\n`;
+    } catch {
+        return line + '\n';
+    }
+}
+
+/**
+ * Pass an upstream Server-Sent Events body through to the client, unchanged unless a
+ * content transform is given (used to restore redacted values)
+ * @param {Response} upstream - fetch response with a text/event-stream body
+ * @param {express.Response} res - Express response
+ * @param {AbortSignal} [signal] - Signal that fires when the client goes away
+ * @param {Object} [transform] - { push(text) => text, flush() => text } applied to content deltas
+ * @returns {Promise<Object>} - { transcript, aborted }; the transcript is what the client received
+ *   and is partial when aborted
+ */
+export async function pipeEventStream(upstream, res, signal, transform = null) {
+    startEventStream(res);
+
+    const decoder = new TextDecoder();
+    let transcript = '';
+    let pending = '';
+    try {
+        for await (const chunk of upstream.body) {
+            if (!transform) {
+                res.write(chunk);
+                transcript += decoder.decode(chunk, { stream: true });
+                continue;
+            }
+
+            pending += decoder.decode(chunk, { stream: true });
+            const lines = pending.split('\n');
+            pending = lines.pop();
+            const output = lines.map(line => rewriteEventLine(line, transform)).join('');
+            res.write(output);
+            transcript += output;
+        }
+    } catch (error) {
+        if (signal?.aborted) {
+            return { transcript, aborted: true };
+        }
+        throw error;
+    }
+
+    if (transform) {
+        // Streams that end without [DONE] still release whatever the transform held back
+        const output = (pending ? rewriteEventLine(pending, transform) : '') + contentEvent(transform.flush());
+        if (output) res.write(output);
+        transcript += output;
+    }
+    res.end();
+    return { transcript, aborted: false };
+}
+
+/**
+ * Send stored content as a Server-Sent Events stream, a few characters per chunk
+ * @param {express.Response} res - Express response
+ * @param {string} content - Assistant content
+ * @param {string} model - Model name to report
+ * @param {number} [delay=0] - Milliseconds between chunks
+ */
+export async function replayAsStream(res, content, model, delay = 0) {
+    startEventStream(res);
+
+    for (let i = 0; i < content.length && !res.writableEnded && !res.destroyed; i += 4) {
+        const chunk = {
+            object: 'chat.completion.chunk',
+            model: model || 'unknown',
+            choices: [{ index: 0, delta: { content: content.slice(i, i + 4) }, finish_reason: null }]
+        };
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    res.write('data: [DONE]\n\n');
+    res.end();
+}
+
+/**
+ * Reassemble a raw SSE transcript: concatenated content deltas plus the usage block,
+ * which providers send in the final chunk when stream_options.include_usage is set
+ * @param {string} transcript - Raw event-stream text
+ * @returns {Object} - { content, usage, model }
+ */
+export function parseStreamTranscript(transcript) {
+    let content = '';
+    let usage = null;
+    let model = null;
+    for (const line of transcript.split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const payload = trimmed.slice(5).trim();
+        if (!payload || payload === '[DONE]') continue;
+        try {
+            const chunk = JSON.parse(payload);
+            content += chunk.choices?.[0]?.delta?.content || '';
+            if (chunk.usage) usage = chunk.usage;
+            if (chunk.model) model = chunk.model;
+        } catch {
+            // Partial or non-JSON line; ignore
+        }
+    }
+    return { content, usage, model };
+}
+
+/**
+ * Wrap content in an OpenAI-compatible chat completion
+ * @param {string} content - Assistant content
+ * @param {string} model - Model name to report
+ * @param {Object} [usage] - Token usage to report
+ * @returns {Object} - Chat completion response body
+ */
+export function completionResponse(content, model, usage) {
+    return {
+        id: `local-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model || 'unknown',
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content },
+            finish_reason: 'stop'
+        }],
+        usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+}
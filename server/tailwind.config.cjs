@@ -0,0 +1,14 @@
+/**
+ * Build of the offline stylesheet css/tailwind.css (npm run build:css, also run after npm install),
+ * used when the Tailwind CDN script cannot be loaded. The output is generated and git-ignored;
+ * rebuild after adding classes to index.html or js/.
+ */
+const { TAILWIND_THEME } = require('../js/tailwindTheme.js');
+
+module.exports = {
+    content: {
+        relative: true,
+        files: ['../index.html', '../js/**/*.js']
+    },
+    theme: TAILWIND_THEME
+};
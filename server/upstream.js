@@ -0,0 +1,165 @@
+/**
+ * Upstream Call Policy
+ * Retries transient provider errors with exponential backoff and caps in-flight requests per provider
+ */
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+
+// providerId -> { active, queue: [{ resolve, signal, onAbort }] }
+const limiters = new Map();
+
+function envNumber(name, fallback, min = 0) {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value >= min ? value : fallback;
+}
+
+/**
+ * Sleep, waking early (with an AbortError) if the signal fires
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date)
+ * @param {string|null} header - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/unparseable
+ */
+export function parseRetryAfter(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt: full-jitter exponential backoff, unless the
+ * provider told us how long to wait
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {number|null} retryAfterMs - Delay requested by the provider
+ * @returns {number} - Milliseconds
+ */
+export function backoffDelay(attempt, retryAfterMs) {
+    if (retryAfterMs !== null && retryAfterMs !== undefined) {
+        return Math.min(retryAfterMs, MAX_DELAY_MS);
+    }
+    const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * fetch() with retries for transient failures (429, 5xx, network errors).
+ * Non-retryable responses and the final failed response are returned as-is.
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init (may include signal)
+ * @param {Object} provider - Provider definition (maxRetries)
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, init, provider) {
+    const maxRetries = provider.maxRetries ?? envNumber('UPSTREAM_MAX_RETRIES', 3);
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, init);
+        } catch (error) {
+            if (error.name === 'AbortError' || attempt >= maxRetries) throw error;
+            const delay = backoffDelay(attempt, null);
+            console.warn(`[${provider.id}] network error (${error.message}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+            await sleep(delay, init.signal);
+            continue;
+        }
+
+        if (!RETRYABLE_STATUS.has(response.status) || attempt >= maxRetries) {
+            return response;
+        }
+
+        const delay = backoffDelay(attempt, parseRetryAfter(response.headers.get('retry-after')));
+        console.warn(`[${provider.id}] upstream ${response.status}, retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        // Drain the body so the connection can be reused
+        await response.arrayBuffer().catch(() => {});
+        await sleep(delay, init.signal);
+    }
+}
+
+function getLimiter(providerId) {
+    if (!limiters.has(providerId)) {
+        limiters.set(providerId, { active: 0, queue: [] });
+    }
+    return limiters.get(providerId);
+}
+
+/**
+ * Run `task` once fewer than the provider's maxConcurrency requests are in flight.
+ * Queued tasks are dropped (with an AbortError) if their signal fires while waiting.
+ * @param {Object} provider - Provider definition (id, maxConcurrency)
+ * @param {AbortSignal} [signal] - Abort signal of the originating request
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} - Result of task
+ */
+export async function withConcurrencyLimit(provider, signal, task) {
+    // A limit below 1 would queue every request forever, so it falls back to the default
+    const limit = provider.maxConcurrency ?? envNumber('UPSTREAM_MAX_CONCURRENCY', 4, 1);
+    const limiter = getLimiter(provider.id);
+
+    if (limiter.active >= limit) {
+        // A finishing task hands its slot straight to us, so `active` is not incremented here
+        await new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+            const waiter = { resolve, signal };
+            waiter.onAbort = () => {
+                limiter.queue.splice(limiter.queue.indexOf(waiter), 1);
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', waiter.onAbort, { once: true });
+            limiter.queue.push(waiter);
+        });
+    } else {
+        limiter.active++;
+    }
+
+    try {
+        return await task();
+    } finally {
+        const next = limiter.queue.shift();
+        if (next) {
+            next.signal?.removeEventListener('abort', next.onAbort);
+            next.resolve();
+        } else {
+            limiter.active--;
+        }
+    }
+}
+
+/**
+ * In-flight and queued request counts per provider
+ * @returns {Object} - providerId -> { active, queued }
+ */
+export function limiterStats() {
+    const stats = {};
+    for (const [id, limiter] of limiters) {
+        stats[id] = { active: limiter.active, queued: limiter.queue.length };
+    }
+    return stats;
+}
@@ -0,0 +1,200 @@
+/**
+ * Usage Accounting
+ * Keeps per-day token and cost totals per provider and per case, priced from the provider
+ * registry, and enforces an optional monthly budget
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// { days: { 'YYYY-MM-DD': { providers: { id: totals }, cases: { caseId: totals } } } }
+let ledger = null;
+
+function usageFile() {
+    return process.env.USAGE_FILE
+        ? path.resolve(process.env.USAGE_FILE)
+        : path.join(__dirname, 'usage', 'usage.json');
+}
+
+function loadLedger() {
+    if (ledger) return ledger;
+
+    try {
+        ledger = JSON.parse(fs.readFileSync(usageFile(), 'utf8'));
+    } catch {
+        ledger = { days: {} };
+    }
+    return ledger;
+}
+
+function saveLedger() {
+    const file = usageFile();
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(ledger, null, 2));
+    } catch (error) {
+        console.error('Failed to write usage ledger:', error.message);
+    }
+}
+
+function emptyTotals() {
+    return { requests: 0, cacheHits: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addTotals(target, source) {
+    for (const key of Object.keys(target)) {
+        target[key] += source[key] || 0;
+    }
+    target.cost = roundCost(target.cost);
+    return target;
+}
+
+function roundCost(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Currency of the price table (USAGE_CURRENCY, default CNY)
+ * @returns {string}
+ */
+export function usageCurrency() {
+    return process.env.USAGE_CURRENCY || 'CNY';
+}
+
+/**
+ * Monthly budget from USAGE_MONTHLY_BUDGET
+ * @returns {number|null} - Budget in usageCurrency(), or null when unlimited
+ */
+export function monthlyBudget() {
+    const value = Number(process.env.USAGE_MONTHLY_BUDGET);
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Price of a call from the provider's price table (per million tokens)
+ * @param {Object} provider - Provider definition (prices)
+ * @param {string} model - Model that served the call
+ * @param {Object} [usage] - OpenAI-style usage block
+ * @returns {number} - Cost in usageCurrency(); 0 when the model has no price
+ */
+export function priceCall(provider, model, usage) {
+    const price = provider.prices?.[model] || provider.prices?.['*'];
+    if (!price || !usage) return 0;
+
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    return roundCost((promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6);
+}
+
+/**
+ * Record one call
+ * @param {Object} call
+ * @param {Object} call.provider - Provider definition
+ * @param {string} call.model - Model that served the call
+ * @param {Object} [call.usage] - Usage block from the upstream response
+ * @param {string} [call.caseId] - Case identifier
+ * @param {boolean} [call.cached=false] - Served from the response cache (counted, but free)
+ */
+export function recordUsage({ provider, model, usage, caseId, cached = false }) {
+    const data = loadLedger();
+    const day = new Date().toISOString().slice(0, 10);
+    const entry = data.days[day] || (data.days[day] = { providers: {}, cases: {} });
+
+    const totals = cached
+        ? { ...emptyTotals(), requests: 1, cacheHits: 1 }
+        : {
+            ...emptyTotals(),
+            requests: 1,
+            promptTokens: usage?.prompt_tokens || 0,
+            completionTokens: usage?.completion_tokens || 0,
+            totalTokens: usage?.total_tokens || 0,
+            cost: priceCall(provider, model, usage)
+        };
+
+    addTotals(entry.providers[provider.id] || (entry.providers[provider.id] = emptyTotals()), totals);
+    if (caseId) {
+        addTotals(entry.cases[caseId] || (entry.cases[caseId] = emptyTotals()), totals);
+    }
+
+    saveLedger();
+}
+
+/**
+ * Spend of a calendar month
+ * @param {string} [month] - YYYY-MM, defaults to the current month
+ * @returns {number} - Cost in usageCurrency()
+ */
+export function monthSpend(month = new Date().toISOString().slice(0, 7)) {
+    const data = loadLedger();
+    let cost = 0;
+    for (const [day, entry] of Object.entries(data.days)) {
+        if (!day.startsWith(month)) continue;
+        for (const totals of Object.values(entry.providers)) {
+            cost += totals.cost;
+        }
+    }
+    return roundCost(cost);
+}
+
+/**
+ * Budget state of the current month
+ * @returns {Object} - { budget, spent, remaining, exceeded }
+ */
+export function budgetStatus() {
+    const budget = monthlyBudget();
+    const spent = monthSpend();
+    return {
+        budget,
+        spent,
+        remaining: budget === null ? null : roundCost(Math.max(0, budget - spent)),
+        exceeded: budget !== null && spent >= budget
+    };
+}
+
+/**
+ * Usage totals over a date range
+ * @param {Object} filters
+ * @param {string} [filters.from] - Inclusive start day (YYYY-MM-DD)
+ * @param {string} [filters.to] - Inclusive end day (YYYY-MM-DD)
+ * @param {string} [filters.caseId] - Only report this case
+ * @returns {Object} - { currency, month, total, byDay, byProvider, byCase }
+ */
+export function usageReport({ from, to, caseId } = {}) {
+    const data = loadLedger();
+    const report = {
+        currency: usageCurrency(),
+        month: { month: new Date().toISOString().slice(0, 7), ...budgetStatus() },
+        total: emptyTotals(),
+        byDay: {},
+        byProvider: {},
+        byCase: {}
+    };
+
+    for (const day of Object.keys(data.days).sort()) {
+        if ((from && day < from) || (to && day > to)) continue;
+        const entry = data.days[day];
+        const dayTotals = emptyTotals();
+
+        if (caseId) {
+            if (!entry.cases[caseId]) continue;
+            addTotals(dayTotals, entry.cases[caseId]);
+            addTotals(report.byCase[caseId] || (report.byCase[caseId] = emptyTotals()), entry.cases[caseId]);
+        } else {
+            for (const [providerId, totals] of Object.entries(entry.providers)) {
+                addTotals(dayTotals, totals);
+                addTotals(report.byProvider[providerId] || (report.byProvider[providerId] = emptyTotals()), totals);
+            }
+            for (const [id, totals] of Object.entries(entry.cases)) {
+                addTotals(report.byCase[id] || (report.byCase[id] = emptyTotals()), totals);
+            }
+        }
+
+        report.byDay[day] = dayTotals;
+        addTotals(report.total, dayTotals);
+    }
+
+    return report;
+}